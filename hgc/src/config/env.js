@@ -10,8 +10,13 @@ export function loadEnv() {
     polygonRpcUrl: process.env.POLYGON_RPC_URL,
     privateKey: process.env.PRIVATE_KEY,
     geoDataRegistry: process.env.GEO_DATA_REGISTRY,
+    geoDataRegistryBlock: parseInt(process.env.GEO_DATA_REGISTRY_BLOCK ?? '0', 10),
+    logsBlockRange: parseInt(process.env.LOGS_BLOCK_RANGE ?? '2000', 10),
     nodeDidRegistry: process.env.NODE_DID_REGISTRY,
     geoRewardManager: process.env.GEO_REWARD_MANAGER,
+    geoRewardManagerHgc: process.env.GEO_REWARD_MANAGER_HGC,
     mapboxToken: process.env.NEXT_PUBLIC_MAPBOX_TOKEN,
+    sensorType: parseInt(process.env.SENSOR_TYPE ?? '0', 10),
+    registrationGasLimit: parseInt(process.env.REGISTRATION_GAS_LIMIT ?? '8000000', 10),
   };
 }
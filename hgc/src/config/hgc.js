@@ -1,6 +1,6 @@
 import { loadEnv } from './env.js'
 
-function parseArg (name, argv) {
+export function parseArg (name, argv = process.argv) {
   const arg = argv.find(a => a.startsWith(`--${name}=`))
   return arg ? arg.split('=')[1] : undefined
 }
@@ -24,6 +24,12 @@ export function paramsForVolume (volume = 0) {
   }
 }
 
+// Armazenamento com perda do runHGC: buckets de tempo ou regiões grossas
+export const LOSSY_MODES = ['off', 'time', 'spatial']
+
+// Ordem em que o compressTopDown percorre as células filhas (ver utils/grouping.js)
+export const ORDERINGS = ['lex', 'localIj', 'hilbert']
+
 export function loadHgcConfig (argv = process.argv) {
   loadEnv()
 
@@ -63,5 +69,72 @@ export function loadHgcConfig (argv = process.argv) {
     }
   }
 
+  // per-sensor aggregates per batch and parent cell, committed in the batch tree
+  cfg.aggregates = (parseArg('aggregates', argv) ?? process.env.HGC_AGGREGATES ?? 'true') !== 'false'
+
+  // child ordering of compressTopDown, recorded in hgcParams
+  cfg.ordering = parseArg('ordering', argv) ?? process.env.HGC_ORDERING ?? 'lex'
+  if (!ORDERINGS.includes(cfg.ordering)) {
+    throw new Error(`invalid ordering ${cfg.ordering} (expected ${ORDERINGS.join(' | ')})`)
+  }
+
+  // lossy storage (see utils/lossy.js); its parameters are only recorded when enabled
+  cfg.lossy = parseArg('lossy', argv) ?? process.env.HGC_LOSSY ?? 'off'
+  if (!LOSSY_MODES.includes(cfg.lossy)) {
+    throw new Error(`invalid lossy ${cfg.lossy} (expected ${LOSSY_MODES.join(' | ')})`)
+  }
+  if (cfg.lossy !== 'off') {
+    const lossyOverrides = {
+      bucketMs: parseArg('bucketMs', argv) ?? process.env.HGC_BUCKET_MS,
+      coarseRes: parseArg('coarseRes', argv) ?? process.env.HGC_COARSE_RES,
+      densityThreshold: parseArg('densityThreshold', argv) ?? process.env.HGC_DENSITY_THRESHOLD
+    }
+    for (const [key, value] of Object.entries(lossyOverrides)) {
+      if (value !== undefined) cfg[key] = parseInt(value)
+    }
+  }
+
   return cfg
 }
+
+// Tratamento de leituras cuja assinatura não corresponde ao issuer (runHGC); padrão discard
+export const SIGNATURE_MODES = ['ignore', 'throw', 'mark', 'discard']
+
+export function loadSignatureMode (argv = process.argv) {
+  loadEnv()
+  const mode = parseArg('onInvalidSignature', argv) ?? process.env.HGC_ON_INVALID_SIGNATURE ?? 'discard'
+  if (!SIGNATURE_MODES.includes(mode)) {
+    throw new Error(`invalid onInvalidSignature ${mode} (expected ${SIGNATURE_MODES.join(' | ')})`)
+  }
+  if (mode === 'ignore') console.warn('⚠️ onInvalidSignature=ignore: as assinaturas das leituras não serão verificadas')
+  return mode
+}
+
+// Etapa de admissão de issuers antes do runHGC (ver utils/admission.js)
+export const ADMISSION_MODES = ['off', 'drop', 'quarantine']
+
+export function loadAdmissionMode (argv = process.argv) {
+  loadEnv()
+  const mode = parseArg('admission', argv) ?? process.env.HGC_ADMISSION ?? 'off'
+  if (!ADMISSION_MODES.includes(mode)) {
+    throw new Error(`invalid admission ${mode} (expected ${ADMISSION_MODES.join(' | ')})`)
+  }
+  return mode
+}
+
+// Token do operador exigido em POST /epochs/:epoch/close; vazio desativa o endpoint
+export function loadCloseToken (argv = process.argv) {
+  loadEnv()
+  return parseArg('closeToken', argv) ?? process.env.HGC_CLOSE_TOKEN ?? ''
+}
+
+// Workers que finalizam os batches em paralelo (ver utils/hgcParallel.js); 0 = thread única
+export function loadWorkers (argv = process.argv) {
+  loadEnv()
+  const value = parseArg('workers', argv) ?? process.env.HGC_WORKERS ?? '0'
+  const workers = Number(value)
+  if (!Number.isSafeInteger(workers) || workers < 0) {
+    throw new Error(`invalid workers ${value} (expected an integer >= 0)`)
+  }
+  return workers
+}
@@ -1,2 +1,4 @@
 export { loadEnv } from './env.js'
-export { loadHgcConfig, paramsForVolume } from './hgc.js'
+export { loadHgcConfig, paramsForVolume, loadSignatureMode, loadAdmissionMode, loadWorkers, loadCloseToken, LOSSY_MODES, ORDERINGS } from './hgc.js'
+export { loadRewardConfig } from './rewards.js'
+export { loadStorageConfig, STORAGE_PROVIDERS } from './storage.js'
@@ -0,0 +1,31 @@
+import { loadEnv } from './env.js'
+import { parseArg } from './hgc.js'
+
+// 168 hourly epochs = one weekly reward cycle (see GeoRewardManager.epochWindow)
+export const DEFAULT_EPOCH_WINDOW = 168
+// 1000 CGT (18 decimals) minted per cycle
+export const DEFAULT_REWARD_PER_CYCLE = '1000000000000000000000'
+// scoring policy (see utils/rewardPolicies.js) and rarity bonus in basis points
+export const DEFAULT_REWARD_POLICY = 'flat'
+export const DEFAULT_RARITY_BONUS_BPS = 10000
+// 'cycle' = one tree for GeoRewardManager • 'batch' = one tree per geoBatch for GeoRewardManagerHGC
+export const REWARD_MODES = ['cycle', 'batch']
+
+export function loadRewardConfig (argv = process.argv) {
+  loadEnv()
+
+  const epochWindow = parseArg('epochWindow', argv) ?? process.env.REWARD_EPOCH_WINDOW
+  const rewardPerCycle = parseArg('rewardPerCycle', argv) ?? process.env.REWARD_PER_CYCLE
+  const policy = parseArg('policy', argv) ?? process.env.REWARD_POLICY
+  const rarityBonusBps = parseArg('rarityBonusBps', argv) ?? process.env.REWARD_RARITY_BONUS_BPS
+  const mode = parseArg('mode', argv) ?? process.env.REWARD_MODE ?? REWARD_MODES[0]
+  if (!REWARD_MODES.includes(mode)) throw new Error(`invalid reward mode ${mode} (expected ${REWARD_MODES.join(' | ')})`)
+
+  return {
+    epochWindow: epochWindow !== undefined ? parseInt(epochWindow) : DEFAULT_EPOCH_WINDOW,
+    rewardPerCycle: BigInt(rewardPerCycle ?? DEFAULT_REWARD_PER_CYCLE),
+    policy: policy ?? DEFAULT_REWARD_POLICY,
+    rarityBonusBps: rarityBonusBps !== undefined ? parseInt(rarityBonusBps) : DEFAULT_RARITY_BONUS_BPS,
+    mode
+  }
+}
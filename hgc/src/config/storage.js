@@ -0,0 +1,40 @@
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { loadEnv } from './env.js'
+import { parseArg } from './hgc.js'
+
+// Onde os arquivos das epochs são publicados (ver utils/storage)
+export const STORAGE_PROVIDERS = ['pinata', 'kubo', 's3', 'filesystem']
+export const DEFAULT_KUBO_API_URL = 'http://127.0.0.1:5001'
+export const DEFAULT_S3_REGION = 'us-east-1'
+// sem provider nem PINATA_JWT os uploads viram arquivos CAR locais (modo mock)
+export const DEFAULT_STORAGE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../data/ipfs-mock')
+
+export function loadStorageConfig (argv = process.argv) {
+  const { pinataJwt } = loadEnv()
+
+  const explicit = parseArg('storage', argv) ?? process.env.STORAGE_PROVIDER
+  const provider = explicit ?? (pinataJwt ? 'pinata' : 'filesystem')
+  if (!STORAGE_PROVIDERS.includes(provider)) {
+    throw new Error(`invalid storage provider ${provider} (expected ${STORAGE_PROVIDERS.join(' | ')})`)
+  }
+
+  return {
+    provider,
+    // run-epoch só publica quando há um provider configurado
+    enabled: Boolean(explicit || pinataJwt),
+    // gateway HTTP usado para baixar CIDs (auditoria); sem ele, o próprio provider
+    gateway: process.env.IPFS_GATEWAY_URL,
+    pinata: { jwt: pinataJwt, gateway: process.env.IPFS_GATEWAY_URL },
+    kubo: { apiUrl: process.env.KUBO_API_URL ?? DEFAULT_KUBO_API_URL },
+    s3: {
+      endpoint: process.env.S3_ENDPOINT,
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION ?? DEFAULT_S3_REGION,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX ?? ''
+    },
+    filesystem: { dir: path.resolve(process.env.STORAGE_DIR ?? DEFAULT_STORAGE_DIR) }
+  }
+}
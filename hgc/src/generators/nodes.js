@@ -1,7 +1,7 @@
 import fs from 'fs'
 import path from 'path'
 import { latLngToCell } from 'h3-js'
-import { keccak256 } from 'ethers'
+import { keccak256, computeAddress } from 'ethers'
 import { mulberry32 } from '../utils/rng.js'
 
 export const DEFAULT_NUM_NODES = 10000
@@ -20,15 +20,22 @@ const OUTPUT_PATH = path.join(process.cwd(), 'data/nodes.json')
 const BASE_LAT = parseFloat(process.env.BASE_LAT ?? DEFAULT_BASE_LAT)
 const BASE_LNG = parseFloat(process.env.BASE_LNG ?? DEFAULT_BASE_LNG)
 
+// Chave determinística por índice: serve só para simulação (qualquer um pode
+// recalculá-la), mas permite assinar o registro EIP-712 e as leituras.
+function nodePrivateKey (index) {
+  return keccak256(Buffer.from(`node-key-${index}`))
+}
+
 function generateNode (index, rand) {
   const lat = BASE_LAT + rand() * 2
   const lng = BASE_LNG + rand() * 2
   const geoCellId = latLngToCell(lat, lng, 8) // res=8
-  const nodeAddress = `0x${keccak256(Buffer.from(`node-${index}`)).slice(26)}`
+  const privateKey = nodePrivateKey(index)
 
   return {
     id: index,
-    nodeAddress,
+    nodeAddress: computeAddress(privateKey),
+    privateKey,
     lat: parseFloat(lat.toFixed(6)),
     lng: parseFloat(lng.toFixed(6)),
     geoCellId
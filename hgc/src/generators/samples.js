@@ -1,7 +1,7 @@
 import fs from 'fs'
 import path from 'path'
-import { keccak256, toUtf8Bytes } from 'ethers'
 import { mulberry32 } from '../utils/rng.js'
+import { signSample } from '../utils/sampleSigner.js'
 
 export const DEFAULT_N_SAMPLES = 12 // por node por epoch
 const SAMPLE_INTERVAL_MS = 5 * 60 * 1000 // 5 minutos
@@ -28,8 +28,7 @@ export function generateSamplesForEpoch (nodes, epoch, seed = 0, nSamples = DEFA
       geoCellId: node.geoCellId,
       samples: [],
       timestamp: epochBase,
-      issuer: node.nodeAddress,
-      signature: keccak256(toUtf8Bytes(`${node.nodeAddress}-${epoch}`)) // mock
+      issuer: node.nodeAddress
     }
 
     for (let i = 0; i < nSamples; i++) {
@@ -37,6 +36,8 @@ export function generateSamplesForEpoch (nodes, epoch, seed = 0, nSamples = DEFA
       const sample = generateSample(node.id + i, rand, ts)
       entry.samples.push(sample)
     }
+    // nodes sem chave (nodes.json antigo) geram leituras não assinadas
+    if (node.privateKey) entry.signature = signSample(node.privateKey, entry)
 
     if (!grouped[node.geoCellId]) grouped[node.geoCellId] = []
     grouped[node.geoCellId].push(entry)
@@ -1,11 +1,12 @@
 import path from 'path'
 import { generateSamplesForEpoch, flattenGroupedSamples, saveToFile, DEFAULT_N_SAMPLES } from '../generators/samples.js'
 import { runHGC, addMerkleRoots } from '../utils/hgc.js'
-import { saveResults } from '../utils/persistence.js'
-import { loadHgcConfig } from '../config/index.js'
-import { uploadFolder } from '../utils/ipfs.js'
-import { registerGeoBatch } from '../utils/chain.js'
+import { saveResults, loadPreviousLayout, recordEpochStorage } from '../utils/persistence.js'
+import { loadHgcConfig, loadSignatureMode, loadAdmissionMode, loadEnv } from '../config/index.js'
+import { createStorage } from '../utils/storage/index.js'
+import { registerEpochBatches } from '../utils/registration.js'
 import { ensureNodes } from '../utils/ensureNodes.js'
+import { runAdmission } from '../utils/admission.js'
 
 const epochArg = process.argv.find(a => a.startsWith('--epoch='))
 const epoch = epochArg ? parseInt(epochArg.split('=')[1]) : 1
@@ -15,20 +16,24 @@ async function main() {
   const params = loadHgcConfig()
   const nSamples = parseInt(process.env.N_SAMPLES ?? DEFAULT_N_SAMPLES, 10)
   const grouped = generateSamplesForEpoch(nodes, epoch, 0, nSamples)
-  const samples = flattenGroupedSamples(grouped)
+  let samples = flattenGroupedSamples(grouped)
   saveToFile(samples, epoch, { nSamples, nodes: nodes.length })
+  const admission = loadAdmissionMode()
+  if (admission !== 'off') {
+    samples = await runAdmission(epoch, samples, { mode: admission, sensorType: loadEnv().sensorType })
+  }
 
-  const result = runHGC(samples, epoch, params)
+  const layout = await loadPreviousLayout(epoch)
+  const result = runHGC(samples, epoch, params, { onInvalidSignature: loadSignatureMode(), previousLayout: layout?.batchIds })
   addMerkleRoots(result.batches)
-  await saveResults({ ...result, meta: { nodes: nodes.length, nSamples } }, epoch)
+  await saveResults({ ...result, meta: { nodes: nodes.length, nSamples, ...(layout && { layoutEpoch: layout.epoch }) } }, epoch)
 
   const epochDir = path.join(process.cwd(), 'data', `epoch_${epoch}`)
-  const cid = await uploadFolder(epochDir)
-  console.log('CID:', cid)
+  const storage = await createStorage().uploadFolder(epochDir)
+  await recordEpochStorage(epoch, storage)
+  console.log(`CID: ${storage.cid} (${storage.provider} • ${storage.locator})`)
 
-  for (const b of result.batches) {
-    await registerGeoBatch(epoch, b.geoBatchId, b.merkleRoot, cid)
-  }
+  await registerEpochBatches(epoch, result.batches, storage.cid)
 }
 
 main().catch(err => {
@@ -1,10 +1,200 @@
-// placeholder reward distribution script
+import fs from 'fs'
+import path from 'path'
+import { ethers } from 'ethers'
+import { loadRewardConfig } from '../config/index.js'
+import {
+  epochsForCycle,
+  loadEpochBatches,
+  loadCellToBatchMap,
+  partitionByBatch,
+  scoreIssuers,
+  allocateRewards,
+  buildRewardTree
+} from '../utils/rewards.js'
+import { publishRewardCycle, publishRewardBatch, getRewardBatch, toOnChainGeoId } from '../utils/chain.js'
+import { uploadFile } from '../utils/ipfs.js'
+import { getRewardPolicy } from '../utils/rewardPolicies.js'
 
-export async function runReward(epoch) {
-  console.log(`(stub) reward distribution for epoch ${epoch}`);
+async function loadCycle (epochWeek, epochWindow, baseDir) {
+  const cycle = []
+  for (const epoch of epochsForCycle(epochWeek, epochWindow)) {
+    const batches = await loadEpochBatches(epoch, baseDir)
+    if (batches) cycle.push({ epoch, batches })
+  }
+  return cycle
+}
+
+function sumScores (scores) {
+  return Object.values(scores).reduce((s, n) => s + n, 0)
+}
+
+/**
+ * Compute the reward distribution of a cycle from the epochs saved on disk.
+ * Issuers are scored with the policy selected in `config.policy`.
+ * Writes `data/rewards/cycle_<W>.json` with the root, total and every node's proof.
+ * @param {number} epochWeek - Reward cycle (`floor(epoch / epochWindow)`).
+ * @param {{baseDir?: string, config?: object, publish?: boolean}} [options]
+ * @returns {Promise<object>} Distribution payload saved to disk.
+ */
+export async function runReward (epochWeek, { baseDir = process.cwd(), config = loadRewardConfig(), publish = false } = {}) {
+  const { epochWindow, rewardPerCycle } = config
+  const policy = getRewardPolicy(config)
+
+  const cycle = await loadCycle(epochWeek, epochWindow, baseDir)
+  const epochs = cycle.map(e => e.epoch)
+
+  const { scores, ignored } = scoreIssuers(cycle, policy)
+  const amounts = allocateRewards(scores, rewardPerCycle)
+  const { merkleRoot, totalToMint, nodes } = buildRewardTree(amounts)
+
+  for (const node of Object.keys(nodes)) nodes[node] = { score: scores[node], ...nodes[node] }
+
+  const distribution = {
+    epochWeek,
+    epochWindow,
+    epochs,
+    policy: { name: policy.name, params: policy.params },
+    merkleRoot,
+    rewardPerCycle: rewardPerCycle.toString(),
+    totalToMint: totalToMint.toString(),
+    totalScore: sumScores(scores),
+    ignoredSamples: ignored,
+    nodesTotal: Object.keys(nodes).length,
+    nodes
+  }
+
+  const dir = path.join(baseDir, 'data', 'rewards')
+  await fs.promises.mkdir(dir, { recursive: true })
+  await fs.promises.writeFile(path.join(dir, `cycle_${epochWeek}.json`), JSON.stringify(distribution, null, 2))
+  console.log(`✅ Rewards: ciclo ${epochWeek} • ${epochs.length} epochs • ${distribution.nodesTotal} nodes • root ${merkleRoot}`)
+
+  if (publish) {
+    if (totalToMint === 0n) throw new Error(`cycle ${epochWeek} has nothing to distribute`)
+    await publishRewardCycle(epochWeek, merkleRoot, totalToMint)
+  }
+
+  return distribution
+}
+
+/**
+ * Compute one reward tree per HGC geoBatch for `GeoRewardManagerHGC`.
+ * Readings are assigned to their batch through `cellToBatchMap.json`; the pool
+ * is split over every `(geoBatch, node)` score, so the sum of the batch totals
+ * never exceeds `rewardPerCycle`. Writes `data/rewards/cycle_<W>/<geoBatchId>.json`
+ * per batch and an `index.json` summary.
+ * @param {number} epochWeek - Reward cycle (`floor(epoch / epochWindow)`).
+ * @param {{baseDir?: string, config?: object, publish?: boolean, upload?: (file:string) => Promise<string>}} [options]
+ * @returns {Promise<object>} Index payload saved to disk.
+ */
+export async function runRewardBatches (epochWeek, { baseDir = process.cwd(), config = loadRewardConfig(), publish = false, upload } = {}) {
+  const { epochWindow, rewardPerCycle } = config
+  const policy = getRewardPolicy(config)
+
+  const cycle = await loadCycle(epochWeek, epochWindow, baseDir)
+  const parts = partitionByBatch(cycle, await loadCellToBatchMap(baseDir))
+
+  const batchScores = new Map()
+  const combined = {}
+  let ignored = 0
+  for (const [geoBatchId, subCycle] of parts) {
+    const result = scoreIssuers(subCycle, policy)
+    ignored += result.ignored
+    batchScores.set(geoBatchId, result.scores)
+    for (const [node, score] of Object.entries(result.scores)) combined[`${geoBatchId}:${node}`] = score
+  }
+  const combinedAmounts = allocateRewards(combined, rewardPerCycle)
+
+  const dir = path.join(baseDir, 'data', 'rewards', `cycle_${epochWeek}`)
+  await fs.promises.mkdir(dir, { recursive: true })
+
+  const batches = []
+  let cycleTotal = 0n
+  for (const [geoBatchId, scores] of batchScores) {
+    const amounts = {}
+    for (const node of Object.keys(scores)) {
+      const amount = combinedAmounts[`${geoBatchId}:${node}`]
+      if (amount) amounts[node] = amount
+    }
+    if (!Object.keys(amounts).length) continue
+
+    const { merkleRoot, totalToMint, nodes } = buildRewardTree(amounts)
+    for (const node of Object.keys(nodes)) nodes[node] = { score: scores[node], ...nodes[node] }
+    const geoId = toOnChainGeoId(geoBatchId).toString()
+    const payload = {
+      epochWeek,
+      geoBatchId,
+      geoId,
+      epochs: parts.get(geoBatchId).map(e => e.epoch),
+      policy: { name: policy.name, params: policy.params },
+      merkleRoot,
+      totalToMint: totalToMint.toString(),
+      totalScore: sumScores(scores),
+      nodesTotal: Object.keys(nodes).length,
+      nodes
+    }
+    await fs.promises.writeFile(path.join(dir, `${geoBatchId}.json`), JSON.stringify(payload, null, 2))
+
+    cycleTotal += totalToMint
+    batches.push({ geoBatchId, geoId, merkleRoot, totalToMint: payload.totalToMint, nodesTotal: payload.nodesTotal })
+  }
+
+  const index = {
+    epochWeek,
+    epochWindow,
+    epochs: cycle.map(e => e.epoch),
+    policy: { name: policy.name, params: policy.params },
+    rewardPerCycle: rewardPerCycle.toString(),
+    totalToMint: cycleTotal.toString(),
+    ignoredSamples: ignored,
+    batchesTotal: batches.length,
+    batches
+  }
+  await fs.promises.writeFile(path.join(dir, 'index.json'), JSON.stringify(index, null, 2))
+  console.log(`✅ Rewards: ciclo ${epochWeek} • ${batches.length} geoBatches • total ${cycleTotal}`)
+
+  if (publish) return publishRewardBatches(epochWeek, { baseDir, upload })
+  return index
+}
+
+/**
+ * Publish every batch tree of a cycle with `publishRewardBatch`.
+ * Each batch file is uploaded and its CID used as `dataCID`. Batches already
+ * published with the same root are skipped; a different root is an error.
+ * The CIDs and transactions are recorded in `index.json`.
+ * @param {number} epochWeek - Reward cycle.
+ * @param {{baseDir?: string, upload?: (file:string) => Promise<string>}} [options]
+ * @returns {Promise<object>} Updated index payload.
+ */
+export async function publishRewardBatches (epochWeek, { baseDir = process.cwd(), upload = uploadFile } = {}) {
+  const dir = path.join(baseDir, 'data', 'rewards', `cycle_${epochWeek}`)
+  const indexPath = path.join(dir, 'index.json')
+  const index = JSON.parse(await fs.promises.readFile(indexPath, 'utf8'))
+
+  let published = 0
+  for (const batch of index.batches) {
+    const existing = await getRewardBatch(epochWeek, batch.geoBatchId)
+    if (existing.merkleRoot === batch.merkleRoot) continue
+    if (existing.merkleRoot !== ethers.ZeroHash) {
+      throw new Error(`conflict: reward batch ${batch.geoBatchId} already published with root ${existing.merkleRoot}`)
+    }
+    batch.dataCID = await upload(path.join(dir, `${batch.geoBatchId}.json`))
+    const { txHash } = await publishRewardBatch(epochWeek, batch.geoBatchId, batch.merkleRoot, BigInt(batch.totalToMint), batch.dataCID)
+    batch.txHash = txHash
+    published++
+  }
+
+  await fs.promises.writeFile(indexPath, JSON.stringify(index, null, 2))
+  console.log(`✅ publishRewardBatch: ${published} de ${index.batches.length} geoBatches publicados`)
+  return index
 }
 
 if (process.argv[1] && process.argv[1].includes('rewardJob.js')) {
-  const epoch = parseInt(process.argv[2] || '1');
-  runReward(epoch);
+  const cycleArg = process.argv.find(a => a.startsWith('--cycle='))
+  const epochWeek = parseInt(cycleArg ? cycleArg.split('=')[1] : '0')
+  const config = loadRewardConfig()
+  const run = config.mode === 'batch' ? runRewardBatches : runReward
+  run(epochWeek, { config, publish: process.argv.includes('--publish') }).catch(err => {
+    console.error(err)
+    process.exit(1)
+  })
 }
@@ -0,0 +1,40 @@
+import path from 'path'
+import { computeCid, writeCar } from '../utils/unixfs.js'
+
+function parseArg (name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`))
+  return arg ? arg.split('=')[1] : undefined
+}
+
+const epoch = parseArg('epoch')
+const dir = parseArg('dir') ?? (epoch && path.join(process.cwd(), 'data', `epoch_${epoch}`))
+const out = parseArg('out')
+const expected = parseArg('expect')
+
+export async function exportCar () {
+  if (!dir) {
+    console.error('Usage: node src/scripts/car.mjs --epoch=<E> | --dir=<path> [--out=<file.car>] [--expect=<cid>]')
+    process.exit(1)
+  }
+  let cid
+  if (out) {
+    const car = await writeCar(dir, out)
+    cid = car.cid
+    console.log(`CAR: ${out} (${car.blocks} blocos, ${car.bytes} bytes)`)
+  } else {
+    cid = await computeCid(dir)
+  }
+  console.log('CID:', cid)
+
+  if (expected && expected !== cid) {
+    console.error(`❌ CID diferente do esperado (${expected})`)
+    process.exit(1)
+  }
+  if (expected) console.log('✅ CID confere')
+  return cid
+}
+
+exportCar().catch(err => {
+  console.error(err)
+  process.exit(1)
+})
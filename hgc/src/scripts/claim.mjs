@@ -0,0 +1,42 @@
+import fs from 'fs'
+import path from 'path'
+import { listClaimable, submitClaims } from '../utils/claims.js'
+import { getChainContracts } from '../utils/chain.js'
+
+function parseArg (name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`))
+  return arg ? arg.split('=')[1] : undefined
+}
+
+const cycle = parseArg('cycle')
+const dataDir = parseArg('dataDir') ?? path.join(process.cwd(), 'data')
+const file = parseArg('file') ?? (cycle !== undefined ? path.join(dataDir, 'rewards', `cycle_${cycle}.json`) : undefined)
+const submit = process.argv.includes('--submit')
+
+export async function claim () {
+  if (!file) {
+    console.error('Usage: node src/scripts/claim.mjs --cycle=<W> | --file=<distribution.json> [--controller=<address>] [--dataDir=<dir>] [--submit]')
+    process.exit(1)
+  }
+  const distribution = JSON.parse(await fs.promises.readFile(file, 'utf8'))
+  const contracts = await getChainContracts()
+  const controller = parseArg('controller') ?? await contracts.signer.getAddress()
+
+  const report = await listClaimable(distribution, controller, contracts)
+  console.log(JSON.stringify(report, null, 2))
+  if (!report.rootMatches) console.warn(`⚠️ ciclo ${report.epochWeek}: root on-chain ${report.onChainRoot} difere do arquivo`)
+
+  if (submit) {
+    if (controller.toLowerCase() !== (await contracts.signer.getAddress()).toLowerCase()) {
+      throw new Error('--submit requires PRIVATE_KEY to be the controller key')
+    }
+    const results = await submitClaims(distribution, contracts.signer, contracts)
+    for (const r of results) console.log(`✅ claim ${r.node} • ${r.amount} • tx ${r.txHash}`)
+  }
+  return report
+}
+
+claim().catch(err => {
+  console.error(err)
+  process.exit(1)
+})
@@ -0,0 +1,31 @@
+import { ensureNodes } from '../utils/ensureNodes.js'
+import { onboardNodes, DEFAULT_ONBOARDING_CHUNK } from '../utils/onboarding.js'
+import { getChainContracts, isChainEnabled } from '../utils/chain.js'
+import { loadEnv } from '../config/index.js'
+
+function parseArg (name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`))
+  return arg ? arg.split('=')[1] : undefined
+}
+
+export async function onboard () {
+  let controller = parseArg('controller')
+  if (!controller && isChainEnabled()) controller = await (await getChainContracts()).signer.getAddress()
+  if (!controller) {
+    console.error('Usage: node src/scripts/onboard-nodes.mjs --controller=<address> [--nodeType=<T>] [--chunk=<N>] [--limit=<N>]')
+    process.exit(1)
+  }
+
+  const nodes = await ensureNodes()
+  const limit = parseArg('limit')
+  return onboardNodes(limit ? nodes.slice(0, parseInt(limit)) : nodes, {
+    controller,
+    nodeType: parseInt(parseArg('nodeType') ?? loadEnv().sensorType),
+    chunkSize: parseInt(parseArg('chunk') ?? DEFAULT_ONBOARDING_CHUNK)
+  })
+}
+
+onboard().catch(err => {
+  console.error(err)
+  process.exit(1)
+})
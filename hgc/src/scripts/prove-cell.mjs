@@ -0,0 +1,32 @@
+import path from 'path'
+import { loadCellProof, loadEpochProof } from '../utils/proofs.js'
+import { encodeGeoId } from '../utils/geoid.js'
+import { loadEnv } from '../config/index.js'
+
+function parseArg (name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`))
+  return arg ? arg.split('=')[1] : undefined
+}
+
+const epoch = parseInt(parseArg('epoch') ?? '1')
+const cell = parseArg('cell')
+const dataDir = parseArg('dataDir') ?? path.join(process.cwd(), 'data')
+const withSuperRoot = process.argv.includes('--super')
+
+export async function proveCell () {
+  if (!cell) {
+    console.error('Usage: node src/scripts/prove-cell.mjs --epoch=<E> --cell=<geoCellId> [--dataDir=<dir>] [--super]')
+    process.exit(1)
+  }
+  const load = withSuperRoot ? loadEpochProof : loadCellProof
+  const proof = await load(path.join(dataDir, `epoch_${epoch}`), cell)
+  // uint64 geoBatchId to pass to verifyLeafInBatch
+  proof.geoBatchIdOnChain = encodeGeoId(proof.geoBatchId, loadEnv().sensorType).toString()
+  console.log(JSON.stringify(proof, null, 2))
+  return proof
+}
+
+proveCell().catch(err => {
+  console.error(err)
+  process.exit(1)
+})
@@ -0,0 +1,40 @@
+import fs from 'fs'
+import path from 'path'
+import { queryArea } from '../utils/spatialQuery.js'
+
+function parseArg (name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`))
+  return arg ? arg.split('=')[1] : undefined
+}
+
+const bbox = parseArg('bbox')
+const polygonFile = parseArg('polygon')
+const fromEpoch = parseInt(parseArg('from') ?? '1')
+const toEpoch = parseInt(parseArg('to') ?? String(fromEpoch))
+const dataDir = parseArg('dataDir') ?? path.join(process.cwd(), 'data')
+const out = parseArg('out')
+const withSuperRoot = process.argv.includes('--super')
+
+export async function queryAreaCli () {
+  if (!bbox === !polygonFile) {
+    console.error('Usage: node src/scripts/query-area.mjs (--bbox=<minLng,minLat,maxLng,maxLat> | --polygon=<file.geojson>) --from=<E> [--to=<E>] [--dataDir=<dir>] [--super] [--out=<file>]')
+    process.exit(1)
+  }
+  const area = bbox
+    ? bbox.split(',').map(Number)
+    : JSON.parse(await fs.promises.readFile(polygonFile, 'utf8'))
+  const result = await queryArea(area, { fromEpoch, toEpoch, dataDir, withSuperRoot })
+
+  if (out) {
+    await fs.promises.writeFile(out, JSON.stringify(result, null, 2))
+    console.log(`✅ ${result.cellsTotal} células em ${result.epochs.length} epochs → ${out}`)
+  } else {
+    console.log(JSON.stringify(result, null, 2))
+  }
+  return result
+}
+
+queryAreaCli().catch(err => {
+  console.error(err)
+  process.exit(1)
+})
@@ -0,0 +1,54 @@
+import path from 'path'
+import { runHGCStream, DEFAULT_PARTITIONS } from '../utils/hgcStream.js'
+import { loadPreviousLayout, recordEpochStorage } from '../utils/persistence.js'
+import { loadHgcConfig, loadSignatureMode, loadWorkers } from '../config/index.js'
+import { createStorage, isStorageEnabled } from '../utils/storage/index.js'
+import { isChainEnabled } from '../utils/chain.js'
+import { registerEpochBatches } from '../utils/registration.js'
+
+function parseArg (name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`))
+  return arg ? arg.split('=')[1] : undefined
+}
+
+const epoch = parseInt(parseArg('epoch') ?? '1')
+const input = parseArg('input') ?? path.join(process.cwd(), 'data', 'ingest', `epoch_${epoch}.ndjson`)
+const partitions = parseInt(parseArg('partitions') ?? String(DEFAULT_PARTITIONS))
+const invalidFile = parseArg('invalid')
+
+export async function runEpochStream () {
+  const params = loadHgcConfig()
+  const layout = await loadPreviousLayout(epoch)
+  const result = await runHGCStream(input, epoch, params, {
+    onInvalid: invalidFile ? 'mark' : 'discard',
+    onInvalidSignature: loadSignatureMode(),
+    partitions,
+    invalidFile,
+    workers: loadWorkers(),
+    previousLayout: layout?.batchIds,
+    meta: layout ? { layoutEpoch: layout.epoch } : {}
+  })
+  console.log('Resumo:', result.summary)
+  if (result.invalidSamples) console.log(`Leituras inválidas: ${result.invalidSamples}${invalidFile ? ` → ${invalidFile}` : ''}`)
+  console.log('SuperRoot:', result.superRoot)
+
+  let cid
+  if (isStorageEnabled()) {
+    const epochDir = path.join(process.cwd(), 'data', `epoch_${epoch}`)
+    const storage = await createStorage().uploadFolder(epochDir)
+    await recordEpochStorage(epoch, storage)
+    cid = storage.cid
+    console.log(`CID: ${cid} (${storage.provider} • ${storage.locator})`)
+  }
+
+  if (isChainEnabled()) {
+    await registerEpochBatches(epoch, result.batches, cid)
+  }
+
+  return result.superRoot
+}
+
+runEpochStream().catch(err => {
+  console.error(err)
+  process.exit(1)
+})
@@ -1,11 +1,13 @@
 import path from 'path'
 import { generateSamplesForEpoch, flattenGroupedSamples, DEFAULT_N_SAMPLES } from '../generators/samples.js'
-import { runHGC } from '../utils/hgc.js'
-import { saveResults } from '../utils/persistence.js'
-import { loadHgcConfig } from '../config/index.js'
-import { uploadFolder, isIpfsEnabled } from '../utils/ipfs.js'
-import { registerGeoBatch, isChainEnabled } from '../utils/chain.js'
+import { runHGCParallel } from '../utils/hgcParallel.js'
+import { saveResults, loadPreviousLayout, recordEpochStorage } from '../utils/persistence.js'
+import { loadHgcConfig, loadSignatureMode, loadAdmissionMode, loadWorkers, loadEnv } from '../config/index.js'
+import { createStorage, isStorageEnabled } from '../utils/storage/index.js'
+import { isChainEnabled } from '../utils/chain.js'
+import { registerEpochBatches } from '../utils/registration.js'
 import { ensureNodes } from '../utils/ensureNodes.js'
+import { runAdmission } from '../utils/admission.js'
 
 const epochArg = process.argv.find(a => a.startsWith('--epoch='))
 const epoch = epochArg ? parseInt(epochArg.split('=')[1]) : 1
@@ -15,24 +17,34 @@ export async function runEpoch () {
   const params = loadHgcConfig()
   const nSamples = parseInt(process.env.N_SAMPLES ?? DEFAULT_N_SAMPLES, 10)
   const grouped = generateSamplesForEpoch(nodes, epoch, 0, nSamples)
-  const samples = flattenGroupedSamples(grouped)
+  let samples = flattenGroupedSamples(grouped)
+  const admission = loadAdmissionMode()
+  if (admission !== 'off') {
+    samples = await runAdmission(epoch, samples, { mode: admission, sensorType: loadEnv().sensorType })
+  }
 
-  const result = runHGC(samples, epoch, params)
-  const superRoot = await saveResults({ ...result, meta: { nodes: nodes.length, nSamples } }, epoch)
+  const layout = await loadPreviousLayout(epoch)
+  const result = await runHGCParallel(samples, epoch, params, {
+    onInvalidSignature: loadSignatureMode(),
+    workers: loadWorkers(),
+    previousLayout: layout?.batchIds
+  })
+  const meta = { nodes: nodes.length, nSamples, ...(layout && { layoutEpoch: layout.epoch }) }
+  const superRoot = await saveResults({ ...result, meta }, epoch)
   console.log('Resumo:', result.summary)
   console.log('SuperRoot:', superRoot.superRoot)
 
   let cid
-  if (isIpfsEnabled()) {
+  if (isStorageEnabled()) {
     const epochDir = path.join(process.cwd(), 'data', `epoch_${epoch}`)
-    cid = await uploadFolder(epochDir)
-    console.log('CID:', cid)
+    const storage = await createStorage().uploadFolder(epochDir)
+    await recordEpochStorage(epoch, storage)
+    cid = storage.cid
+    console.log(`CID: ${cid} (${storage.provider} • ${storage.locator})`)
   }
 
   if (isChainEnabled()) {
-    for (const b of result.batches) {
-      await registerGeoBatch(epoch, b.geoBatchId, b.merkleRoot, cid)
-    }
+    await registerEpochBatches(epoch, result.batches, cid)
   }
 
   return superRoot.superRoot
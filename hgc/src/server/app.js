@@ -0,0 +1,42 @@
+import express from 'express'
+import cors from 'cors'
+import { loadHgcConfig, loadCloseToken } from '../config/index.js'
+import { createEpochBuffer } from './epochBuffer.js'
+import { ingestRouter } from './routes/ingest.js'
+import { queryRouter } from './routes/query.js'
+
+/**
+ * Build the HGC HTTP service: reading ingestion and read-only queries.
+ * @param {{baseDir?: string, params?: object, verifySignatures?: boolean, maxBatch?: number, jsonLimit?: string, closeToken?: string}} [options]
+ *   `baseDir` holds `data/`; `params` are the HGC parameters used when closing epochs;
+ *   `closeToken` is the operator token required to close them (`HGC_CLOSE_TOKEN`).
+ * @returns {import('express').Express}
+ */
+export function createApp (options = {}) {
+  const {
+    baseDir = process.cwd(),
+    params = loadHgcConfig(),
+    verifySignatures = true,
+    maxBatch,
+    jsonLimit = '10mb',
+    closeToken = loadCloseToken()
+  } = options
+
+  const app = express()
+  app.use(cors())
+  app.use(express.json({ limit: jsonLimit }))
+
+  const buffer = createEpochBuffer(baseDir)
+  app.get('/health', (req, res) => res.json({ ok: true }))
+  app.use(ingestRouter(buffer, { baseDir, params, verifySignatures, maxBatch, closeToken }))
+  app.use(queryRouter({ baseDir }))
+
+  // malformed JSON and unexpected errors
+  app.use((err, req, res, _next) => {
+    const status = err.status ?? err.statusCode ?? 500
+    if (status >= 500) console.error(err)
+    res.status(status).json({ error: err.message })
+  })
+
+  return app
+}
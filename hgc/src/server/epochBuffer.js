@@ -0,0 +1,67 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * On-disk buffer of ingested readings, one NDJSON file per epoch in
+ * `data/ingest/epoch_<N>.ndjson`. Operations on the same epoch are serialized
+ * so a close never races with an append.
+ * @param {string} [baseDir=process.cwd()] - Base directory holding `data/`.
+ */
+export function createEpochBuffer (baseDir = process.cwd()) {
+  const dir = path.join(baseDir, 'data', 'ingest')
+  const locks = new Map()
+
+  const fileFor = epoch => path.join(dir, `epoch_${epoch}.ndjson`)
+
+  function withLock (epoch, fn) {
+    const prev = locks.get(epoch) ?? Promise.resolve()
+    const next = prev.then(fn, fn)
+    locks.set(epoch, next.catch(() => {}))
+    return next
+  }
+
+  /** True once the epoch has been compressed into `data/epoch_<N>`. */
+  function isClosed (epoch) {
+    return fs.existsSync(path.join(baseDir, 'data', `epoch_${epoch}`, 'superRoot.json'))
+  }
+
+  async function read (epoch) {
+    let content
+    try {
+      content = await fs.promises.readFile(fileFor(epoch), 'utf8')
+    } catch {
+      return []
+    }
+    return content.split('\n').filter(Boolean).map(line => JSON.parse(line))
+  }
+
+  /**
+   * Append readings to the epoch. The closed check runs under the epoch lock,
+   * so a close either sees the readings or they are not written at all.
+   * @returns {Promise<boolean>} False, with nothing written, once the epoch is closed.
+   */
+  function append (epoch, readings) {
+    return withLock(epoch, async () => {
+      if (isClosed(epoch)) return false
+      await fs.promises.mkdir(dir, { recursive: true })
+      await fs.promises.appendFile(fileFor(epoch), readings.map(r => JSON.stringify(r) + '\n').join(''))
+      return true
+    })
+  }
+
+  async function epochs () {
+    let names = []
+    try {
+      names = await fs.promises.readdir(dir)
+    } catch {
+      return []
+    }
+    return names
+      .map(n => /^epoch_(\d+)\.ndjson$/.exec(n))
+      .filter(Boolean)
+      .map(m => parseInt(m[1]))
+      .sort((a, b) => a - b)
+  }
+
+  return { dir, fileFor, withLock, isClosed, read, append, epochs }
+}
@@ -0,0 +1,9 @@
+import { createApp } from './app.js'
+import { loadEnv } from '../config/index.js'
+
+loadEnv()
+const port = parseInt(process.env.HGC_PORT ?? '3000', 10)
+
+createApp().listen(port, () => {
+  console.log(`✅ HGC API ouvindo em http://localhost:${port}`)
+})
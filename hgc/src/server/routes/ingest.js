@@ -0,0 +1,144 @@
+import crypto from 'crypto'
+import express from 'express'
+import { ethers } from 'ethers'
+import { validateSample } from '../../utils/validation.js'
+import { validateSampleSignature } from '../../utils/sampleSigner.js'
+import { runHGC, epochForTimestamp } from '../../utils/hgc.js'
+import { saveResults, loadPreviousLayout } from '../../utils/persistence.js'
+
+/**
+ * Check a reading pushed by a device or gateway.
+ * @param {object} reading - Single reading or reading with nested `samples`.
+ * @param {{verifySignatures?: boolean}} [options]
+ * @returns {string[]} Error messages, empty when the reading is accepted.
+ */
+export function validateReading (reading, { verifySignatures = true } = {}) {
+  if (!reading || typeof reading !== 'object' || Array.isArray(reading)) return ['leitura deve ser um objeto']
+  const errors = []
+  if (typeof reading.geoCellId !== 'string') errors.push('geoCellId ausente')
+  if (!Number.isFinite(reading.timestamp) || reading.timestamp < 0) errors.push(`timestamp inválido (${reading.timestamp})`)
+  if (!reading.issuer || !ethers.isAddress(reading.issuer)) errors.push(`issuer inválido (${reading.issuer})`)
+  errors.push(...validateSample(reading))
+  if (reading.samples !== undefined) {
+    if (!Array.isArray(reading.samples) || !reading.samples.length) {
+      errors.push('samples deve ser uma lista não vazia')
+    } else {
+      for (const sample of reading.samples) errors.push(...validateSample({ ...sample, geoCellId: reading.geoCellId }))
+    }
+  }
+  if (!errors.length && verifySignatures) errors.push(...validateSampleSignature(reading))
+  return errors
+}
+
+function toList (body) {
+  if (Array.isArray(body)) return body
+  if (Array.isArray(body?.readings)) return body.readings
+  return [body]
+}
+
+// `Authorization: Bearer <token>` compared in constant time
+function hasToken (req, token) {
+  const match = /^Bearer (.+)$/.exec(req.get('authorization') ?? '')
+  if (!match) return false
+  const given = Buffer.from(match[1])
+  const expected = Buffer.from(token)
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+}
+
+/**
+ * Routes to push readings and close epochs.
+ * @param {object} buffer - Epoch buffer from `createEpochBuffer`.
+ * @param {{baseDir: string, params?: object, verifySignatures?: boolean, maxBatch?: number, closeToken?: string}} options
+ *   Closing an epoch requires `closeToken` as a bearer token; without one it is disabled.
+ * @returns {import('express').Router}
+ */
+export function ingestRouter (buffer, { baseDir, params, verifySignatures = true, maxBatch = 5000, closeToken = '' }) {
+  const router = express.Router()
+
+  // POST /readings – one reading, an array or { readings: [...] }
+  router.post('/readings', async (req, res, next) => {
+    try {
+      const readings = toList(req.body)
+      if (readings.length > maxBatch) {
+        return res.status(413).json({ error: `at most ${maxBatch} readings per request` })
+      }
+
+      const rejected = []
+      const byEpoch = new Map()
+      readings.forEach((reading, index) => {
+        const errors = validateReading(reading, { verifySignatures })
+        if (errors.length) return rejected.push({ index, errors })
+        const epoch = epochForTimestamp(reading.timestamp)
+        if (!byEpoch.has(epoch)) byEpoch.set(epoch, [])
+        byEpoch.get(epoch).push(index)
+      })
+
+      // each epoch is checked and appended under its lock: a close landing
+      // mid-request only rejects the readings of that epoch
+      for (const [epoch, indexes] of byEpoch) {
+        if (await buffer.append(epoch, indexes.map(i => readings[i]))) continue
+        rejected.push(...indexes.map(index => ({ index, errors: [`epoch ${epoch} already closed`] })))
+        byEpoch.delete(epoch)
+      }
+
+      const accepted = readings.length - rejected.length
+      rejected.sort((a, b) => a.index - b.index)
+      res.status(accepted ? 202 : 400).json({ accepted, epochs: [...byEpoch.keys()], rejected })
+    } catch (err) {
+      next(err)
+    }
+  })
+
+  // GET /epochs/open – epochs with buffered readings not yet closed
+  router.get('/epochs/open', async (req, res, next) => {
+    try {
+      const open = []
+      for (const epoch of await buffer.epochs()) {
+        if (!buffer.isClosed(epoch)) open.push({ epoch, readings: (await buffer.read(epoch)).length })
+      }
+      res.json(open)
+    } catch (err) {
+      next(err)
+    }
+  })
+
+  // POST /epochs/:epoch/close – run runHGC + saveResults over the buffered readings
+  router.post('/epochs/:epoch/close', async (req, res, next) => {
+    if (!closeToken) return res.status(403).json({ error: 'closing epochs is disabled (HGC_CLOSE_TOKEN not set)' })
+    if (!hasToken(req, closeToken)) return res.status(401).json({ error: 'operator token required' })
+    const epoch = Number(req.params.epoch)
+    if (!Number.isInteger(epoch) || epoch < 0) return res.status(400).json({ error: 'invalid epoch' })
+    try {
+      const out = await buffer.withLock(epoch, async () => {
+        if (buffer.isClosed(epoch)) return { status: 409, body: { error: `epoch ${epoch} already closed` } }
+        const readings = await buffer.read(epoch)
+        if (!readings.length) return { status: 404, body: { error: `no readings buffered for epoch ${epoch}` } }
+
+        // readings were validated on ingest; signatures are not re-checked here
+        const layout = await loadPreviousLayout(epoch, baseDir)
+        const result = runHGC(readings, epoch, params, { onInvalid: 'discard', previousLayout: layout?.batchIds })
+        const superRoot = await saveResults(
+          { ...result, meta: { source: 'ingest', readings: readings.length, ...(layout && { layoutEpoch: layout.epoch }) } },
+          epoch,
+          baseDir
+        )
+        console.log(`✅ Ingest: epoch ${epoch} fechado • ${readings.length} leituras • ${superRoot.batchesTotal} geoBatches`)
+        return {
+          status: 200,
+          body: {
+            epoch,
+            superRoot: superRoot.superRoot,
+            batchesTotal: superRoot.batchesTotal,
+            samplesTotal: superRoot.samplesTotal,
+            summary: result.summary
+          }
+        }
+      })
+      res.status(out.status).json(out.body)
+    } catch (err) {
+      next(err)
+    }
+  })
+
+  return router
+}
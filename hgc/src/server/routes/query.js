@@ -0,0 +1,169 @@
+import fs from 'fs'
+import path from 'path'
+import express from 'express'
+import * as h3 from 'h3-js'
+import { findCellBatch, buildCellProof, buildAggregateProofs, loadEpochProof } from '../../utils/proofs.js'
+import { querySeries, DEFAULT_MAX_EPOCHS } from '../../utils/timeQuery.js'
+import { epochForTimestamp } from '../../utils/hgc.js'
+
+// fields of superRoot.json listed by GET /epochs
+const SUMMARY_FIELDS = ['epoch', 'superRoot', 'batchesTotal', 'samplesTotal', 'tsMin', 'tsMax', 'schemaVersion']
+
+async function readJson (filePath) {
+  return JSON.parse(await fs.promises.readFile(filePath, 'utf8'))
+}
+
+function isNotFound (err) {
+  return err.code === 'ENOENT' || /not found/.test(err.message)
+}
+
+/**
+ * Read-only routes over `data/epoch_<N>` and `cellToBatchMap.json`.
+ * @param {{baseDir: string}} options - `baseDir` holds `data/`.
+ * @returns {import('express').Router}
+ */
+export function queryRouter ({ baseDir }) {
+  const router = express.Router()
+  const dataDir = path.join(baseDir, 'data')
+  const epochDir = epoch => path.join(dataDir, `epoch_${epoch}`)
+
+  // validates :epoch and loads its superRoot.json into req.superRoot
+  router.param('epoch', async (req, res, next, value) => {
+    const epoch = Number(value)
+    if (!Number.isInteger(epoch) || epoch < 0) return res.status(400).json({ error: 'invalid epoch' })
+    try {
+      req.epoch = epoch
+      req.superRoot = await readJson(path.join(epochDir(epoch), 'superRoot.json'))
+      next()
+    } catch (err) {
+      if (isNotFound(err)) return res.status(404).json({ error: `epoch ${epoch} not found` })
+      next(err)
+    }
+  })
+
+  router.param('cell', (req, res, next, value) => {
+    if (!h3.isValidCell(value)) return res.status(400).json({ error: `invalid geoCellId (${value})` })
+    next()
+  })
+
+  // cell proof for /cells/:cell/readings and /location
+  async function sendReadings (req, res, next, cell) {
+    try {
+      const dir = epochDir(req.epoch)
+      if (req.query.super !== undefined) return res.json(await loadEpochProof(dir, cell))
+      const found = await findCellBatch(dir, cell)
+      const batch = found.batch ?? await readJson(path.join(dir, `${found.geoBatchId}.json`))
+      res.json(buildCellProof(batch, found.geoCellId))
+    } catch (err) {
+      if (isNotFound(err)) return res.status(404).json({ error: err.message })
+      next(err)
+    }
+  }
+
+  // GET /epochs – processed epochs with their super-root summary
+  router.get('/epochs', async (req, res, next) => {
+    try {
+      let names = []
+      try {
+        names = await fs.promises.readdir(dataDir)
+      } catch {
+        // no data yet
+      }
+      const epochs = names
+        .map(n => /^epoch_(\d+)$/.exec(n))
+        .filter(Boolean)
+        .map(m => parseInt(m[1]))
+        .sort((a, b) => a - b)
+
+      const out = []
+      for (const epoch of epochs) {
+        try {
+          const superRoot = await readJson(path.join(epochDir(epoch), 'superRoot.json'))
+          out.push(Object.fromEntries(SUMMARY_FIELDS.map(f => [f, superRoot[f] ?? null])))
+        } catch {
+          // epoch directory without superRoot.json (still being written)
+        }
+      }
+      res.json(out)
+    } catch (err) {
+      next(err)
+    }
+  })
+
+  // GET /cells/:cell/series?from=&to= – time-ordered readings of a cell across epochs
+  router.get('/cells/:cell/series', async (req, res, next) => {
+    const from = Number(req.query.from)
+    const to = Number(req.query.to)
+    if (!Number.isSafeInteger(from) || !Number.isSafeInteger(to) || from < 0 || to < from) {
+      return res.status(400).json({ error: 'from and to are required timestamps (ms) with from <= to' })
+    }
+    const spanned = epochForTimestamp(to) - epochForTimestamp(from) + 1
+    if (spanned > DEFAULT_MAX_EPOCHS) {
+      return res.status(400).json({ error: `time range spans ${spanned} epochs (max ${DEFAULT_MAX_EPOCHS})` })
+    }
+    try {
+      const { epochs, series } = await querySeries([req.params.cell], { from, to, dataDir })
+      res.json({ geoCellId: req.params.cell, from, to, epochs, readings: series[req.params.cell] })
+    } catch (err) {
+      next(err)
+    }
+  })
+
+  // GET /epochs/:epoch – full superRoot.json
+  router.get('/epochs/:epoch', (req, res) => res.json(req.superRoot))
+
+  // GET /epochs/:epoch/batches/:geoBatchId – batch file
+  router.get('/epochs/:epoch/batches/:geoBatchId', async (req, res, next) => {
+    const { geoBatchId } = req.params
+    if (!req.superRoot.batchIds?.includes(geoBatchId)) {
+      return res.status(404).json({ error: `batch ${geoBatchId} not found in epoch ${req.epoch}` })
+    }
+    try {
+      res.json(await readJson(path.join(epochDir(req.epoch), `${geoBatchId}.json`)))
+    } catch (err) {
+      next(err)
+    }
+  })
+
+  // GET /epochs/:epoch/batches/:geoBatchId/aggregates – batch statistics with inclusion proofs
+  router.get('/epochs/:epoch/batches/:geoBatchId/aggregates', async (req, res, next) => {
+    const { geoBatchId } = req.params
+    if (!req.superRoot.batchIds?.includes(geoBatchId)) {
+      return res.status(404).json({ error: `batch ${geoBatchId} not found in epoch ${req.epoch}` })
+    }
+    try {
+      const batch = await readJson(path.join(epochDir(req.epoch), `${geoBatchId}.json`))
+      if (!batch.aggregates) return res.status(404).json({ error: `batch ${geoBatchId} has no aggregates` })
+      res.json(buildAggregateProofs(batch))
+    } catch (err) {
+      next(err)
+    }
+  })
+
+  // GET /epochs/:epoch/cells/:cell – batch holding a cell
+  router.get('/epochs/:epoch/cells/:cell', async (req, res, next) => {
+    try {
+      const { epoch, geoCellId, geoBatchId } = await findCellBatch(epochDir(req.epoch), req.params.cell)
+      res.json({ epoch, geoCellId, geoBatchId })
+    } catch (err) {
+      if (isNotFound(err)) return res.status(404).json({ error: err.message })
+      next(err)
+    }
+  })
+
+  // GET /epochs/:epoch/cells/:cell/readings[?super] – readings with inclusion proof
+  router.get('/epochs/:epoch/cells/:cell/readings', (req, res, next) => sendReadings(req, res, next, req.params.cell))
+
+  // GET /epochs/:epoch/location?lat=&lng=[&super] – same as above for a coordinate
+  router.get('/epochs/:epoch/location', (req, res, next) => {
+    const lat = Number(req.query.lat)
+    const lng = Number(req.query.lng)
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return res.status(400).json({ error: 'lat and lng are required' })
+    }
+    const res8 = req.superRoot.hgcParams?.baseRes ?? 8
+    sendReadings(req, res, next, h3.latLngToCell(lat, lng, res8))
+  })
+
+  return router
+}
@@ -0,0 +1,130 @@
+import fs from 'fs'
+import path from 'path'
+import { ethers } from 'ethers'
+import { getNodeStatuses } from './chain.js'
+
+// Issuers resolved per registry round-trip
+const RESOLVE_CHUNK = 50
+
+/**
+ * Cached issuer resolver backed by `NodeDIDRegistry` (or the mock registry).
+ * Entries older than `ttlMs` are resolved again; with `cacheFile` the cache
+ * survives between runs.
+ * @param {{fetchStatuses?: (nodes:string[]) => Promise<object>, ttlMs?: number, cacheFile?: string, now?: () => number}} [options]
+ * @returns {{resolve: (issuers:string[]) => Promise<Record<string, object>>, save: () => Promise<void>, cache: Map<string, object>}}
+ */
+export function createIssuerResolver (options = {}) {
+  const {
+    fetchStatuses = getNodeStatuses,
+    ttlMs = 60 * 60 * 1000,
+    cacheFile,
+    now = Date.now
+  } = options
+
+  const cache = new Map()
+  if (cacheFile && fs.existsSync(cacheFile)) {
+    for (const [node, entry] of Object.entries(JSON.parse(fs.readFileSync(cacheFile, 'utf8')))) {
+      cache.set(node, entry)
+    }
+  }
+
+  async function resolve (issuers) {
+    const nodes = [...new Set(issuers.map(i => ethers.getAddress(i)))]
+    const stale = nodes.filter(n => !cache.has(n) || now() - cache.get(n).resolvedAt > ttlMs)
+    for (let i = 0; i < stale.length; i += RESOLVE_CHUNK) {
+      const statuses = await fetchStatuses(stale.slice(i, i + RESOLVE_CHUNK))
+      for (const [node, status] of Object.entries(statuses)) {
+        cache.set(node, { ...status, resolvedAt: now() })
+      }
+    }
+    return Object.fromEntries(nodes.map(n => [n, cache.get(n)]))
+  }
+
+  async function save () {
+    if (!cacheFile) return
+    await fs.promises.mkdir(path.dirname(cacheFile), { recursive: true })
+    await fs.promises.writeFile(cacheFile, JSON.stringify(Object.fromEntries(cache), null, 2))
+  }
+
+  return { resolve, save, cache }
+}
+
+// [code, message] of the first admission rule a reading breaks, or null
+function rejection (reading, status, sensorType) {
+  if (!status) return ['invalidIssuer', `issuer inválido (${reading.issuer})`]
+  if (!status.registered) return ['unregistered', 'node não registrado']
+  if (!status.active) return ['inactive', 'node inativo']
+  const expected = reading.sensorType ?? sensorType
+  if (expected !== undefined && status.nodeType !== expected) {
+    return ['nodeType', `nodeType ${status.nodeType} não corresponde ao sensorType ${expected}`]
+  }
+  return null
+}
+
+/**
+ * Issuer-admission stage run ahead of `runHGC`: keeps only readings whose
+ * issuer is registered, active and of the reading's sensor type.
+ * @param {object[]} samples - Readings to admit.
+ * @param {{resolver?: object, sensorType?: number, onRejected?: 'drop' | 'quarantine'}} [options]
+ *   `sensorType` applies to readings without their own `sensorType`;
+ *   `quarantine` returns rejected readings with a `reason`.
+ * @returns {Promise<{admitted: object[], quarantined: object[], rejected: Record<string, number>}>}
+ *   Admitted readings, quarantined readings and rejection count per rule
+ *   (`invalidIssuer`, `unregistered`, `inactive`, `nodeType`).
+ */
+export async function admitIssuers (samples, options = {}) {
+  const { resolver = createIssuerResolver(), sensorType, onRejected = 'drop' } = options
+  const statuses = await resolver.resolve(
+    samples.map(s => s.issuer).filter(i => i && ethers.isAddress(i))
+  )
+
+  const admitted = []
+  const quarantined = []
+  const rejected = {}
+  for (const s of samples) {
+    const status = s.issuer && ethers.isAddress(s.issuer) ? statuses[ethers.getAddress(s.issuer)] : undefined
+    const rule = rejection(s, status, sensorType)
+    if (!rule) {
+      admitted.push(s)
+      continue
+    }
+    const [code, reason] = rule
+    rejected[code] = (rejected[code] ?? 0) + 1
+    if (onRejected === 'quarantine') quarantined.push({ ...s, reason })
+  }
+
+  return { admitted, quarantined, rejected }
+}
+
+/**
+ * Persist quarantined readings of an epoch to `data/quarantine/epoch_<N>.json`.
+ * @param {number} epoch - Epoch number.
+ * @param {object[]} quarantined - Readings returned by `admitIssuers`.
+ * @param {string} [baseDir=process.cwd()] - Base directory holding `data/`.
+ * @returns {Promise<string|null>} File path, or null when nothing was quarantined.
+ */
+export async function saveQuarantine (epoch, quarantined, baseDir = process.cwd()) {
+  if (!quarantined.length) return null
+  const dir = path.join(baseDir, 'data', 'quarantine')
+  await fs.promises.mkdir(dir, { recursive: true })
+  const file = path.join(dir, `epoch_${epoch}.json`)
+  await fs.promises.writeFile(file, JSON.stringify(quarantined, null, 2))
+  return file
+}
+
+/**
+ * Admission stage used by the epoch scripts: resolves issuers with a cache in
+ * `data/issuer-cache.json`, filters the readings and saves the quarantine.
+ * @param {number} epoch - Epoch number.
+ * @param {object[]} samples - Readings of the epoch.
+ * @param {{mode: 'drop' | 'quarantine', sensorType?: number, baseDir?: string}} options
+ * @returns {Promise<object[]>} Admitted readings.
+ */
+export async function runAdmission (epoch, samples, { mode, sensorType, baseDir = process.cwd() }) {
+  const resolver = createIssuerResolver({ cacheFile: path.join(baseDir, 'data', 'issuer-cache.json') })
+  const { admitted, quarantined } = await admitIssuers(samples, { resolver, sensorType, onRejected: mode })
+  await resolver.save()
+  await saveQuarantine(epoch, quarantined, baseDir)
+  console.log(`✅ Admissão: ${admitted.length} de ${samples.length} leituras aceitas • ${samples.length - admitted.length} rejeitadas`)
+  return admitted
+}
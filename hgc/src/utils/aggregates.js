@@ -0,0 +1,95 @@
+import * as h3 from 'h3-js'
+import { cellIdComparator } from './grouping.js'
+import { readingCount, NON_SENSOR_FIELDS } from './lossy.js'
+
+// nearest-rank percentile over an already sorted array
+function rank (sorted, p) {
+  const idx = Math.ceil(p * sorted.length) - 1
+  return sorted[idx >= 0 ? idx : 0]
+}
+
+/**
+ * Summary statistics of a list of values.
+ * `stddev` is the population standard deviation; `p50`/`p95` use nearest rank.
+ * @param {number[]} values - Non-empty list of finite numbers.
+ * @returns {{count:number, min:number, max:number, mean:number, stddev:number, p50:number, p95:number}}
+ */
+export function summarize (values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const count = sorted.length
+  const mean = sorted.reduce((s, v) => s + v, 0) / count
+  const variance = sorted.reduce((s, v) => s + (v - mean) ** 2, 0) / count
+  return {
+    count,
+    min: sorted[0],
+    max: sorted[count - 1],
+    mean,
+    stddev: Math.sqrt(variance),
+    p50: rank(sorted, 0.5),
+    p95: rank(sorted, 0.95)
+  }
+}
+
+// sensor -> values of one cell; nested `samples` count as individual readings
+// and lossy buckets contribute their mean once but all of their samples
+function cellValues (entries) {
+  const values = {}
+  let samples = 0
+  for (const entry of entries) {
+    samples += readingCount(entry)
+    for (const reading of Array.isArray(entry.samples) ? entry.samples : [entry]) {
+      for (const [field, value] of Object.entries(reading)) {
+        if (NON_SENSOR_FIELDS.has(field) || typeof value !== 'number' || !Number.isFinite(value)) continue
+        if (!values[field]) values[field] = []
+        values[field].push(value)
+      }
+    }
+  }
+  return { values, samples }
+}
+
+function aggregateOf (res, parts) {
+  const merged = {}
+  let samples = 0
+  for (const part of parts) {
+    samples += part.samples
+    for (const [sensor, values] of Object.entries(part.values)) {
+      if (!merged[sensor]) merged[sensor] = []
+      for (const v of values) merged[sensor].push(v)
+    }
+  }
+  const sensors = {}
+  for (const sensor of Object.keys(merged).sort()) sensors[sensor] = summarize(merged[sensor])
+  return { res, cells: parts.length, samples, sensors }
+}
+
+/**
+ * Per-sensor aggregates of a batch and of every intermediate parent cell
+ * between the batch resolution and `baseRes`.
+ * @param {Record<string, object[]>} data - Batch `data` object (cell → readings).
+ * @param {{geoBatchId:string, resBatch:number, baseRes:number}} batch - Batch ID and resolutions.
+ * @returns {Record<string, {res:number, cells:number, samples:number, sensors:Record<string, object>}>}
+ *   Aggregates keyed by H3 ID: the batch itself and each parent at
+ *   `resBatch < res < baseRes` holding cells of the batch. With lossy data
+ *   the statistics are taken over the stored bucket means.
+ */
+export function computeAggregates (data, { geoBatchId, resBatch, baseRes }) {
+  const cells = Object.keys(data).sort(cellIdComparator)
+  const perCell = Object.fromEntries(cells.map(c => [c, cellValues(data[c])]))
+
+  const aggregates = { [geoBatchId]: aggregateOf(resBatch, cells.map(c => perCell[c])) }
+  for (let res = resBatch + 1; res < baseRes; res++) {
+    const groups = {}
+    for (const cell of cells) {
+      // coarse leaves of the spatial lossy mode have no parent at finer resolutions
+      if (h3.getResolution(cell) < res) continue
+      const parent = h3.cellToParent(cell, res)
+      if (!groups[parent]) groups[parent] = []
+      groups[parent].push(perCell[cell])
+    }
+    for (const parent of Object.keys(groups).sort(cellIdComparator)) {
+      aggregates[parent] = aggregateOf(res, groups[parent])
+    }
+  }
+  return aggregates
+}
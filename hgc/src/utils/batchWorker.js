@@ -0,0 +1,11 @@
+// Worker of the batch pool (hgcParallel.js): builds one batch per message
+import { parentPort } from 'worker_threads'
+import { buildBatch } from './hgc.js'
+
+parentPort.on('message', ({ id, group, epoch, params }) => {
+  try {
+    parentPort.postMessage({ id, batch: buildBatch(group, epoch, params) })
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message })
+  }
+})
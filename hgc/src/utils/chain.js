@@ -3,6 +3,8 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { loadEnv } from '../config/index.js';
+import { encodeGeoId, decodeGeoId } from './geoid.js';
+import { registrationDomain, recoverRegistrationSigner } from './didSigner.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -10,6 +12,7 @@ let signer;
 let geoDataRegistry;
 let nodeDIDRegistry;
 let rewardManager;
+let rewardManagerHgc;
 const config = loadEnv();
 
 async function fileExists(filePath) {
@@ -31,6 +34,12 @@ function isChainEnabled() {
   );
 }
 
+/** Encode an H3 batch ID into the uint64 geoId expected by GeoDataRegistry */
+export function toOnChainGeoId(geoBatchId, sensorType = config.sensorType) {
+  if (typeof geoBatchId === 'bigint') return geoBatchId;
+  return encodeGeoId(geoBatchId, sensorType);
+}
+
 async function initChain() {
   if (!isChainEnabled() || geoDataRegistry) return;
   const provider = new ethers.JsonRpcProvider(config.polygonRpcUrl);
@@ -59,35 +68,411 @@ async function initChain() {
     rewardAbi,
     signer,
   );
+
+  // GeoRewardManagerHGC is optional (regional rewards experiment)
+  if (config.geoRewardManagerHgc) {
+    const rewardHgcAbi = JSON.parse(
+      await fs.readFile(path.join(abiDir, 'GeoRewardManagerHGC.json'), 'utf8'),
+    ).abi;
+    rewardManagerHgc = new ethers.Contract(
+      config.geoRewardManagerHgc,
+      rewardHgcAbi,
+      signer,
+    );
+  }
+}
+
+/** Path of the mock registry used when the chain is not configured */
+export function mockChainPath() {
+  return (
+    process.env.MOCK_CHAIN_FILE ??
+    path.resolve(__dirname, '../..', 'data', 'mock-chain.json')
+  );
+}
+
+export async function readMockChain() {
+  const filePath = mockChainPath();
+  if (!(await fileExists(filePath))) return [];
+  return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+/**
+ * Register several batches of one epoch in a single `registerGeoBatchBulk` call.
+ * @param {number} epoch - Epoch of the batches.
+ * @param {{geoBatchId:string, merkleRoot:string, cid:string}[]} items - Batches to register.
+ * @returns {Promise<{txHash:string|null, blockNumber:number|null, gasUsed:string|null}>}
+ */
+export async function registerGeoBatchesBulk(epoch, items) {
+  if (!isChainEnabled()) {
+    const filePath = mockChainPath();
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const data = await readMockChain();
+    for (const { geoBatchId, merkleRoot, cid } of items) {
+      const geoId = toOnChainGeoId(geoBatchId).toString();
+      data.push({ epoch, geoBatchId, geoId, merkleRoot, cid });
+    }
+    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+    console.log(`MOCK registerGeoBatchBulk (${items.length})`);
+    return { txHash: null, blockNumber: null, gasUsed: null };
+  }
+
+  await initChain();
+  const tx = await geoDataRegistry.registerGeoBatchBulk(
+    epoch,
+    items.map(i => toOnChainGeoId(i.geoBatchId)),
+    items.map(i => i.merkleRoot),
+    items.map(i => i.cid),
+  );
+  const receipt = await tx.wait();
+  return {
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+  };
 }
 
 export async function registerGeoBatch(epoch, geoBatchId, merkleRoot, cid) {
+  return registerGeoBatchesBulk(epoch, [{ geoBatchId, merkleRoot, cid }]);
+}
+
+/**
+ * Read a registered batch. In mock mode the record comes from the mock file;
+ * unregistered batches return a zero root, like the contract does.
+ */
+export async function getGeoBatch(epoch, batchId) {
   if (!isChainEnabled()) {
-    const filePath = path.resolve(__dirname, '../..', 'data', 'mock-chain.json');
+    const geoId = toOnChainGeoId(batchId).toString();
+    const record = (await readMockChain()).find(
+      r => Number(r.epoch) === Number(epoch) && r.geoId === geoId,
+    );
+    return record
+      ? { merkleRoot: record.merkleRoot, dataCID: record.cid }
+      : { merkleRoot: ethers.ZeroHash, dataCID: '' };
+  }
+  await initChain();
+  return geoDataRegistry.getGeoBatch(epoch, toOnChainGeoId(batchId));
+}
+
+/**
+ * `queryFilter` over `fromBlock..toBlock` in ranges of at most `blockRange`
+ * blocks, for RPC providers that cap the range of `eth_getLogs`.
+ * @param {import('ethers').Contract} contract - Contract to query.
+ * @param {*} filter - Event filter.
+ * @param {number} fromBlock - First block (inclusive).
+ * @param {number} toBlock - Last block (inclusive).
+ * @param {number} blockRange - Blocks per request.
+ * @returns {Promise<import('ethers').EventLog[]>} Events in block order.
+ */
+export async function queryFilterPaged(contract, filter, fromBlock, toBlock, blockRange) {
+  if (!(blockRange > 0)) throw new Error(`invalid block range ${blockRange}`);
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, toBlock);
+    events.push(...(await contract.queryFilter(filter, start, end)));
+  }
+  return events;
+}
+
+/**
+ * Batches registered for epochs `fromEpoch..toEpoch`, from the
+ * `GeoBatchRegistered` events (or the mock file), in registration order.
+ * Events are read from the GeoDataRegistry deployment block
+ * (`GEO_DATA_REGISTRY_BLOCK`) in ranges of `LOGS_BLOCK_RANGE` blocks.
+ * @param {number} fromEpoch - First epoch (inclusive).
+ * @param {number} toEpoch - Last epoch (inclusive).
+ * @param {{fromBlock?: number, blockRange?: number}} [options] - Override the configured block range.
+ * @returns {Promise<{epoch:number, geoBatchId:string, geoId:string, merkleRoot:string, cid:string}[]>}
+ */
+export async function getRegisteredBatches(
+  fromEpoch,
+  toEpoch,
+  { fromBlock = config.geoDataRegistryBlock, blockRange = config.logsBlockRange } = {},
+) {
+  if (!isChainEnabled()) {
+    return (await readMockChain())
+      .filter(r => Number(r.epoch) >= fromEpoch && Number(r.epoch) <= toEpoch)
+      .map(({ epoch, geoBatchId, geoId, merkleRoot, cid }) => ({ epoch: Number(epoch), geoBatchId, geoId, merkleRoot, cid }));
+  }
+
+  await initChain();
+  const toBlock = await signer.provider.getBlockNumber();
+  const records = [];
+  for (let epoch = fromEpoch; epoch <= toEpoch; epoch++) {
+    const events = await queryFilterPaged(
+      geoDataRegistry,
+      geoDataRegistry.filters.GeoBatchRegistered(epoch),
+      fromBlock,
+      toBlock,
+      blockRange,
+    );
+    for (const { args } of events) {
+      records.push({
+        epoch,
+        geoBatchId: decodeGeoId(args.geoBatchId),
+        geoId: args.geoBatchId.toString(),
+        merkleRoot: args.merkleRoot,
+        cid: args.dataCID,
+      });
+    }
+  }
+  return records;
+}
+
+/** Path of the mock reward registry used when the chain is not configured */
+export function mockRewardsPath() {
+  return (
+    process.env.MOCK_REWARDS_FILE ??
+    path.resolve(__dirname, '../..', 'data', 'mock-rewards.json')
+  );
+}
+
+/** Publish a reward cycle root on GeoRewardManager (or the mock file) */
+export async function publishRewardCycle(epochWeek, merkleRoot, totalToMint) {
+  if (!isChainEnabled()) {
+    const filePath = mockRewardsPath();
     await fs.mkdir(path.dirname(filePath), { recursive: true });
     let data = [];
     if (await fileExists(filePath)) {
       data = JSON.parse(await fs.readFile(filePath, 'utf8'));
     }
-    data.push({ epoch, geoBatchId, merkleRoot, cid });
+    if (data.some(c => c.epochWeek === epochWeek)) {
+      throw new Error(`cycle ${epochWeek} already published`);
+    }
+    data.push({ epochWeek, merkleRoot, totalToMint: totalToMint.toString() });
     await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-    console.log('MOCK registerGeoBatch');
+    console.log('MOCK publishCycle');
     return;
   }
 
   await initChain();
-  const tx = await geoDataRegistry.registerGeoBatchBulk(
-    [geoBatchId],
-    [merkleRoot],
-    [cid],
-  );
+  const tx = await rewardManager.publishCycle(epochWeek, merkleRoot, totalToMint);
   await tx.wait();
 }
 
-export async function getGeoBatch(epoch, batchId) {
-  if (!isChainEnabled()) return null;
+/** Path of the mock GeoRewardManagerHGC used when the chain is not configured */
+export function mockRewardBatchesPath() {
+  return (
+    process.env.MOCK_REWARD_BATCHES_FILE ??
+    path.resolve(__dirname, '../..', 'data', 'mock-reward-batches.json')
+  );
+}
+
+async function readMockRewardBatches() {
+  const filePath = mockRewardBatchesPath();
+  if (!(await fileExists(filePath))) return [];
+  return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+async function initRewardManagerHgc() {
+  await initChain();
+  if (!rewardManagerHgc) {
+    throw new Error('GEO_REWARD_MANAGER_HGC is not configured');
+  }
+}
+
+/**
+ * Read a regional reward batch. Unpublished batches return a zero root,
+ * like `GeoRewardManagerHGC.rewardBatches` does.
+ * @param {number} epochWeek - Reward cycle.
+ * @param {string|bigint} geoBatchId - H3 batch ID or encoded geoId.
+ * @returns {Promise<{merkleRoot:string, totalMint:bigint, dataCID:string}>}
+ */
+export async function getRewardBatch(epochWeek, geoBatchId) {
+  const geoId = toOnChainGeoId(geoBatchId);
+  if (!isChainEnabled()) {
+    const record = (await readMockRewardBatches()).find(
+      r => Number(r.epochWeek) === Number(epochWeek) && r.geoId === geoId.toString(),
+    );
+    return record
+      ? { merkleRoot: record.merkleRoot, totalMint: BigInt(record.totalToMint), dataCID: record.dataCID }
+      : { merkleRoot: ethers.ZeroHash, totalMint: 0n, dataCID: '' };
+  }
+  await initRewardManagerHgc();
+  const [merkleRoot, totalMint, dataCID] = await rewardManagerHgc.rewardBatches(epochWeek, geoId);
+  return { merkleRoot, totalMint, dataCID };
+}
+
+/**
+ * Publish the reward root of one geoBatch on GeoRewardManagerHGC (or the mock file).
+ * @param {number} epochWeek - Reward cycle.
+ * @param {string|bigint} geoBatchId - H3 batch ID or encoded geoId.
+ * @param {string} merkleRoot - Root of the batch `(nodeAddress, amount)` tree.
+ * @param {bigint} totalToMint - Amount minted for the batch.
+ * @param {string} dataCID - CID of the batch distribution file.
+ * @returns {Promise<{txHash:string|null}>}
+ */
+export async function publishRewardBatch(epochWeek, geoBatchId, merkleRoot, totalToMint, dataCID) {
+  const geoId = toOnChainGeoId(geoBatchId);
+  if (!isChainEnabled()) {
+    const filePath = mockRewardBatchesPath();
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const data = await readMockRewardBatches();
+    if (data.some(r => Number(r.epochWeek) === Number(epochWeek) && r.geoId === geoId.toString())) {
+      throw new Error(`reward batch ${geoBatchId} already published for cycle ${epochWeek}`);
+    }
+    data.push({
+      epochWeek,
+      geoBatchId: String(geoBatchId),
+      geoId: geoId.toString(),
+      merkleRoot,
+      totalToMint: totalToMint.toString(),
+      dataCID,
+    });
+    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+    console.log('MOCK publishRewardBatch');
+    return { txHash: null };
+  }
+
+  await initRewardManagerHgc();
+  const tx = await rewardManagerHgc.publishRewardBatch(epochWeek, geoId, merkleRoot, totalToMint, dataCID);
+  const receipt = await tx.wait();
+  return { txHash: receipt.hash };
+}
+
+/** Path of the mock NodeDIDRegistry used when the chain is not configured */
+export function mockNodesPath() {
+  return (
+    process.env.MOCK_NODES_FILE ??
+    path.resolve(__dirname, '../..', 'data', 'mock-nodes.json')
+  );
+}
+
+// Hardhat chainId, used for the mock registry domain
+const MOCK_CHAIN_ID = 31337n;
+
+async function readMockNodes() {
+  const filePath = mockNodesPath();
+  if (!(await fileExists(filePath))) return [];
+  return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+/** EIP-712 domain of the NodeDIDRegistry in use (mock: chainId 31337, zero address) */
+export async function getRegistrationDomain() {
+  if (!isChainEnabled()) return registrationDomain(MOCK_CHAIN_ID, ethers.ZeroAddress);
+  await initChain();
+  const { chainId } = await signer.provider.getNetwork();
+  return registrationDomain(chainId, await nodeDIDRegistry.getAddress());
+}
+
+/**
+ * Registration state of a node.
+ * @param {string} node - Node address.
+ * @returns {Promise<{registered:boolean, nonce:bigint}>}
+ */
+export async function getNodeRegistration(node) {
+  if (!isChainEnabled()) {
+    const registered = (await readMockNodes()).some(
+      r => r.node.toLowerCase() === node.toLowerCase(),
+    );
+    return { registered, nonce: registered ? 1n : 0n };
+  }
+  await initChain();
+  const [registered, nonce] = await Promise.all([
+    nodeDIDRegistry.isRegistered(node),
+    nodeDIDRegistry.nonces(node),
+  ]);
+  return { registered, nonce };
+}
+
+/**
+ * Register several nodes in one `registerMultipleNodes` call.
+ * The mock checks the EIP-712 signatures the same way the contract does.
+ * @param {{node:string, nodeType:number, controller:string, metadataURI:string, signature:string}[]} entries
+ * @returns {Promise<{txHash:string|null, blockNumber:number|null, gasUsed:string|null}>}
+ */
+export async function registerNodesBulk(entries) {
+  if (!isChainEnabled()) {
+    const filePath = mockNodesPath();
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const data = await readMockNodes();
+    const domain = await getRegistrationDomain();
+    for (const e of entries) {
+      if (data.some(r => r.node.toLowerCase() === e.node.toLowerCase())) {
+        throw new Error(`NodeAlreadyRegistered (${e.node})`);
+      }
+      const message = {
+        node: e.node,
+        controller: e.controller,
+        nodeType: e.nodeType,
+        metadataURI: e.metadataURI,
+        nonce: 0n,
+      };
+      if (recoverRegistrationSigner(message, domain, e.signature) !== ethers.getAddress(e.node)) {
+        throw new Error(`InvalidSignature (${e.node})`);
+      }
+      data.push({
+        node: e.node,
+        nodeType: e.nodeType,
+        controller: e.controller,
+        metadataURI: e.metadataURI,
+        active: true,
+      });
+    }
+    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+    console.log(`MOCK registerMultipleNodes (${entries.length})`);
+    return { txHash: null, blockNumber: null, gasUsed: null };
+  }
+
+  await initChain();
+  const tx = await nodeDIDRegistry.registerMultipleNodes(
+    entries.map(e => e.node),
+    entries.map(e => e.nodeType),
+    entries.map(e => e.controller),
+    entries.map(e => e.metadataURI),
+    entries.map(e => e.signature),
+  );
+  const receipt = await tx.wait();
+  return {
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+  };
+}
+
+/**
+ * Registry status of several nodes (`getControllerAndStatus` + `getNodeData`).
+ * Unregistered nodes come back with a zero controller and `active: false`.
+ * @param {string[]} nodes - Node addresses.
+ * @returns {Promise<Record<string, {registered:boolean, controller:string, active:boolean, nodeType:number|null}>>}
+ *   Status keyed by checksummed address.
+ */
+export async function getNodeStatuses(nodes) {
+  const out = {};
+  if (!isChainEnabled()) {
+    const byNode = new Map(
+      (await readMockNodes()).map(r => [ethers.getAddress(r.node), r]),
+    );
+    for (const node of nodes.map(n => ethers.getAddress(n))) {
+      const r = byNode.get(node);
+      out[node] = r
+        ? { registered: true, controller: r.controller, active: r.active !== false, nodeType: r.nodeType }
+        : { registered: false, controller: ethers.ZeroAddress, active: false, nodeType: null };
+    }
+    return out;
+  }
+
+  await initChain();
+  await Promise.all(
+    nodes.map(async n => {
+      const node = ethers.getAddress(n);
+      const [[controller, active], data] = await Promise.all([
+        nodeDIDRegistry.getControllerAndStatus(node),
+        nodeDIDRegistry.getNodeData(node),
+      ]);
+      const registered = controller !== ethers.ZeroAddress;
+      out[node] = { registered, controller, active, nodeType: registered ? Number(data.nodeType) : null };
+    }),
+  );
+  return out;
+}
+
+/** Signer and connected contracts; throws when the chain is not configured */
+export async function getChainContracts() {
+  if (!isChainEnabled()) {
+    throw new Error('chain not configured (POLYGON_RPC_URL, PRIVATE_KEY and contract addresses)');
+  }
   await initChain();
-  return geoDataRegistry.getGeoBatch(epoch, batchId);
+  return { signer, geoDataRegistry, nodeDIDRegistry, rewardManager };
 }
 
 export async function getCurrentEpoch() {
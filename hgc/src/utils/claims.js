@@ -0,0 +1,60 @@
+import { ethers } from 'ethers'
+import { verifyRewardProof } from './rewards.js'
+
+/**
+ * List the nodes of a cycle distribution controlled by `controller` and
+ * whether each one can still be claimed on `GeoRewardManager`.
+ * @param {{epochWeek:number, merkleRoot:string, nodes:Record<string, {amount:string, proof:string[]}>}} distribution
+ *   Cycle file written by `runReward`.
+ * @param {string} controller - Controller address.
+ * @param {{nodeDIDRegistry:object, rewardManager:object}} contracts - Connected contracts.
+ * @returns {Promise<{epochWeek:number, controller:string, onChainRoot:string, rootMatches:boolean, nodes:object[]}>}
+ */
+export async function listClaimable (distribution, controller, { nodeDIDRegistry, rewardManager }) {
+  const { epochWeek, merkleRoot, nodes } = distribution
+  if (epochWeek === undefined || !merkleRoot || !nodes) throw new Error('not a cycle distribution file')
+  const owner = ethers.getAddress(controller)
+
+  const onChainRoot = await rewardManager.cycleRoot(epochWeek)
+  const rootMatches = onChainRoot === merkleRoot
+
+  const out = []
+  for (const node of Object.keys(nodes).sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()))) {
+    const [nodeController, active] = await nodeDIDRegistry.getControllerAndStatus(node)
+    if (nodeController !== owner) continue
+
+    const { amount, proof } = nodes[node]
+    const claimed = await rewardManager.claimed(epochWeek, node)
+    const validProof = verifyRewardProof(node, amount, proof, merkleRoot)
+    out.push({
+      node,
+      amount,
+      proof,
+      active,
+      claimed,
+      claimable: rootMatches && active && !claimed && validProof
+    })
+  }
+
+  return { epochWeek, controller: owner, onChainRoot, rootMatches, nodes: out }
+}
+
+/**
+ * Submit `GeoRewardManager.claim` for every claimable node of a controller.
+ * @param {object} distribution - Cycle file written by `runReward`.
+ * @param {object} signer - Controller signer.
+ * @param {{nodeDIDRegistry:object, rewardManager:object}} contracts - Connected contracts.
+ * @returns {Promise<{node:string, amount:string, txHash:string}[]>} Submitted claims.
+ */
+export async function submitClaims (distribution, signer, contracts) {
+  const { nodes } = await listClaimable(distribution, await signer.getAddress(), contracts)
+  const manager = contracts.rewardManager.connect(signer)
+
+  const results = []
+  for (const { node, amount, proof } of nodes.filter(n => n.claimable)) {
+    const tx = await manager.claim(distribution.epochWeek, node, amount, proof)
+    const receipt = await tx.wait()
+    results.push({ node, amount, txHash: receipt.hash })
+  }
+  return results
+}
@@ -0,0 +1,53 @@
+import { SigningKey, TypedDataEncoder, verifyTypedData } from 'ethers'
+
+// Must match NodeDIDRegistry (EIP712("NodeDIDRegistry", "1") and REGISTER_TYPEHASH)
+export const REGISTRATION_DOMAIN_NAME = 'NodeDIDRegistry'
+export const REGISTRATION_DOMAIN_VERSION = '1'
+export const REGISTER_TYPES = {
+  Register: [
+    { name: 'node', type: 'address' },
+    { name: 'controller', type: 'address' },
+    { name: 'nodeType', type: 'uint8' },
+    { name: 'metadataURI', type: 'string' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+}
+
+/**
+ * EIP-712 domain of a NodeDIDRegistry deployment.
+ * @param {bigint|number} chainId - Chain where the registry is deployed.
+ * @param {string} verifyingContract - Registry address.
+ * @returns {object} Typed-data domain.
+ */
+export function registrationDomain (chainId, verifyingContract) {
+  return {
+    name: REGISTRATION_DOMAIN_NAME,
+    version: REGISTRATION_DOMAIN_VERSION,
+    chainId: BigInt(chainId),
+    verifyingContract
+  }
+}
+
+/**
+ * Sign the `Register` message with the node key, as required by `_registerNode`.
+ * @param {string} privateKey - Node private key.
+ * @param {{node:string, controller:string, nodeType:number, metadataURI:string, nonce:bigint|number}} message
+ *   Registration message; `nonce` is `NodeDIDRegistry.nonces(node)`.
+ * @param {object} domain - Domain from `registrationDomain`.
+ * @returns {string} 65-byte signature (hex).
+ */
+export function signRegistration (privateKey, message, domain) {
+  const digest = TypedDataEncoder.hash(domain, REGISTER_TYPES, message)
+  return new SigningKey(privateKey).sign(digest).serialized
+}
+
+/**
+ * Recover the address that signed a registration message.
+ * @param {object} message - Registration message.
+ * @param {object} domain - Domain from `registrationDomain`.
+ * @param {string} signature - Signature to check.
+ * @returns {string} Recovered (checksummed) address.
+ */
+export function recoverRegistrationSigner (message, domain, signature) {
+  return verifyTypedData(domain, REGISTER_TYPES, message, signature)
+}
@@ -2,16 +2,42 @@ import fs from 'fs/promises'
 import path from 'path'
 import { generateNodes } from '../generators/nodes.js'
 
-export async function ensureNodes() {
+/**
+ * Load `data/nodes.json`, generating it only when it does not exist.
+ * A file that cannot be read or parsed, or whose nodes have no `privateKey`
+ * (generated before the node keys), is an error: those nodes may already be
+ * registered on-chain. `regenerate` (`--regenerate` in the scripts) replaces
+ * a keyless file with new nodes and keeps the old one as `nodes.json.bak`.
+ * @param {{regenerate?: boolean}} [options]
+ * @returns {Promise<object[]>} Nodes.
+ */
+export async function ensureNodes({ regenerate = process.argv.includes('--regenerate') } = {}) {
   const nodesPath = path.join(process.cwd(), 'data', 'nodes.json')
+  let content
   try {
-    await fs.access(nodesPath)
-    const content = await fs.readFile(nodesPath, 'utf8')
-    return JSON.parse(content)
-  } catch {
-    const nodes = generateNodes()
-    await fs.mkdir(path.dirname(nodesPath), { recursive: true })
-    await fs.writeFile(nodesPath, JSON.stringify(nodes, null, 2))
-    return nodes
+    content = await fs.readFile(nodesPath, 'utf8')
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
   }
+
+  if (content !== undefined) {
+    let nodes
+    try {
+      nodes = JSON.parse(content)
+    } catch (err) {
+      throw new Error(`${nodesPath} is not valid JSON: ${err.message}`)
+    }
+    const keyless = nodes.filter(n => !n.privateKey).length
+    if (!keyless) return nodes
+    if (!regenerate) {
+      throw new Error(`${nodesPath} has ${keyless} nodes without privateKey: run with --regenerate to replace them with new keyed nodes`)
+    }
+    await fs.rename(nodesPath, `${nodesPath}.bak`)
+    console.warn(`⚠️ ${nodesPath} substituído por novos nodes com chaves (anterior em nodes.json.bak)`)
+  }
+
+  const nodes = generateNodes()
+  await fs.mkdir(path.dirname(nodesPath), { recursive: true })
+  await fs.writeFile(nodesPath, JSON.stringify(nodes, null, 2))
+  return nodes
 }
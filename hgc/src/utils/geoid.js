@@ -0,0 +1,158 @@
+// src/utils/geoid.js – codec between H3 indexes and the on-chain uint64 geoId
+// Bit layout mirrors protocol/contracts/GeoCellIDLib.sol:
+//   bits 56–63 header (sensorType) • bits 19+ resolution digits (3 bits each)
+//   bits 12–18 base cell           • bits 8–11 level
+import * as h3 from 'h3-js'
+
+export const MAX_LEVEL = 15
+// digits above level 12 would overlap the header byte
+export const MAX_ENCODABLE_LEVEL = 12
+const LEVEL_OFFSET = 8n
+const BASE_CELL_OFFSET = 12n
+const DIGIT_OFFSET = 19n
+const BODY_MASK = 0x00FFFFFFFFFFFFFFn
+const UINT64_MASK = 0xFFFFFFFFFFFFFFFFn
+
+// H3 index layout (see h3 `constants.h`)
+const H3_MODE_CELL = 1n
+const H3_MODE_OFFSET = 59n
+const H3_RES_OFFSET = 52n
+const H3_BASE_CELL_OFFSET = 45n
+
+function toBigInt (geoId) {
+  const value = BigInt(geoId)
+  if (value < 0n || value > UINT64_MASK) throw new Error(`geoId out of uint64 range (${geoId})`)
+  return value
+}
+
+function h3Digit (index, res) {
+  return (index >> (BigInt(15 - res) * 3n)) & 0x7n
+}
+
+/**
+ * Encode an H3 cell into the uint64 geoId format read by `GeoCellIDLib`.
+ * @param {string} h3Index - H3 cell ID (hex string).
+ * @param {number} [header=0] - Header byte, used as sensorType by `GeoDataRegistry`.
+ * @returns {bigint} Encoded geoId.
+ */
+export function encodeGeoId (h3Index, header = 0) {
+  if (!h3.isValidCell(h3Index)) throw new Error(`invalid geoCellId (${h3Index})`)
+  const index = BigInt('0x' + h3Index)
+  const level = h3.getResolution(h3Index)
+  if (level > MAX_ENCODABLE_LEVEL) throw new Error(`resolution ${level} exceeds ${MAX_ENCODABLE_LEVEL}`)
+
+  let geoId = (BigInt(level) << LEVEL_OFFSET) | (BigInt(h3.getBaseCellNumber(h3Index)) << BASE_CELL_OFFSET)
+  for (let d = 1; d <= level; d++) {
+    geoId |= h3Digit(index, d) << (DIGIT_OFFSET + BigInt(d - 1) * 3n)
+  }
+  return setHeader(geoId, header)
+}
+
+/**
+ * Decode a geoId back to its H3 cell, ignoring the header.
+ * @param {bigint|string|number} geoId - Encoded geoId.
+ * @returns {string} H3 cell ID.
+ */
+export function decodeGeoId (geoId) {
+  const value = toBigInt(geoId)
+  const level = extractLevel(value)
+  let index = (H3_MODE_CELL << H3_MODE_OFFSET) |
+    (BigInt(level) << H3_RES_OFFSET) |
+    (BigInt(extractBaseCell(value)) << H3_BASE_CELL_OFFSET)
+  for (let d = 1; d <= MAX_LEVEL; d++) {
+    const digit = d <= level ? BigInt(extractResolutionDigit(value, d)) : 0x7n
+    index |= digit << (BigInt(15 - d) * 3n)
+  }
+  const h3Index = index.toString(16)
+  if (!h3.isValidCell(h3Index)) throw new Error(`geoId does not map to an H3 cell (${value})`)
+  return h3Index
+}
+
+/**
+ * Read the resolution level (bits 8–11).
+ * @param {bigint|string|number} geoId - Encoded geoId.
+ * @returns {number} Level 0–15.
+ */
+export function extractLevel (geoId) {
+  return Number((toBigInt(geoId) >> LEVEL_OFFSET) & 0xFn)
+}
+
+/**
+ * Read the H3 base cell (bits 12–18).
+ * @param {bigint|string|number} geoId - Encoded geoId.
+ * @returns {number} Base cell index.
+ */
+export function extractBaseCell (geoId) {
+  return Number((toBigInt(geoId) >> BASE_CELL_OFFSET) & 0x7Fn)
+}
+
+/**
+ * Read a resolution digit.
+ * @param {bigint|string|number} geoId - Encoded geoId.
+ * @param {number} digit - Digit position (1–15).
+ * @returns {number} Digit value.
+ */
+export function extractResolutionDigit (geoId, digit) {
+  if (digit < 1 || digit > MAX_LEVEL) throw new Error('InvalidDigit')
+  return Number((toBigInt(geoId) >> (DIGIT_OFFSET + BigInt(digit - 1) * 3n)) & 0x7n)
+}
+
+/**
+ * Read the header byte (bits 56–63).
+ * @param {bigint|string|number} geoId - Encoded geoId.
+ * @returns {number} Header value.
+ */
+export function extractHeader (geoId) {
+  return Number(toBigInt(geoId) >> 56n)
+}
+
+/**
+ * Replace the header byte.
+ * @param {bigint|string|number} geoId - Encoded geoId.
+ * @param {number} header - New header (0–255).
+ * @returns {bigint} GeoId with the new header.
+ */
+export function setHeader (geoId, header) {
+  if (!Number.isInteger(header) || header < 0 || header > 0xFF) throw new Error(`invalid header (${header})`)
+  return (BigInt(header) << 56n) | (toBigInt(geoId) & BODY_MASK)
+}
+
+/**
+ * Zero the header byte.
+ * @param {bigint|string|number} geoId - Encoded geoId.
+ * @returns {bigint} GeoId without header.
+ */
+export function clearHeader (geoId) {
+  return toBigInt(geoId) & BODY_MASK
+}
+
+/**
+ * Immediate parent, keeping the header (same as `GeoCellIDLib.parentOf`).
+ * @param {bigint|string|number} geoId - Encoded geoId.
+ * @returns {bigint} Parent geoId.
+ */
+export function parentOf (geoId) {
+  const value = toBigInt(geoId)
+  const level = extractLevel(value)
+  if (level === 0) throw new Error('RootLevelHasNoParent')
+  const digitMask = ~(0x7n << (DIGIT_OFFSET + BigInt(level - 1) * 3n)) & UINT64_MASK
+  const levelMask = ~(0xFn << LEVEL_OFFSET) & UINT64_MASK
+  return ((value & digitMask) & levelMask) | (BigInt(level - 1) << LEVEL_OFFSET)
+}
+
+/**
+ * Ancestor at `targetLevel` (same as `GeoCellIDLib.aggregationGroup`).
+ * @param {bigint|string|number} geoId - Encoded geoId.
+ * @param {number} targetLevel - Ancestor level.
+ * @returns {bigint} Ancestor geoId.
+ */
+export function aggregationGroup (geoId, targetLevel) {
+  let value = toBigInt(geoId)
+  let level = extractLevel(value)
+  if (level < targetLevel) throw new Error('InvalidAggregationTarget')
+  while (level > targetLevel) {
+    value = parentOf(value)
+    level--
+  }
+  return value
+}
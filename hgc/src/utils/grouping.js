@@ -27,23 +27,57 @@ export function groupByParent (cellIds, parentRes) {
  */
 export const cellIdComparator = (a, b) => a.localeCompare(b)
 
-function sortChildren (children, parent, params, useLocalIj = false, resForChildren = params.baseRes) {
+// distance of (x, y) along the Hilbert curve filling a side × side grid (side a power of 2)
+function hilbertIndex (side, x, y) {
+  let d = 0
+  for (let s = side >> 1; s > 0; s >>= 1) {
+    const rx = (x & s) > 0 ? 1 : 0
+    const ry = (y & s) > 0 ? 1 : 0
+    d += s * s * ((3 * rx) ^ ry)
+    if (ry === 0) {
+      if (rx === 1) {
+        x = side - 1 - x
+        y = side - 1 - y
+      }
+      [x, y] = [y, x]
+    }
+  }
+  return d
+}
+
+// local IJ coordinates can fail across pentagons; the whole list then falls back to lex order
+function sortChildren (children, parent, params, ordering = 'lex', resForChildren = params.baseRes) {
   const arr = [...children]
-  if (!useLocalIj) {
+  if (ordering === 'lex') {
     arr.sort(cellIdComparator)
     return arr
   }
 
   try {
     const origin = h3.cellToCenterChild(parent, resForChildren)
-    arr.sort((a, b) => {
-      try {
-        const { i: ia, j: ja } = h3.cellToLocalIj(origin, a)
-        const { i: ib, j: jb } = h3.cellToLocalIj(origin, b)
-        return ia - ib || ja - jb || cellIdComparator(a, b)
-      } catch {
-        return cellIdComparator(a, b)
+    const coords = new Map(arr.map(id => [id, h3.cellToLocalIj(origin, id)]))
+    let keyOf = id => [coords.get(id).i, coords.get(id).j]
+    if (ordering === 'hilbert') {
+      let minI = Infinity
+      let minJ = Infinity
+      let maxI = -Infinity
+      let maxJ = -Infinity
+      for (const { i, j } of coords.values()) {
+        minI = Math.min(minI, i)
+        minJ = Math.min(minJ, j)
+        maxI = Math.max(maxI, i)
+        maxJ = Math.max(maxJ, j)
       }
+      let side = 1
+      while (side <= Math.max(maxI - minI, maxJ - minJ)) side <<= 1
+      const index = new Map(arr.map(id => [id, hilbertIndex(side, coords.get(id).i - minI, coords.get(id).j - minJ)]))
+      keyOf = id => [index.get(id)]
+    }
+    const keys = new Map(arr.map(id => [id, keyOf(id)]))
+    arr.sort((a, b) => {
+      const ka = keys.get(a)
+      const kb = keys.get(b)
+      return ka[0] - kb[0] || (ka[1] ?? 0) - (kb[1] ?? 0) || cellIdComparator(a, b)
     })
   } catch {
     arr.sort(cellIdComparator)
@@ -78,18 +112,47 @@ function chunkStable (childrenSorted, volumes, maxLeaves, maxVolume) {
   return chunks
 }
 
+/**
+ * Cells that were split into finer batches in a previous layout: every strict
+ * ancestor of a previous geoBatch.
+ * @param {Iterable<string>} batchIds - geoBatch IDs of the previous epoch.
+ * @returns {Set<string>} Split parent cells.
+ */
+export function splitParentsOf (batchIds = []) {
+  const split = new Set()
+  for (const id of batchIds) {
+    for (let res = h3.getResolution(id) - 1; res >= 0; res--) {
+      const parent = h3.cellToParent(id, res)
+      // its ancestors were added with it
+      if (split.has(parent)) break
+      split.add(parent)
+    }
+  }
+  return split
+}
+
 /**
  * Recursively compress cell IDs into batches respecting limits.
+ * A group is split when it passes `max * hysteresisFar`. With a previous
+ * layout, a group that was already split stays split until it drops below
+ * `max * hysteresisNear`, so geoBatch IDs only change when the load does.
  * @param {string[]} cellIds - Array of leaf cell IDs.
  * @param {Record<string, number>} sampleCountByCell - Sample count per cell.
  * @param {number} [currentRes] - Resolution currently processed.
- * @param {boolean} [useLocalIj=false] - Whether to sort children using local IJ.
+ * @param {'lex'|'localIj'|'hilbert'|boolean} [ordering] - Order of the children scanned into
+ *   chunks: H3 ID string order, local IJ rows or a Hilbert curve over local IJ (`true` is
+ *   `localIj`). Defaults to `params.ordering`, then `lex`.
  * @param {object} [params=HGC_DEFAULT_PARAMS] - Compression parameters.
+ * @param {Iterable<string>|Set<string>} [previousLayout=[]] - geoBatch IDs of the previous epoch,
+ *   or the set returned by `splitParentsOf`.
  * @returns {{res:number,cells:string[]}[]} Array of batches with resolution and cell IDs.
  */
-export function compressTopDown (cellIds, sampleCountByCell, currentRes, useLocalIj = false, params = HGC_DEFAULT_PARAMS) {
+export function compressTopDown (cellIds, sampleCountByCell, currentRes, ordering, params = HGC_DEFAULT_PARAMS, previousLayout = []) {
   if (currentRes === undefined) currentRes = params.minRes
-  const { baseRes, maxLeavesPerBatch, maxSamplesPerBatch, hysteresisFar } = params
+  if (ordering === true) ordering = 'localIj'
+  if (!ordering) ordering = params.ordering ?? 'lex'
+  const { baseRes, maxLeavesPerBatch, maxSamplesPerBatch, hysteresisNear, hysteresisFar } = params
+  const splitBefore = previousLayout instanceof Set ? previousLayout : splitParentsOf(previousLayout)
 
   if (currentRes === baseRes) {
     return [{ res: currentRes, cells: cellIds }]
@@ -106,12 +169,12 @@ export function compressTopDown (cellIds, sampleCountByCell, currentRes, useLoca
     const leaves = children.length
     const volumeSamples = sampleSumByGroup[parent]
 
-    const tooBig =
-      leaves > maxLeavesPerBatch * hysteresisFar ||
-      volumeSamples > maxSamplesPerBatch * hysteresisFar
+    const tooBig = splitBefore.has(parent)
+      ? leaves >= maxLeavesPerBatch * hysteresisNear || volumeSamples >= maxSamplesPerBatch * hysteresisNear
+      : leaves > maxLeavesPerBatch * hysteresisFar || volumeSamples > maxSamplesPerBatch * hysteresisFar
 
     if (!tooBig || currentRes + 1 > baseRes) {
-      const sortedLeaves = sortChildren(children, parent, params, useLocalIj, baseRes)
+      const sortedLeaves = sortChildren(children, parent, params, ordering, baseRes)
       batches.push({ res: currentRes, cells: sortedLeaves })
       continue
     }
@@ -120,9 +183,9 @@ export function compressTopDown (cellIds, sampleCountByCell, currentRes, useLoca
     const nextCounts = {}
     for (const [p, arr] of Object.entries(nextGroups)) {
       nextCounts[p] = arr.reduce((s, cid) => s + sampleCountByCell[cid], 0)
-      nextGroups[p] = sortChildren(arr, p, params, useLocalIj, baseRes)
+      nextGroups[p] = sortChildren(arr, p, params, ordering, baseRes)
     }
-    const nextIds = sortChildren(Object.keys(nextGroups), parent, params, useLocalIj, currentRes + 1)
+    const nextIds = sortChildren(Object.keys(nextGroups), parent, params, ordering, currentRes + 1)
     const groupsArray = nextIds.map(id => nextGroups[id])
     const volumesArray = nextIds.map(id => nextCounts[id])
     const chunks = chunkStable(
@@ -134,7 +197,7 @@ export function compressTopDown (cellIds, sampleCountByCell, currentRes, useLoca
 
     for (const chunk of chunks) {
       const nested = chunk.flat()
-      batches.push(...compressTopDown(nested, sampleCountByCell, currentRes + 1, useLocalIj, params))
+      batches.push(...compressTopDown(nested, sampleCountByCell, currentRes + 1, ordering, params, splitBefore))
     }
   }
 
@@ -19,24 +19,58 @@ export function canonical (value) {
   return '{' + entries.join(',') + '}'
 }
 
-export function merkleRootAndIndex (dataObject) {
-  const cellIds = Object.keys(dataObject).sort()
+/**
+ * Hash a single `cellId → data` pair into a Merkle leaf.
+ * @param {string} cellId - H3 cell ID of the leaf.
+ * @param {*} data - Readings stored for the cell.
+ * @returns {Buffer} keccak256 of `cellId:canonical(data)`.
+ */
+export function cellLeaf (cellId, data) {
+  return keccak256(Buffer.concat([
+    Buffer.from(cellId),
+    Buffer.from(':'),
+    Buffer.from(canonical(data))
+  ]))
+}
+
+// prefix of the leaf IDs of batch aggregates (`agg:<h3Id>`), never a valid cell ID
+export const AGGREGATE_LEAF_PREFIX = 'agg:'
+
+/**
+ * Build the sorted-pair keccak tree over the cells of a batch.
+ * Aggregates, when given, are committed as extra `agg:<h3Id>` leaves.
+ * @param {Record<string, *>} dataObject - Batch `data` object.
+ * @param {Record<string, object>} [aggregates] - Batch `aggregates` object.
+ * @returns {{tree: MerkleTree, leaves: Buffer[], leavesIndex: Record<string, number>}}
+ */
+export function buildCellTree (dataObject, aggregates) {
+  const entries = { ...dataObject }
+  for (const [id, stats] of Object.entries(aggregates ?? {})) entries[AGGREGATE_LEAF_PREFIX + id] = stats
+
+  const cellIds = Object.keys(entries).sort()
   const leaves = []
   const leavesIndex = {}
 
   cellIds.forEach((cellId, i) => {
-    const data = canonical(dataObject[cellId])
-    const leafValue = Buffer.concat([
-      Buffer.from(cellId),
-      Buffer.from(':'),
-      Buffer.from(data)
-    ])
-    const leaf = keccak256(leafValue)
-    leaves.push(leaf)
+    leaves.push(cellLeaf(cellId, entries[cellId]))
     leavesIndex[cellId] = i
   })
 
   const tree = new MerkleTree(leaves, keccak256, { sortPairs: true })
-  return { root: tree.getHexRoot(), leavesIndex }
+  return { tree, leaves, leavesIndex }
 }
 
+/**
+ * Hash a batch into a leaf of the epoch super-root tree.
+ * @param {string} geoBatchId - H3 ID of the batch.
+ * @param {string} merkleRoot - Hex Merkle root of the batch.
+ * @returns {Buffer} keccak256 of the UTF-8 string `geoBatchId + merkleRoot`.
+ */
+export function batchLeaf (geoBatchId, merkleRoot) {
+  return keccak256(Buffer.from(geoBatchId + merkleRoot))
+}
+
+export function merkleRootAndIndex (dataObject, aggregates) {
+  const { tree, leavesIndex } = buildCellTree(dataObject, aggregates)
+  return { root: tree.getHexRoot(), leavesIndex }
+}
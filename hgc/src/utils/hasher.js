@@ -1,6 +1,6 @@
 // src/utils/hasher.js
 
-import { canonical, sha256Hex, merkleRootAndIndex } from './hash-helpers.js'
+import { canonical, sha256Hex, merkleRootAndIndex, cellLeaf, buildCellTree, batchLeaf, AGGREGATE_LEAF_PREFIX } from './hash-helpers.js'
 
 /* --- (A) hash plano do arquivo (rápido e simples) --- */
 export { sha256Hex }
@@ -12,6 +12,8 @@ export function sha256HexCanonical (obj) {
   return sha256Hex(canonical(obj))
 }
 
-/* --- (C) Merkle raiz dos pares cellId→samples com índice --- */
-export { merkleRootAndIndex }
+/* --- (C) Merkle raiz dos pares cellId→samples (e agregados) com índice --- */
+export { merkleRootAndIndex, cellLeaf, buildCellTree, AGGREGATE_LEAF_PREFIX }
 
+/* --- (D) folha do super-root da epoch (geoBatchId + merkleRoot) --- */
+export { batchLeaf }
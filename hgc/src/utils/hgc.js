@@ -2,10 +2,13 @@
 import * as h3 from 'h3-js'
 import keccak256 from 'keccak256'
 import { MerkleTree } from 'merkletreejs'
-import { sha256HexCanonical, merkleRootAndIndex } from './hasher.js'
+import { sha256HexCanonical, merkleRootAndIndex, batchLeaf } from './hasher.js'
 import { loadHgcConfig } from '../config/index.js'
 import { compressTopDown, cellIdComparator } from './grouping.js'
 import { validateSample } from './validation.js'
+import { validateSampleSignature } from './sampleSigner.js'
+import { computeAggregates } from './aggregates.js'
+import { resolveLossyParams, applyLossy, liftRegionBatches, readingCount } from './lossy.js'
 
 /* parâmetros principais carregados de configuração */
 export const HGC_DEFAULT_PARAMS = loadHgcConfig()
@@ -17,9 +20,14 @@ export const HYSTERESIS_NEAR = HGC_DEFAULT_PARAMS.hysteresisNear
 export const HYSTERESIS_FAR = HGC_DEFAULT_PARAMS.hysteresisFar
 export const ESTIMATED_VOLUME = HGC_DEFAULT_PARAMS.volume
 
-const WINDOW_MS = 60 * 60 * 1000 // 1h
+export const WINDOW_MS = 60 * 60 * 1000 // 1h
 export const SCHEMA_VERSION = 1
 
+/** Epoch whose window contains a timestamp (ms). */
+export function epochForTimestamp(timestamp) {
+  return Math.floor(timestamp / WINDOW_MS)
+}
+
 function percentile(arr, p) {
   if (!arr.length) return 0
   const sorted = [...arr].sort((a, b) => a - b)
@@ -27,18 +35,179 @@ function percentile(arr, p) {
   return sorted[idx >= 0 ? idx : 0]
 }
 
-/* === API principal === */
+/* === etapas compartilhadas com a versão em streaming (hgcStream.js) === */
+
 /**
- * Execute the Hierarchical Geo Compressor over a list of samples.
- * @param {object[]} samples - Array of sensor samples.
- * @param {number} epoch - Epoch number being processed.
- * @param {object} [params=HGC_DEFAULT_PARAMS] - HGC configuration parameters.
- * @param {{onInvalid?: 'throw' | 'mark' | 'discard'}} [options] - How to handle invalid samples.
- * @returns {{batches: object[], map: Object, superRoot: string, summary: Object, invalidSamples: object[], hgcParams: object}}
- *   Resulting batches, mappings and metadata.
+ * First check of a reading in `runHGC`: top-level fields, signature and base cell.
+ * Invalid readings are thrown, pushed to `invalidSamples` (`mark`) or dropped.
+ * @param {object} s - Raw reading.
+ * @param {object} params - HGC parameters (`baseRes`).
+ * @param {{onInvalid?: string, onInvalidSignature?: string}} options - Same as `runHGC`.
+ * @param {object[]} invalidSamples - Receives the readings rejected in `mark` mode.
+ * @returns {{id:string, key:string}|null} Base cell and dedup key, or null when dropped.
+ */
+export function checkReading(s, { baseRes }, { onInvalid = 'throw', onInvalidSignature = 'ignore' }, invalidSamples) {
+  const topErrors = validateSample(s)
+  if (topErrors.length) {
+    if (onInvalid === 'throw') throw new Error(topErrors.join('; '))
+    if (onInvalid === 'mark') invalidSamples.push({ ...s, errors: topErrors })
+    return null
+  }
+
+  if (onInvalidSignature !== 'ignore') {
+    const sigErrors = validateSampleSignature(s)
+    if (sigErrors.length) {
+      if (onInvalidSignature === 'throw') throw new Error(sigErrors.join('; '))
+      if (onInvalidSignature === 'mark') invalidSamples.push({ ...s, errors: sigErrors })
+      return null
+    }
+  }
+
+  let id = s.geoCellId
+  if (h3.getResolution(id) !== baseRes) {
+    // signed readings are stored as signed, so their cell cannot be moved to baseRes
+    if (s.signature !== undefined) {
+      const errors = [`leitura assinada fora de baseRes (res ${h3.getResolution(id)})`]
+      if (onInvalid === 'throw') throw new Error(errors[0])
+      if (onInvalid === 'mark') invalidSamples.push({ ...s, errors })
+      return null
+    }
+    id = h3.cellToParent(id, baseRes)
+  }
+
+  const key = (s.issuer !== undefined && s.timestamp !== undefined)
+    ? `${s.issuer}-${s.timestamp}`
+    : sha256HexCanonical({ ...s, geoCellId: id })
+  return { id, key }
+}
+
+/**
+ * Second check of a reading that is not a duplicate: validates nested samples
+ * and builds the stored reading. A signed reading is stored exactly as signed,
+ * so a single invalid sample rejects all of it.
+ * @param {object} s - Raw reading.
+ * @param {string} id - Base cell returned by `checkReading`.
+ * @param {{onInvalid?: string}} options - Same as `runHGC`.
+ * @param {object[]} invalidSamples - Receives the samples rejected in `mark` mode.
+ * @returns {object|null} Stored reading, or null when no sample is left.
  */
-export function runHGC(samples, epoch, params = HGC_DEFAULT_PARAMS, { onInvalid = 'throw' } = {}) {
+export function finalizeReading(s, id, { onInvalid = 'throw' }, invalidSamples) {
+  const arr = Array.isArray(s.samples) ? s.samples : [s]
+  const validArr = []
+  const rejected = []
+  for (const sample of arr) {
+    const errors = validateSample({ ...sample, geoCellId: id })
+    if (errors.length) {
+      if (onInvalid === 'throw') throw new Error(errors.join('; '))
+      rejected.push({ ...sample, geoCellId: id, errors })
+    } else {
+      validArr.push(sample)
+    }
+  }
+
+  if (s.signature !== undefined && rejected.length) {
+    if (onInvalid === 'mark') invalidSamples.push({ ...s, errors: rejected.flatMap(r => r.errors) })
+    return null
+  }
+  if (onInvalid === 'mark') for (const r of rejected) invalidSamples.push(r)
+  if (!validArr.length) return null
+  return Array.isArray(s.samples)
+    ? { ...s, geoCellId: id, samples: validArr }
+    : { ...s, geoCellId: id }
+}
+
+/** Readings of a cell in storage order (stable by timestamp). */
+export function sortCellEntries(entries) {
+  return entries.sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0))
+}
+
+/**
+ * Build one geoBatch object from the leaves chosen by `compressTopDown`.
+ * @param {{res:number, parent:string, cells:string[], entriesOf:Record<string, object[]>}} group
+ *   Batch resolution and H3 parent, sorted leaf keys and their readings.
+ * @param {number} epoch - Epoch number.
+ * @param {object} params - Resolved HGC parameters.
+ * @returns {object} geoBatch with Merkle root and content hash.
+ */
+export function buildBatch({ res, parent, cells, entriesOf }, epoch, params) {
   const { baseRes } = params
+  const dataObj = {}
+  let countSamples = 0
+  let tsMin = Infinity
+  let tsMax = -Infinity
+
+  for (const cell of cells) {
+    const arr = entriesOf[cell]
+    dataObj[cell] = arr
+    countSamples += arr.reduce((s, e) => s + readingCount(e), 0)
+    if (arr.length) {
+      const localMin = arr[0].timestamp ?? Infinity
+      const localMax = arr[arr.length - 1].timestamp ?? -Infinity
+      if (localMin < tsMin) tsMin = localMin
+      if (localMax > tsMax) tsMax = localMax
+    }
+  }
+
+  const countLeaves = cells.length
+  const aggregates = params.aggregates === false
+    ? undefined
+    : computeAggregates(dataObj, { geoBatchId: parent, resBatch: res, baseRes })
+  const { root: merkleRoot, leavesIndex } = merkleRootAndIndex(dataObj, aggregates)
+  const center = h3.cellToLatLng(parent)
+  const boundary = h3.cellToBoundary(parent)
+
+  const batchObj = {
+    geoBatchId     : parent,
+    epoch,
+    compressedFrom : cells,
+    data           : dataObj,
+    ...(aggregates && { aggregates }),
+    countLeaves,
+    countSamples,
+    tsMin: tsMin === Infinity ? null : tsMin,
+    tsMax: tsMax === -Infinity ? null : tsMax,
+    center,
+    boundary,
+    resBase: baseRes,
+    resBatch: res,
+    epochStartMs: epoch * WINDOW_MS,
+    windowMs: WINDOW_MS,
+    schemaVersion: SCHEMA_VERSION,
+    hgcParams: params,
+    merkleRoot,
+    leavesIndex
+  }
+
+  batchObj.hash = sha256HexCanonical(batchObj)
+  return batchObj
+}
+
+/**
+ * Size statistics of the batches of an epoch.
+ * @param {{countLeaves:number, countSamples:number}[]} batches - Batches (or their counts).
+ * @returns {{batchesTotal:number, avgLeaves:number, p95Leaves:number, avgSamples:number, p95Samples:number}}
+ */
+export function summarizeBatches(batches) {
+  const leavesArr = batches.map(b => b.countLeaves)
+  const samplesArr = batches.map(b => b.countSamples)
+  const batchesTotal = batches.length
+  const avgLeaves = batchesTotal ? leavesArr.reduce((s, n) => s + n, 0) / batchesTotal : 0
+  const avgSamples = batchesTotal ? samplesArr.reduce((s, n) => s + n, 0) / batchesTotal : 0
+  const p95Leaves = percentile(leavesArr, 0.95)
+  const p95Samples = percentile(samplesArr, 0.95)
+  return { batchesTotal, avgLeaves, p95Leaves, avgSamples, p95Samples }
+}
+
+/**
+ * Validate, deduplicate and group the readings of an epoch into the batches
+ * chosen by `compressTopDown`, without building them.
+ * @param {object[]} samples - Array of sensor samples.
+ * @param {object} params - Parameters resolved by `resolveLossyParams`.
+ * @param {object} options - Same as `runHGC`.
+ * @returns {{groups: {res:number, parent:string, cells:string[], entriesOf:Record<string, object[]>}[], map: Object, invalidSamples: object[]}}
+ *   Input of `buildBatch` for each batch, cell → batch mapping and rejected readings.
+ */
+export function planBatches(samples, params, options = {}) {
   // 1. Map readings by geoCellId (res8 sheets)
   // - Normalizes IDs to res8
   // - Removes duplicates by (issuer, timestamp) or content hash
@@ -46,127 +215,80 @@ export function runHGC(samples, epoch, params = HGC_DEFAULT_PARAMS, { onInvalid
   const tmpByCell = {}
   const invalidSamples = []
   for (const s of samples) {
-    const topErrors = validateSample(s)
-    if (topErrors.length) {
-      if (onInvalid === 'throw') throw new Error(topErrors.join('; '))
-      if (onInvalid === 'mark') invalidSamples.push({ ...s, errors: topErrors })
-      continue
-    }
-
-    let id = s.geoCellId
-    if (h3.getResolution(id) !== baseRes) id = h3.cellToParent(id, baseRes)
+    const checked = checkReading(s, params, options, invalidSamples)
+    if (!checked) continue
+    const { id, key } = checked
 
     if (!tmpByCell[id]) tmpByCell[id] = new Map()
     const cellMap = tmpByCell[id]
-
-    const key = (s.issuer !== undefined && s.timestamp !== undefined)
-      ? `${s.issuer}-${s.timestamp}`
-      : sha256HexCanonical({ ...s, geoCellId: id })
     if (cellMap.has(key)) continue
 
-    const arr = Array.isArray(s.samples) ? s.samples : [s]
-    const validArr = []
-    for (const sample of arr) {
-      const errors = validateSample({ ...sample, geoCellId: id })
-      if (errors.length) {
-        if (onInvalid === 'throw') throw new Error(errors.join('; '))
-        if (onInvalid === 'mark') invalidSamples.push({ ...sample, geoCellId: id, errors })
-        if (onInvalid === 'discard') continue
-      } else {
-        validArr.push(sample)
-      }
-    }
-
-    if (!validArr.length) continue
-    const payload = Array.isArray(s.samples)
-      ? { ...s, geoCellId: id, samples: validArr }
-      : { ...s, geoCellId: id }
-    cellMap.set(key, payload)
+    const payload = finalizeReading(s, id, options, invalidSamples)
+    if (payload) cellMap.set(key, payload)
   }
 
+  // cells whose readings were all rejected hold no leaf
   const entriesByCell = {}
   for (const [cell, map] of Object.entries(tmpByCell)) {
-    entriesByCell[cell] = Array.from(map.values())
-      .sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0))
+    if (map.size) entriesByCell[cell] = sortCellEntries(Array.from(map.values()))
   }
 
-  const allCells = Object.keys(entriesByCell)
+  // 2. Lossy modes replace readings by time buckets; merged coarse regions are
+  //    compressed through a base-resolution proxy cell and stored under their own ID
+  const { entriesByCell: lossyByCell, proxies } = applyLossy(entriesByCell, params)
+  const leafOf = id => proxies[id] ?? id
+
+  const allCells = Object.keys(lossyByCell)
   allCells.sort(cellIdComparator)
   const sampleCountByCell = Object.fromEntries(
     allCells.map(id => [
       id,
-      entriesByCell[id].reduce((sum, entry) => {
-        return sum + (Array.isArray(entry.samples) ? entry.samples.length : 1)
-      }, 0)
+      lossyByCell[id].reduce((sum, entry) => sum + readingCount(entry), 0)
     ])
   )
 
-  const compressed = compressTopDown(allCells, sampleCountByCell, undefined, false, params)
+  const compressed = liftRegionBatches(
+    compressTopDown(allCells, sampleCountByCell, undefined, params.ordering, params, options.previousLayout),
+    proxies,
+    params.coarseRes
+  )
 
-  const batches = []
+  const groups = []
   const map     = {}
 
   for (const { res, cells } of compressed) {
     const parent = h3.cellToParent(cells[0], res)
+    const sortedCells = cells.map(leafOf).sort(cellIdComparator)
+    const entriesOf = Object.fromEntries(cells.map(c => [leafOf(c), lossyByCell[c]]))
+    for (const cell of sortedCells) map[cell] = parent
+    groups.push({ res, parent, cells: sortedCells, entriesOf })
+  }
 
-    const sortedCells = [...cells].sort(cellIdComparator)
-    const dataObj = {}
-    let countSamples = 0
-    let tsMin = Infinity
-    let tsMax = -Infinity
-
-    for (const cell of sortedCells) {
-      const arr = entriesByCell[cell]
-      dataObj[cell] = arr
-      map[cell]     = parent
-      countSamples += arr.reduce((s, e) => s + (Array.isArray(e.samples) ? e.samples.length : 1), 0)
-      if (arr.length) {
-        const localMin = arr[0].timestamp ?? Infinity
-        const localMax = arr[arr.length - 1].timestamp ?? -Infinity
-        if (localMin < tsMin) tsMin = localMin
-        if (localMax > tsMax) tsMax = localMax
-      }
-    }
-
-    const countLeaves = sortedCells.length
-    const { root: merkleRoot, leavesIndex } = merkleRootAndIndex(dataObj)
-    const center = h3.cellToLatLng(parent)
-    const boundary = h3.cellToBoundary(parent)
-
-    const batchObj = {
-      geoBatchId     : parent,
-      epoch,
-      compressedFrom : sortedCells,
-      data           : dataObj,
-      countLeaves,
-      countSamples,
-      tsMin: tsMin === Infinity ? null : tsMin,
-      tsMax: tsMax === -Infinity ? null : tsMax,
-      center,
-      boundary,
-      resBase: baseRes,
-      resBatch: res,
-      epochStartMs: epoch * WINDOW_MS,
-      windowMs: WINDOW_MS,
-      schemaVersion: SCHEMA_VERSION,
-      hgcParams: params,
-      merkleRoot,
-      leavesIndex
-    }
+  return { groups, map, invalidSamples }
+}
 
-    batchObj.hash = sha256HexCanonical(batchObj)
-    batches.push(batchObj)
-  }
+/* === API principal === */
+/**
+ * Execute the Hierarchical Geo Compressor over a list of samples.
+ * @param {object[]} samples - Array of sensor samples.
+ * @param {number} epoch - Epoch number being processed.
+ * @param {object} [params=HGC_DEFAULT_PARAMS] - HGC configuration parameters;
+ *   `aggregates: false` skips the per-sensor aggregates committed with each batch
+ *   and `lossy: 'time' | 'spatial'` stores bucketed means instead of raw readings.
+ * @param {{onInvalid?: 'throw' | 'mark' | 'discard', onInvalidSignature?: 'ignore' | 'throw' | 'mark' | 'discard', previousLayout?: string[]}} [options]
+ *   How to handle invalid samples and readings not signed by their `issuer`
+ *   (`ignore` skips signature checks; `mark` and `discard` drop the reading), and
+ *   the geoBatch IDs of the previous epoch used for hysteresis (see `loadPreviousLayout`).
+ * @returns {{batches: object[], map: Object, superRoot: string, summary: Object, invalidSamples: object[], hgcParams: object}}
+ *   Resulting batches, mappings and metadata.
+ */
+export function runHGC(samples, epoch, params = HGC_DEFAULT_PARAMS, options = {}) {
+  params = resolveLossyParams(params)
+  const { groups, map, invalidSamples } = planBatches(samples, params, options)
+  const batches = groups.map(group => buildBatch(group, epoch, params))
 
   const { superRoot } = computeEpochSuperRoot(batches)
-  const leavesArr = batches.map(b => b.countLeaves)
-  const samplesArr = batches.map(b => b.countSamples)
-  const batchesTotal = batches.length
-  const avgLeaves = batchesTotal ? leavesArr.reduce((s, n) => s + n, 0) / batchesTotal : 0
-  const avgSamples = batchesTotal ? samplesArr.reduce((s, n) => s + n, 0) / batchesTotal : 0
-  const p95Leaves = percentile(leavesArr, 0.95)
-  const p95Samples = percentile(samplesArr, 0.95)
-  const summary = { batchesTotal, avgLeaves, p95Leaves, avgSamples, p95Samples }
+  const summary = summarizeBatches(batches)
 
   return { batches, map, superRoot, summary, invalidSamples, hgcParams: params }
 }
@@ -174,7 +296,7 @@ export function runHGC(samples, epoch, params = HGC_DEFAULT_PARAMS, { onInvalid
 export function addMerkleRoots(batches) {
   for (const b of batches) {
     if (b.merkleRoot && b.leavesIndex) continue
-    const { root, leavesIndex } = merkleRootAndIndex(b.data)
+    const { root, leavesIndex } = merkleRootAndIndex(b.data, b.aggregates)
     b.merkleRoot = root
     b.leavesIndex = leavesIndex
   }
@@ -184,7 +306,7 @@ export function computeEpochSuperRoot(batches) {
   const sorted = [...batches].sort((a, b) => cellIdComparator(a.geoBatchId, b.geoBatchId))
   const batchIds = sorted.map(b => b.geoBatchId)
   const batchRoots = sorted.map(b => b.merkleRoot)
-  const leaves = sorted.map(b => keccak256(b.geoBatchId + b.merkleRoot))
+  const leaves = sorted.map(b => batchLeaf(b.geoBatchId, b.merkleRoot))
   const tree = new MerkleTree(leaves, keccak256, { sortPairs: true })
   return { superRoot: tree.getHexRoot(), batchIds, batchRoots }
 }
@@ -0,0 +1,121 @@
+import { Worker } from 'worker_threads'
+import {
+  HGC_DEFAULT_PARAMS,
+  planBatches,
+  buildBatch,
+  summarizeBatches,
+  computeEpochSuperRoot
+} from './hgc.js'
+import { resolveLossyParams } from './lossy.js'
+
+const WORKER_URL = new URL('./batchWorker.js', import.meta.url)
+
+/**
+ * Pool of worker threads running `buildBatch` (canonicalization, aggregates,
+ * Merkle tree, boundary and content hash). `buildBatch` only depends on its
+ * input, so the batches are the same as on the main thread whichever worker
+ * builds them; results are returned in input order.
+ * @param {number} size - Number of worker threads (at least 1).
+ * @returns {{build: (groups: object[], epoch: number, params: object) => Promise<object[]>, close: () => Promise<void>}}
+ */
+export function createBatchPool (size) {
+  if (!Number.isSafeInteger(size) || size < 1) throw new Error(`invalid pool size (${size})`)
+
+  const workers = []
+  const idle = []
+  const queue = []
+  const pending = new Map() // task id -> { resolve, reject }
+  let nextId = 0
+  let failure = null
+
+  function dispatch () {
+    while (idle.length && queue.length) {
+      const worker = idle.pop()
+      const task = queue.shift()
+      worker.postMessage(task)
+    }
+  }
+
+  function fail (err) {
+    failure = failure ?? err
+    for (const { reject } of pending.values()) reject(failure)
+    pending.clear()
+    queue.length = 0
+  }
+
+  for (let i = 0; i < size; i++) {
+    const worker = new Worker(WORKER_URL)
+    worker.on('message', ({ id, batch, error }) => {
+      const task = pending.get(id)
+      pending.delete(id)
+      idle.push(worker)
+      if (task) {
+        if (error) task.reject(new Error(error))
+        else task.resolve(batch)
+      }
+      dispatch()
+    })
+    worker.on('error', fail)
+    worker.on('exit', code => {
+      if (code !== 0) fail(new Error(`batch worker exited with code ${code}`))
+    })
+    workers.push(worker)
+    idle.push(worker)
+  }
+
+  function run (group, epoch, params) {
+    if (failure) return Promise.reject(failure)
+    return new Promise((resolve, reject) => {
+      const id = nextId++
+      pending.set(id, { resolve, reject })
+      queue.push({ id, group, epoch, params })
+      dispatch()
+    })
+  }
+
+  return {
+    build (groups, epoch, params) {
+      return Promise.all(groups.map(group => run(group, epoch, params)))
+    },
+    async close () {
+      await Promise.all(workers.map(w => w.terminate()))
+    }
+  }
+}
+
+/**
+ * `runHGC` with batch finalization spread over `workers` threads. Reading
+ * checks, deduplication and `compressTopDown` still run on the calling thread;
+ * the result is identical to `runHGC` with the same arguments.
+ * @param {object[]} samples - Array of sensor samples.
+ * @param {number} epoch - Epoch number being processed.
+ * @param {object} [params=HGC_DEFAULT_PARAMS] - HGC configuration parameters.
+ * @param {{workers?: number, pool?: object, onInvalid?: string, onInvalidSignature?: string}} [options]
+ *   Same as `runHGC`, plus the number of threads (`0` builds on the calling
+ *   thread) or an existing pool from `createBatchPool`, left open.
+ * @returns {Promise<{batches: object[], map: Object, superRoot: string, summary: Object, invalidSamples: object[], hgcParams: object}>}
+ */
+export async function runHGCParallel (samples, epoch, params = HGC_DEFAULT_PARAMS, options = {}) {
+  params = resolveLossyParams(params)
+  const { workers = 0 } = options
+  const { groups, map, invalidSamples } = planBatches(samples, params, options)
+
+  let batches
+  if (options.pool) {
+    batches = await options.pool.build(groups, epoch, params)
+  } else if (workers > 0) {
+    const pool = createBatchPool(Math.min(workers, Math.max(groups.length, 1)))
+    try {
+      batches = await pool.build(groups, epoch, params)
+    } finally {
+      await pool.close()
+    }
+  } else {
+    batches = groups.map(group => buildBatch(group, epoch, params))
+  }
+
+  const { superRoot } = computeEpochSuperRoot(batches)
+  const summary = summarizeBatches(batches)
+
+  return { batches, map, superRoot, summary, invalidSamples, hgcParams: params }
+}
@@ -0,0 +1,234 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import readline from 'readline'
+import * as h3 from 'h3-js'
+import {
+  HGC_DEFAULT_PARAMS,
+  checkReading,
+  finalizeReading,
+  sortCellEntries,
+  buildBatch,
+  summarizeBatches,
+  computeEpochSuperRoot
+} from './hgc.js'
+import { compressTopDown, cellIdComparator } from './grouping.js'
+import { resolveLossyParams, applyLossy, liftRegionBatches, readingCount } from './lossy.js'
+import { saveBatch, saveEpochIndex } from './persistence.js'
+import { createBatchPool } from './hgcParallel.js'
+
+export const DEFAULT_PARTITIONS = 64
+// cells are partitioned by their ancestor at this resolution (or the lossy
+// coarseRes when coarser), so a spatial lossy region never spans partitions
+const PARTITION_RES = 4
+// bytes buffered per partition before appending to its spill file
+const FLUSH_BYTES = 256 * 1024
+
+// FNV-1a of the partition ancestor, stable across runs and platforms
+function partitionOf (cell, res, partitions) {
+  const key = h3.cellToParent(cell, res)
+  let hash = 0x811c9dc5
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193) >>> 0
+  }
+  return hash % partitions
+}
+
+function createSpill (dir, partitions) {
+  const buffers = Array.from({ length: partitions }, () => ({ lines: [], bytes: 0 }))
+  const fileFor = i => path.join(dir, `readings_${i}.ndjson`)
+
+  function flush (i) {
+    const buf = buffers[i]
+    if (!buf.lines.length) return
+    fs.appendFileSync(fileFor(i), buf.lines.join(''))
+    buf.lines = []
+    buf.bytes = 0
+  }
+
+  return {
+    fileFor,
+    write (i, line) {
+      const buf = buffers[i]
+      buf.lines.push(line)
+      buf.bytes += line.length
+      if (buf.bytes >= FLUSH_BYTES) flush(i)
+    },
+    flushAll () {
+      for (let i = 0; i < partitions; i++) flush(i)
+    }
+  }
+}
+
+async function * readLines (file) {
+  const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity })
+  let lineNo = 0
+  for await (const line of rl) {
+    lineNo++
+    if (line.trim()) yield [line, lineNo]
+  }
+}
+
+// receives invalid readings in `mark` mode without keeping them in memory
+function createInvalidSink (invalidFile) {
+  const fd = invalidFile ? fs.openSync(invalidFile, 'w') : null
+  return {
+    count: 0,
+    push (reading) {
+      this.count++
+      if (fd !== null) fs.writeSync(fd, JSON.stringify(reading) + '\n')
+    },
+    close () {
+      if (fd !== null) fs.closeSync(fd)
+    }
+  }
+}
+
+/**
+ * Streaming variant of `runHGC` + `saveResults` for epochs that do not fit in
+ * memory. Readings are read from an NDJSON file and spilled to partition files
+ * on disk; each partition is then deduplicated and stored per cell, and the
+ * batches chosen by `compressTopDown` are built and written one at a time.
+ * Memory is bounded by the largest partition, the batches being built and the
+ * per-cell index, not by the number of readings. Output files are
+ * byte-identical to `runHGC` followed by `saveResults` over the same readings.
+ * @param {string} inputFile - NDJSON file with one reading per line.
+ * @param {number} epoch - Epoch number being processed.
+ * @param {object} [params=HGC_DEFAULT_PARAMS] - HGC configuration parameters.
+ * @param {{onInvalid?: string, onInvalidSignature?: string, previousLayout?: string[], baseDir?: string,
+ *   meta?: object, partitions?: number, workDir?: string, invalidFile?: string, workers?: number}} [options]
+ *   Same invalid-reading modes and `previousLayout` as `runHGC`; readings
+ *   rejected in `mark` mode are written to `invalidFile` (NDJSON) instead of
+ *   being returned. Spill files go to a temporary `workDir`, removed at the end.
+ *   `workers` builds the batches on a `createBatchPool` of that size.
+ * @returns {Promise<{superRoot:string, batches:object[], summary:object, invalidSamples:number, hgcParams:object, superPayload:object}>}
+ *   Super-root, per-batch summaries (`geoBatchId`, `merkleRoot`, counts and timestamps)
+ *   and the `superRoot.json` payload.
+ */
+export async function runHGCStream (inputFile, epoch, params = HGC_DEFAULT_PARAMS, options = {}) {
+  params = resolveLossyParams(params)
+  const {
+    baseDir = process.cwd(),
+    meta = {},
+    partitions = DEFAULT_PARTITIONS,
+    invalidFile,
+    workers = 0
+  } = options
+  const partitionRes = Math.min(PARTITION_RES, params.baseRes, params.lossy === 'spatial' ? params.coarseRes : PARTITION_RES)
+
+  const workDir = options.workDir ?? await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hgc-stream-'))
+  await fs.promises.mkdir(workDir, { recursive: true })
+  const invalid = createInvalidSink(invalidFile)
+  const fds = []
+  let pool = null
+
+  try {
+    // 1. Check each reading and spill it to the partition of its base cell
+    const spill = createSpill(workDir, partitions)
+    for await (const [line, lineNo] of readLines(inputFile)) {
+      let reading
+      try {
+        reading = JSON.parse(line)
+      } catch {
+        throw new Error(`invalid JSON at ${inputFile}:${lineNo}`)
+      }
+      const checked = checkReading(reading, params, options, invalid)
+      if (!checked) continue
+      spill.write(partitionOf(checked.id, partitionRes, partitions), JSON.stringify([checked.id, checked.key, reading]) + '\n')
+    }
+    spill.flushAll()
+
+    // 2. Deduplicate each partition and store the leaves of its cells with an offset index
+    const index = new Map() // leaf cell -> [partition, offset, length]
+    const sampleCountByCell = {}
+    const proxies = {}
+    for (let i = 0; i < partitions; i++) {
+      if (!fs.existsSync(spill.fileFor(i))) continue
+
+      const tmpByCell = new Map()
+      for await (const [line] of readLines(spill.fileFor(i))) {
+        const [id, key, reading] = JSON.parse(line)
+        if (!tmpByCell.has(id)) tmpByCell.set(id, new Map())
+        const cellMap = tmpByCell.get(id)
+        if (cellMap.has(key)) continue
+        const payload = finalizeReading(reading, id, options, invalid)
+        if (payload) cellMap.set(key, payload)
+      }
+      await fs.promises.rm(spill.fileFor(i))
+
+      const entriesByCell = {}
+      for (const [cell, cellMap] of tmpByCell) {
+        if (cellMap.size) entriesByCell[cell] = sortCellEntries(Array.from(cellMap.values()))
+      }
+      const lossy = applyLossy(entriesByCell, params)
+      Object.assign(proxies, lossy.proxies)
+
+      const fd = fs.openSync(path.join(workDir, `cells_${i}.ndjson`), 'w+')
+      fds[i] = fd
+      let offset = 0
+      for (const [cell, entries] of Object.entries(lossy.entriesByCell)) {
+        const buf = Buffer.from(JSON.stringify(entries))
+        fs.writeSync(fd, buf)
+        index.set(cell, [i, offset, buf.length])
+        offset += buf.length
+        sampleCountByCell[cell] = entries.reduce((sum, entry) => sum + readingCount(entry), 0)
+      }
+    }
+
+    // 3. Compress and write the batches one at a time
+    const allCells = Object.keys(sampleCountByCell)
+    allCells.sort(cellIdComparator)
+    const compressed = liftRegionBatches(
+      compressTopDown(allCells, sampleCountByCell, undefined, params.ordering, params, options.previousLayout),
+      proxies,
+      params.coarseRes
+    )
+
+    const dir = path.join(baseDir, 'data', `epoch_${epoch}`)
+    await fs.promises.mkdir(dir, { recursive: true })
+    const leafOf = id => proxies[id] ?? id
+    const batches = []
+    const map = {}
+    // with a pool, up to 2 batches per worker are built at a time
+    pool = workers > 0 ? createBatchPool(workers) : null
+    const windowSize = pool ? 2 * workers : 1
+    let queued = []
+    const flush = async () => {
+      const built = pool
+        ? await pool.build(queued, epoch, params)
+        : queued.map(group => buildBatch(group, epoch, params))
+      queued = []
+      for (const batch of built) {
+        await saveBatch(dir, batch)
+        const { geoBatchId, merkleRoot, countLeaves, countSamples, tsMin, tsMax } = batch
+        batches.push({ geoBatchId, merkleRoot, countLeaves, countSamples, tsMin, tsMax })
+      }
+    }
+    for (const { res, cells } of compressed) {
+      const parent = h3.cellToParent(cells[0], res)
+      const sortedCells = cells.map(leafOf).sort(cellIdComparator)
+      const entriesOf = {}
+      for (const cell of cells) {
+        const [i, offset, length] = index.get(cell)
+        const buf = Buffer.alloc(length)
+        fs.readSync(fds[i], buf, 0, length, offset)
+        entriesOf[leafOf(cell)] = JSON.parse(buf.toString('utf8'))
+      }
+      for (const cell of sortedCells) map[cell] = parent
+
+      queued.push({ res, parent, cells: sortedCells, entriesOf })
+      if (queued.length >= windowSize) await flush()
+    }
+    if (queued.length) await flush()
+
+    const superPayload = await saveEpochIndex({ batches, map, hgcParams: params, meta }, epoch, baseDir)
+    const { superRoot } = computeEpochSuperRoot(batches)
+    return { superRoot, batches, summary: summarizeBatches(batches), invalidSamples: invalid.count, hgcParams: params, superPayload }
+  } finally {
+    for (const fd of fds) if (fd !== undefined) fs.closeSync(fd)
+    if (pool) await pool.close()
+    invalid.close()
+    if (!options.workDir) await fs.promises.rm(workDir, { recursive: true, force: true })
+  }
+}
@@ -0,0 +1,161 @@
+import * as h3 from 'h3-js'
+import { cellIdComparator } from './grouping.js'
+
+export const DEFAULT_BUCKET_MS = 15 * 60 * 1000
+export const DEFAULT_DENSITY_THRESHOLD = 16
+
+// numeric reading fields that are metadata, not sensor values: not averaged
+// into a bucket nor summarized in the batch aggregates
+export const NON_SENSOR_FIELDS = new Set(['timestamp', 'sensorType', 'count', 'bucketMs'])
+
+/**
+ * Number of raw samples an entry of `batch.data` stands for.
+ * Bucket entries written by the lossy modes carry it in `count`; readings
+ * with a `bucketMs` field are rejected on input, so `count` cannot be forged.
+ * @param {object} entry - Reading, reading with nested `samples`, or bucket.
+ * @returns {number} Sample count.
+ */
+export function readingCount (entry) {
+  if (Array.isArray(entry.samples)) return entry.samples.length
+  if (entry.bucketMs !== undefined && Number.isSafeInteger(entry.count)) return entry.count
+  return 1
+}
+
+/**
+ * Fill in the lossy parameters of an HGC configuration.
+ * The resolved values end up in `hgcParams`, so a verifier replaying the
+ * epoch buckets the readings exactly the same way.
+ * @param {object} params - HGC parameters.
+ * @returns {object} Parameters with `bucketMs`, `coarseRes` and `densityThreshold` set when `lossy` is on.
+ */
+export function resolveLossyParams (params) {
+  const { lossy = 'off', baseRes } = params
+  if (lossy === 'off') return params
+  if (lossy !== 'time' && lossy !== 'spatial') throw new Error(`invalid lossy mode ${lossy} (expected off | time | spatial)`)
+
+  const resolved = {
+    ...params,
+    bucketMs: params.bucketMs ?? DEFAULT_BUCKET_MS,
+    coarseRes: params.coarseRes ?? Math.max(baseRes - 2, 0),
+    densityThreshold: params.densityThreshold ?? DEFAULT_DENSITY_THRESHOLD
+  }
+  if (!Number.isSafeInteger(resolved.bucketMs) || resolved.bucketMs <= 0) {
+    throw new Error(`invalid bucketMs (${resolved.bucketMs})`)
+  }
+  if (!Number.isInteger(resolved.coarseRes) || resolved.coarseRes < 0 || resolved.coarseRes >= baseRes) {
+    throw new Error(`invalid coarseRes (${resolved.coarseRes}): must be below baseRes ${baseRes}`)
+  }
+  return resolved
+}
+
+/**
+ * Replace readings with per-issuer time buckets holding the mean of each
+ * sensor. Nested `samples` are unrolled first.
+ * @param {object[]} entries - Readings of one cell (or region).
+ * @param {number} bucketMs - Bucket length in ms.
+ * @returns {{issuer?:string, timestamp:number, bucketMs:number, count:number}[]}
+ *   Buckets sorted by start timestamp and issuer, with one mean per sensor.
+ */
+export function bucketReadings (entries, bucketMs) {
+  const buckets = new Map()
+  for (const entry of entries) {
+    const readings = Array.isArray(entry.samples)
+      ? entry.samples.map(s => ({ ...s, timestamp: s.timestamp ?? entry.timestamp }))
+      : [entry]
+    for (const reading of readings) {
+      const start = Math.floor((reading.timestamp ?? 0) / bucketMs) * bucketMs
+      const key = `${entry.issuer ?? ''}|${start}`
+      if (!buckets.has(key)) buckets.set(key, { issuer: entry.issuer, start, count: 0, sums: {}, counts: {} })
+      const b = buckets.get(key)
+      b.count++
+      for (const [field, value] of Object.entries(reading)) {
+        if (NON_SENSOR_FIELDS.has(field) || typeof value !== 'number' || !Number.isFinite(value)) continue
+        b.sums[field] = (b.sums[field] ?? 0) + value
+        b.counts[field] = (b.counts[field] ?? 0) + 1
+      }
+    }
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => a.start - b.start || (a.issuer ?? '').localeCompare(b.issuer ?? ''))
+    .map(b => {
+      const out = { timestamp: b.start, bucketMs, count: b.count }
+      if (b.issuer !== undefined) out.issuer = b.issuer
+      for (const sensor of Object.keys(b.sums).sort()) out[sensor] = b.sums[sensor] / b.counts[sensor]
+      return out
+    })
+}
+
+/**
+ * Apply the lossy mode of `params` to the readings grouped by cell.
+ * `time` buckets every cell; `spatial` merges the cells of each `coarseRes`
+ * parent holding at least `densityThreshold` cells into one bucketed leaf keyed
+ * by the parent, and leaves sparser cells untouched.
+ * @param {Record<string, object[]>} entriesByCell - Base cell → readings.
+ * @param {object} params - Parameters resolved by `resolveLossyParams`.
+ * @returns {{entriesByCell: Record<string, object[]>, proxies: Record<string, string>}}
+ *   Readings keyed by base cell, where a merged region is keyed by its
+ *   center child at `baseRes`, and the leaf key (`coarseRes` parent) of each
+ *   such proxy cell.
+ */
+export function applyLossy (entriesByCell, params) {
+  const { lossy = 'off', bucketMs, coarseRes, densityThreshold, baseRes } = params
+  if (lossy === 'off') return { entriesByCell, proxies: {} }
+
+  if (lossy === 'time') {
+    const out = {}
+    for (const [cell, entries] of Object.entries(entriesByCell)) out[cell] = bucketReadings(entries, bucketMs)
+    return { entriesByCell: out, proxies: {} }
+  }
+
+  const regions = {}
+  for (const cell of Object.keys(entriesByCell).sort(cellIdComparator)) {
+    const parent = h3.cellToParent(cell, coarseRes)
+    if (!regions[parent]) regions[parent] = []
+    regions[parent].push(cell)
+  }
+
+  const out = {}
+  const proxies = {}
+  for (const [parent, cells] of Object.entries(regions)) {
+    if (cells.length < densityThreshold) {
+      for (const cell of cells) out[cell] = entriesByCell[cell]
+      continue
+    }
+    // every cell of the region is merged, so its center child is free to stand for it
+    const proxy = h3.cellToCenterChild(parent, baseRes)
+    out[proxy] = bucketReadings(cells.flatMap(c => entriesByCell[c]), bucketMs)
+    proxies[proxy] = parent
+  }
+  return { entriesByCell: out, proxies }
+}
+
+/**
+ * Keep the merged regions of the spatial mode in batches at `coarseRes` or
+ * coarser. A region is the only leaf under its `coarseRes` parent, so
+ * `compressTopDown` only splits it further when its samples pass the batch
+ * limits; that batch holds the proxy alone and is moved up to the region.
+ * @param {{res:number, cells:string[]}[]} compressed - Output of `compressTopDown`.
+ * @param {Record<string, string>} proxies - Proxy cell → region, from `applyLossy`.
+ * @param {number} coarseRes - Resolution of the merged regions.
+ * @returns {{res:number, cells:string[]}[]} Batches with no region below `coarseRes`.
+ */
+export function liftRegionBatches (compressed, proxies, coarseRes) {
+  return compressed.map(b => b.res > coarseRes && b.cells.some(c => proxies[c]) ? { ...b, res: coarseRes } : b)
+}
+
+/**
+ * Leaf keys that may hold a cell in an epoch: the cell at `baseRes` and, in
+ * `spatial` lossy mode, its `coarseRes` parent.
+ * @param {string} geoCellId - Cell at `baseRes` or finer.
+ * @param {object} [hgcParams] - Parameters recorded in `superRoot.json`.
+ * @returns {string[]} Candidate leaf keys, most specific first.
+ */
+export function storedCellKeys (geoCellId, hgcParams = {}) {
+  const { baseRes, lossy, coarseRes } = hgcParams
+  let cell = geoCellId
+  if (baseRes !== undefined && h3.getResolution(cell) > baseRes) cell = h3.cellToParent(cell, baseRes)
+  const keys = [cell]
+  if (lossy === 'spatial' && h3.getResolution(cell) > coarseRes) keys.push(h3.cellToParent(cell, coarseRes))
+  return keys
+}
@@ -0,0 +1,71 @@
+import fs from 'fs'
+import path from 'path'
+import { ethers } from 'ethers'
+import { signRegistration } from './didSigner.js'
+import { getRegistrationDomain, getNodeRegistration, registerNodesBulk, isChainEnabled } from './chain.js'
+
+// registerNode costs ~133k gas; 50 nodes per call stays well below block limits
+export const DEFAULT_ONBOARDING_CHUNK = 50
+
+/**
+ * Sign and register simulated nodes with `registerMultipleNodes`, in chunks.
+ * Nodes already registered are skipped. A receipt is written to
+ * `data/registrations/nodes.json`.
+ * @param {{nodeAddress:string, privateKey:string}[]} nodes - Nodes from `generateNodes`.
+ * @param {{controller:string, nodeType?:number, metadataURI?:(node:object) => string, chunkSize?:number, baseDir?:string}} options
+ * @returns {Promise<object>} Receipt payload saved to disk.
+ */
+export async function onboardNodes (nodes, options) {
+  const {
+    controller,
+    nodeType = 0,
+    metadataURI = node => `did:geo3:${node.nodeAddress}`,
+    chunkSize = DEFAULT_ONBOARDING_CHUNK,
+    baseDir = process.cwd()
+  } = options
+  if (!controller || !ethers.isAddress(controller)) throw new Error(`invalid controller (${controller})`)
+
+  const domain = await getRegistrationDomain()
+  const pending = []
+  const skipped = []
+  for (const node of nodes) {
+    if (!node.privateKey) throw new Error(`node ${node.nodeAddress} has no private key`)
+    const { registered, nonce } = await getNodeRegistration(node.nodeAddress)
+    if (registered) {
+      skipped.push(node.nodeAddress)
+      continue
+    }
+    const message = {
+      node: node.nodeAddress,
+      controller: ethers.getAddress(controller),
+      nodeType,
+      metadataURI: metadataURI(node),
+      nonce
+    }
+    pending.push({ ...message, signature: signRegistration(node.privateKey, message, domain) })
+  }
+
+  const transactions = []
+  for (let i = 0; i < pending.length; i += chunkSize) {
+    const chunk = pending.slice(i, i + chunkSize)
+    const tx = await registerNodesBulk(chunk)
+    transactions.push({ ...tx, nodes: chunk.length })
+  }
+
+  const receipt = {
+    mode: isChainEnabled() ? 'chain' : 'mock',
+    chainId: domain.chainId.toString(),
+    registry: domain.verifyingContract,
+    controller: ethers.getAddress(controller),
+    nodeType,
+    registered: pending.map(e => e.node),
+    skipped,
+    transactions
+  }
+
+  const dir = path.join(baseDir, 'data', 'registrations')
+  await fs.promises.mkdir(dir, { recursive: true })
+  await fs.promises.writeFile(path.join(dir, 'nodes.json'), JSON.stringify(receipt, null, 2))
+  console.log(`✅ Onboarding: ${pending.length} nodes em ${transactions.length} txs • ${skipped.length} já registrados`)
+  return receipt
+}
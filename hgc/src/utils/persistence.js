@@ -15,14 +15,36 @@ export async function saveResults ({ batches, map, hgcParams, meta = {} }, epoch
   const dir = path.join(baseDir, 'data', `epoch_${epoch}`)
   await fs.promises.mkdir(dir, { recursive: true })
 
-  for (const b of batches) {
-    const payload = { ...b }
-    if (b.merkleRoot) payload.merkleRoot = b.merkleRoot
-    await fs.promises.writeFile(
-      path.join(dir, `${b.geoBatchId}.json`),
-      JSON.stringify(payload, null, 2)
-    )
-  }
+  for (const b of batches) await saveBatch(dir, b)
+  return saveEpochIndex({ batches, map, hgcParams, meta }, epoch, baseDir)
+}
+
+/**
+ * Write one batch file (`<geoBatchId>.json`) into an existing epoch directory.
+ * @param {string} dir - Path to `data/epoch_<N>`.
+ * @param {object} b - geoBatch produced by `runHGC`.
+ * @returns {Promise<void>}
+ */
+export async function saveBatch (dir, b) {
+  const payload = { ...b }
+  if (b.merkleRoot) payload.merkleRoot = b.merkleRoot
+  await fs.promises.writeFile(
+    path.join(dir, `${b.geoBatchId}.json`),
+    JSON.stringify(payload, null, 2)
+  )
+}
+
+/**
+ * Write `superRoot.json` of an epoch and merge its cells into `cellToBatchMap.json`.
+ * Only the batch summaries are needed, so batches already written with
+ * `saveBatch` do not have to stay in memory.
+ * @param {{batches:{geoBatchId:string, merkleRoot:string, tsMin:number|null, tsMax:number|null, countSamples:number}[], map:Object, hgcParams:Object, meta?:Object}} result
+ * @param {number} epoch - Epoch number associated with the results.
+ * @param {string} [baseDir=process.cwd()] - Base directory for persistence.
+ * @returns {Promise<object>} Super-root payload saved to disk.
+ */
+export async function saveEpochIndex ({ batches, map, hgcParams, meta = {} }, epoch, baseDir = process.cwd()) {
+  const dir = path.join(baseDir, 'data', `epoch_${epoch}`)
   const { superRoot, batchIds, batchRoots } = computeEpochSuperRoot(batches)
   const tsMin = batches.reduce((m, b) => (b.tsMin !== null && b.tsMin < m ? b.tsMin : m), Infinity)
   const tsMax = batches.reduce((m, b) => (b.tsMax !== null && b.tsMax > m ? b.tsMax : m), -Infinity)
@@ -77,3 +99,40 @@ export async function saveResults ({ batches, map, hgcParams, meta = {} }, epoch
   return superPayload
 }
 
+/**
+ * Batch layout of the latest epoch before `epoch` in `cellToBatchMap.json`,
+ * used by `compressTopDown` to keep geoBatch IDs stable across epochs.
+ * @param {number} epoch - Epoch about to be compressed.
+ * @param {string} [baseDir=process.cwd()] - Base directory holding `data/`.
+ * @returns {Promise<{epoch:number, batchIds:string[]}|null>} Previous epoch and its
+ *   geoBatch IDs, or null when no earlier epoch was mapped.
+ */
+export async function loadPreviousLayout (epoch, baseDir = process.cwd()) {
+  let map
+  try {
+    map = JSON.parse(await fs.promises.readFile(path.join(baseDir, 'data', 'cellToBatchMap.json'), 'utf8'))
+  } catch {
+    return null
+  }
+  const previous = Object.keys(map).map(Number).filter(e => e < epoch).sort((a, b) => b - a)[0]
+  if (previous === undefined) return null
+  const batchIds = [...new Set(Object.values(map[previous]))].sort(cellIdComparator)
+  return { epoch: previous, batchIds }
+}
+
+/**
+ * Record where the epoch directory was uploaded in
+ * `data/storage/epoch_<N>.json`, next to the epoch directory rather than
+ * inside it, so the directory keeps hashing to the registered `dataCID`.
+ * @param {number} epoch - Epoch number.
+ * @param {{provider:string, cid:string, locator:string}} storage - Result of a storage provider upload.
+ * @param {string} [baseDir=process.cwd()] - Base directory holding `data/`.
+ * @returns {Promise<{epoch:number, provider:string, cid:string, locator:string}>} Saved record.
+ */
+export async function recordEpochStorage (epoch, { provider, cid, locator }, baseDir = process.cwd()) {
+  const dir = path.join(baseDir, 'data', 'storage')
+  await fs.promises.mkdir(dir, { recursive: true })
+  const record = { epoch, provider, cid, locator }
+  await fs.promises.writeFile(path.join(dir, `epoch_${epoch}.json`), JSON.stringify(record, null, 2))
+  return record
+}
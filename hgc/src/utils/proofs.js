@@ -0,0 +1,215 @@
+import fs from 'fs'
+import path from 'path'
+import * as h3 from 'h3-js'
+import keccak256 from 'keccak256'
+import { MerkleTree } from 'merkletreejs'
+import { buildCellTree, cellLeaf, batchLeaf, AGGREGATE_LEAF_PREFIX } from './hasher.js'
+import { cellIdComparator } from './grouping.js'
+import { storedCellKeys } from './lossy.js'
+
+async function readJson (filePath) {
+  return JSON.parse(await fs.promises.readFile(filePath, 'utf8'))
+}
+
+/**
+ * Build the inclusion proofs of several cells of one geoBatch, hashing the tree once.
+ * Each `leaf` and `proof` pair is what
+ * `GeoDataRegistry.verifyLeafInBatch(epoch, geoBatchId, leaf, proof)` expects.
+ * @param {object} batch - geoBatch object as produced by `runHGC`.
+ * @param {string[]} geoCellIds - Cells at the batch base resolution.
+ * @returns {{epoch:number, geoBatchId:string, geoCellId:string, data:*, leaf:string, proof:string[], merkleRoot:string}[]}
+ */
+export function buildCellProofs (batch, geoCellIds) {
+  for (const geoCellId of geoCellIds) {
+    if (!batch.data || !(geoCellId in batch.data)) {
+      throw new Error(`cell ${geoCellId} not found in batch ${batch.geoBatchId}`)
+    }
+  }
+  const { tree, leaves, leavesIndex, merkleRoot } = batchTree(batch)
+
+  return geoCellIds.map(geoCellId => {
+    const leaf = leaves[leavesIndex[geoCellId]]
+    return {
+      epoch: batch.epoch,
+      geoBatchId: batch.geoBatchId,
+      geoCellId,
+      data: batch.data[geoCellId],
+      leaf: '0x' + leaf.toString('hex'),
+      proof: tree.getHexProof(leaf),
+      merkleRoot
+    }
+  })
+}
+
+// batch tree (cells and aggregates), checked against the stored root
+function batchTree (batch) {
+  const built = buildCellTree(batch.data, batch.aggregates)
+  const merkleRoot = built.tree.getHexRoot()
+  if (batch.merkleRoot && batch.merkleRoot !== merkleRoot) {
+    throw new Error(`merkleRoot mismatch for batch ${batch.geoBatchId}`)
+  }
+  return { ...built, merkleRoot }
+}
+
+/**
+ * Build the inclusion proofs of the aggregates of a geoBatch, so regional
+ * statistics can be checked without the leaf data. The `leaf` and `proof`
+ * pairs are accepted by `GeoDataRegistry.verifyLeafInBatch` like cell proofs.
+ * @param {object} batch - geoBatch object with `aggregates`.
+ * @param {string[]} [aggregateIds] - H3 IDs of the aggregates (default: all).
+ * @returns {{epoch:number, geoBatchId:string, aggregateId:string, stats:object, leaf:string, proof:string[], merkleRoot:string}[]}
+ */
+export function buildAggregateProofs (batch, aggregateIds = Object.keys(batch.aggregates ?? {})) {
+  for (const id of aggregateIds) {
+    if (!batch.aggregates || !(id in batch.aggregates)) {
+      throw new Error(`aggregate ${id} not found in batch ${batch.geoBatchId}`)
+    }
+  }
+  const { tree, leaves, leavesIndex, merkleRoot } = batchTree(batch)
+
+  return aggregateIds.map(aggregateId => {
+    const leaf = leaves[leavesIndex[AGGREGATE_LEAF_PREFIX + aggregateId]]
+    return {
+      epoch: batch.epoch,
+      geoBatchId: batch.geoBatchId,
+      aggregateId,
+      stats: batch.aggregates[aggregateId],
+      leaf: '0x' + leaf.toString('hex'),
+      proof: tree.getHexProof(leaf),
+      merkleRoot
+    }
+  })
+}
+
+/**
+ * Check an aggregate proof off-chain.
+ * @param {{aggregateId:string, stats:object, leaf:string, proof:string[], merkleRoot:string}} aggregateProof
+ * @returns {boolean} True when the statistics hash to `leaf` and the path leads to `merkleRoot`.
+ */
+export function verifyAggregateProof ({ aggregateId, stats, leaf, proof, merkleRoot }) {
+  return verifyCellProof({ geoCellId: AGGREGATE_LEAF_PREFIX + aggregateId, data: stats, leaf, proof, merkleRoot })
+}
+
+/**
+ * Build the inclusion proof of a cell inside a geoBatch.
+ * @param {object} batch - geoBatch object as produced by `runHGC`.
+ * @param {string} geoCellId - Cell at the batch base resolution.
+ * @returns {{epoch:number, geoBatchId:string, geoCellId:string, data:*, leaf:string, proof:string[], merkleRoot:string}}
+ */
+export function buildCellProof (batch, geoCellId) {
+  return buildCellProofs(batch, [geoCellId])[0]
+}
+
+/**
+ * Check a cell proof off-chain, recomputing the leaf from the readings.
+ * @param {{geoCellId:string, data:*, leaf:string, proof:string[], merkleRoot:string}} cellProof
+ * @returns {boolean} True when the readings hash to `leaf` and the path reaches `merkleRoot`.
+ */
+export function verifyCellProof ({ geoCellId, data, leaf, proof, merkleRoot }) {
+  const computed = cellLeaf(geoCellId, data)
+  if ('0x' + computed.toString('hex') !== leaf) return false
+  return MerkleTree.verify(proof, computed, merkleRoot, keccak256, { sortPairs: true })
+}
+
+/**
+ * Extend a cell proof up to the epoch super-root.
+ * `batchLeaf` and `superProof` are the arguments expected by
+ * `GeoDataRegistrySuperRoot.verifyLeaf(epochId, leaf, proof)`.
+ * @param {object} cellProof - Proof returned by `buildCellProof`.
+ * @param {{geoBatchId:string, merkleRoot:string}[]} batches - Every batch of the epoch (ID and root).
+ * @returns {object} Cell proof plus `batchLeaf`, `superProof` and `superRoot`.
+ */
+export function buildEpochProof (cellProof, batches) {
+  const sorted = [...batches].sort((a, b) => cellIdComparator(a.geoBatchId, b.geoBatchId))
+  const leaves = sorted.map(b => batchLeaf(b.geoBatchId, b.merkleRoot))
+  const tree = new MerkleTree(leaves, keccak256, { sortPairs: true })
+
+  const idx = sorted.findIndex(b => b.geoBatchId === cellProof.geoBatchId)
+  if (idx < 0) throw new Error(`batch ${cellProof.geoBatchId} not part of the epoch`)
+  if (sorted[idx].merkleRoot !== cellProof.merkleRoot) {
+    throw new Error(`merkleRoot mismatch for batch ${cellProof.geoBatchId}`)
+  }
+
+  return {
+    ...cellProof,
+    batchLeaf: '0x' + leaves[idx].toString('hex'),
+    superProof: tree.getHexProof(leaves[idx]),
+    superRoot: tree.getHexRoot()
+  }
+}
+
+/**
+ * Check a two-level proof: cell leaf → batch root → epoch super-root.
+ * @param {object} epochProof - Proof returned by `buildEpochProof`.
+ * @returns {boolean} True when both levels verify.
+ */
+export function verifyEpochProof (epochProof) {
+  if (!verifyCellProof(epochProof)) return false
+  const leaf = batchLeaf(epochProof.geoBatchId, epochProof.merkleRoot)
+  if ('0x' + leaf.toString('hex') !== epochProof.batchLeaf) return false
+  return MerkleTree.verify(epochProof.superProof, leaf, epochProof.superRoot, keccak256, { sortPairs: true })
+}
+
+/**
+ * Locate the batch holding a cell in an epoch directory.
+ * Uses `cellToBatchMap.json` next to the epoch directory when available and
+ * falls back to scanning the batch files otherwise.
+ * @param {string} epochDir - Path to `data/epoch_<N>`.
+ * @param {string} geoCellId - Cell ID; finer cells are normalized to the epoch base resolution
+ *   and, in `spatial` lossy mode, to the coarse leaf that merged them.
+ * @returns {Promise<{epoch:number, geoCellId:string, geoBatchId:string, batch?:object}>}
+ *   Leaf key of the cell and its batch (`batch` is set when it had to be read while scanning).
+ */
+export async function findCellBatch (epochDir, geoCellId) {
+  if (!h3.isValidCell(geoCellId)) throw new Error(`invalid geoCellId (${geoCellId})`)
+
+  const superRoot = await readJson(path.join(epochDir, 'superRoot.json'))
+  const keys = storedCellKeys(geoCellId, superRoot.hgcParams)
+
+  let index
+  try {
+    const map = await readJson(path.join(epochDir, '..', 'cellToBatchMap.json'))
+    index = map[superRoot.epoch]
+  } catch {
+    // missing map: fall back to scanning the batch files
+  }
+  for (const cell of keys) {
+    if (index?.[cell]) return { epoch: superRoot.epoch, geoCellId: cell, geoBatchId: index[cell] }
+  }
+
+  for (const id of superRoot.batchIds ?? []) {
+    const batch = await readJson(path.join(epochDir, `${id}.json`))
+    const cell = keys.find(k => batch.data && k in batch.data)
+    if (cell) return { epoch: superRoot.epoch, geoCellId: cell, geoBatchId: id, batch }
+  }
+  throw new Error(`cell ${keys[0]} not found in epoch ${superRoot.epoch}`)
+}
+
+/**
+ * Locate the batch holding a cell in an epoch directory and build its proof.
+ * @param {string} epochDir - Path to `data/epoch_<N>`.
+ * @param {string} geoCellId - Cell ID; finer cells are normalized to the epoch base resolution.
+ * @returns {Promise<object>} Proof object from `buildCellProof`.
+ */
+export async function loadCellProof (epochDir, geoCellId) {
+  const { geoCellId: cell, geoBatchId, batch } = await findCellBatch(epochDir, geoCellId)
+  return buildCellProof(batch ?? await readJson(path.join(epochDir, `${geoBatchId}.json`)), cell)
+}
+
+/**
+ * Build the two-level proof of a cell from an epoch directory.
+ * Batch roots come from `superRoot.json`, so only the cell's batch is read.
+ * @param {string} epochDir - Path to `data/epoch_<N>`.
+ * @param {string} geoCellId - Cell ID.
+ * @returns {Promise<object>} Proof object from `buildEpochProof`.
+ */
+export async function loadEpochProof (epochDir, geoCellId) {
+  const cellProof = await loadCellProof(epochDir, geoCellId)
+  const { superRoot, batchIds, batchRoots } = await readJson(path.join(epochDir, 'superRoot.json'))
+  const proof = buildEpochProof(
+    cellProof,
+    batchIds.map((geoBatchId, i) => ({ geoBatchId, merkleRoot: batchRoots[i] }))
+  )
+  if (proof.superRoot !== superRoot) throw new Error(`superRoot mismatch for epoch ${cellProof.epoch}`)
+  return proof
+}
@@ -0,0 +1,117 @@
+import fs from 'fs'
+import path from 'path'
+import { ethers } from 'ethers'
+import { registerGeoBatchesBulk, getGeoBatch, isChainEnabled, toOnChainGeoId } from './chain.js'
+import { loadEnv } from '../config/index.js'
+
+// Conservative gas model for `GeoDataRegistry._register`: fixed call overhead
+// plus, per batch, the merkleRoot slot, one slot per 32 bytes of CID (and its
+// length slot), calldata and the GeoBatchRegistered event.
+export const TX_BASE_GAS = 60_000
+const BATCH_BASE_GAS = 35_000
+const SSTORE_GAS = 22_100
+const CALLDATA_GAS_PER_BYTE = 16
+
+/**
+ * Upper-bound gas estimate to register one batch.
+ * @param {string} cid - Data CID stored with the batch.
+ * @returns {number} Estimated gas.
+ */
+export function estimateBatchGas (cid) {
+  const words = Math.ceil(Buffer.byteLength(cid) / 32)
+  return BATCH_BASE_GAS + SSTORE_GAS * (1 + words) + CALLDATA_GAS_PER_BYTE * (128 + words * 32)
+}
+
+/**
+ * Split batches into bulk calls that stay under a gas limit.
+ * @param {{cid:string}[]} items - Batches to register, in submission order.
+ * @param {{gasLimit:number, maxPerTx?:number}} limits - Gas limit per tx and optional item cap.
+ * @returns {object[][]} Chunks of items.
+ */
+export function chunkByGas (items, { gasLimit, maxPerTx = Infinity }) {
+  const chunks = []
+  let current = []
+  let gas = TX_BASE_GAS
+
+  for (const item of items) {
+    const itemGas = estimateBatchGas(item.cid)
+    if (TX_BASE_GAS + itemGas > gasLimit) {
+      throw new Error(`batch ${item.geoBatchId} alone exceeds gas limit ${gasLimit}`)
+    }
+    if (current.length && (gas + itemGas > gasLimit || current.length >= maxPerTx)) {
+      chunks.push(current)
+      current = []
+      gas = TX_BASE_GAS
+    }
+    current.push(item)
+    gas += itemGas
+  }
+
+  if (current.length) chunks.push(current)
+  return chunks
+}
+
+/**
+ * Register every batch of an epoch with gas-bounded `registerGeoBatchBulk` calls.
+ * Batches already registered with the same root are skipped; a different root
+ * on-chain is reported as a conflict. Batches are chunked in the order given,
+ * which for `runHGC` output follows `hgcParams.ordering`. A receipt is written to
+ * `data/registrations/epoch_<N>.json`.
+ * @param {number} epoch - Epoch being registered.
+ * @param {{geoBatchId:string, merkleRoot:string}[]} batches - HGC batches.
+ * @param {string} cid - Data CID of the epoch folder.
+ * @param {{gasLimit?:number, maxPerTx?:number, baseDir?:string}} [options]
+ * @returns {Promise<object>} Receipt payload saved to disk.
+ */
+export async function registerEpochBatches (epoch, batches, cid, options = {}) {
+  if (!cid) throw new Error(`missing dataCID for epoch ${epoch}`)
+  const {
+    gasLimit = loadEnv().registrationGasLimit,
+    maxPerTx,
+    baseDir = process.cwd()
+  } = options
+
+  const pending = []
+  const skipped = []
+  for (const b of batches) {
+    const existing = await getGeoBatch(epoch, b.geoBatchId)
+    const root = existing?.merkleRoot ?? ethers.ZeroHash
+    if (root === ethers.ZeroHash) {
+      pending.push({ geoBatchId: b.geoBatchId, merkleRoot: b.merkleRoot, cid })
+    } else if (root === b.merkleRoot) {
+      skipped.push({ geoBatchId: b.geoBatchId, reason: 'already registered' })
+    } else {
+      skipped.push({ geoBatchId: b.geoBatchId, reason: `conflict: on-chain root ${root}` })
+    }
+  }
+
+  const transactions = []
+  for (const chunk of chunkByGas(pending, { gasLimit, maxPerTx })) {
+    const tx = await registerGeoBatchesBulk(epoch, chunk)
+    transactions.push({
+      ...tx,
+      estimatedGas: chunk.reduce((g, i) => g + estimateBatchGas(i.cid), TX_BASE_GAS),
+      geoBatchIds: chunk.map(i => i.geoBatchId)
+    })
+  }
+
+  const receipt = {
+    epoch,
+    cid,
+    mode: isChainEnabled() ? 'chain' : 'mock',
+    gasLimit,
+    registered: pending.map(i => ({
+      geoBatchId: i.geoBatchId,
+      geoId: toOnChainGeoId(i.geoBatchId).toString(),
+      merkleRoot: i.merkleRoot
+    })),
+    skipped,
+    transactions
+  }
+
+  const dir = path.join(baseDir, 'data', 'registrations')
+  await fs.promises.mkdir(dir, { recursive: true })
+  await fs.promises.writeFile(path.join(dir, `epoch_${epoch}.json`), JSON.stringify(receipt, null, 2))
+  console.log(`✅ Registro: ${pending.length} geoBatches em ${transactions.length} txs • ${skipped.length} ignorados`)
+  return receipt
+}
@@ -0,0 +1,130 @@
+import { ethers } from 'ethers'
+import { readingCount } from './lossy.js'
+
+// Basis points used by weighted policies; scores stay integers so any third
+// party recomputing a cycle gets the exact same allocation.
+export const BPS = 10_000
+
+/**
+ * Walk every reading of a reward window with a valid issuer address.
+ * @param {{epoch:number, batches:object[]}[]} epochs - Epochs of the cycle.
+ * @param {(node:string, count:number, ctx:{cell:string, batch:object, epoch:number, entry:object}) => void} fn
+ *   Callback with the checksummed issuer and the number of samples in the reading.
+ */
+export function forEachReading (epochs, fn) {
+  for (const { epoch, batches } of epochs) {
+    for (const batch of batches) {
+      for (const [cell, entries] of Object.entries(batch.data ?? {})) {
+        for (const entry of entries) {
+          if (!entry.issuer || !ethers.isAddress(entry.issuer)) continue
+          fn(ethers.getAddress(entry.issuer), readingCount(entry), { cell, batch, epoch, entry })
+        }
+      }
+    }
+  }
+}
+
+function add (scores, node, value) {
+  scores[node] = (scores[node] ?? 0) + value
+}
+
+/** One point per valid sample. */
+function flatPolicy () {
+  return {
+    name: 'flat',
+    params: {},
+    score (epochs) {
+      const scores = {}
+      forEachReading(epochs, (node, count) => add(scores, node, count))
+      return scores
+    }
+  }
+}
+
+/** One point per distinct base-resolution cell covered during the cycle. */
+function coveragePolicy () {
+  return {
+    name: 'coverage',
+    params: {},
+    score (epochs) {
+      const cellsByNode = {}
+      forEachReading(epochs, (node, count, { cell }) => {
+        if (!cellsByNode[node]) cellsByNode[node] = new Set()
+        cellsByNode[node].add(cell)
+      })
+      return Object.fromEntries(Object.entries(cellsByNode).map(([node, cells]) => [node, cells.size]))
+    }
+  }
+}
+
+/**
+ * Samples weighted by how sparsely the batch parent cell is covered.
+ * A batch filling its capacity (min(7^Δres, maxLeavesPerBatch)) earns the
+ * base weight; an almost empty one earns up to `rarityBonusBps` on top.
+ */
+function rarityPolicy ({ rarityBonusBps = BPS } = {}) {
+  return {
+    name: 'rarity',
+    params: { rarityBonusBps },
+    score (epochs) {
+      const scores = {}
+      const weights = new Map()
+      forEachReading(epochs, (node, count, { batch }) => {
+        if (!weights.has(batch)) {
+          const depth = (batch.resBase ?? 8) - (batch.resBatch ?? batch.resBase ?? 8)
+          const maxLeaves = batch.hgcParams?.maxLeavesPerBatch ?? Infinity
+          const capacity = Math.min(7 ** depth, maxLeaves)
+          const free = Math.max(0, capacity - batch.countLeaves)
+          weights.set(batch, BPS + Math.floor(rarityBonusBps * free / capacity))
+        }
+        add(scores, node, count * weights.get(batch))
+      })
+      return scores
+    }
+  }
+}
+
+/** One point per epoch in which the node delivered at least one reading. */
+function uptimePolicy () {
+  return {
+    name: 'uptime',
+    params: {},
+    score (epochs) {
+      const seen = {}
+      forEachReading(epochs, (node, count, { epoch }) => {
+        if (!seen[node]) seen[node] = new Set()
+        seen[node].add(epoch)
+      })
+      return Object.fromEntries(Object.entries(seen).map(([node, set]) => [node, set.size]))
+    }
+  }
+}
+
+const POLICIES = {
+  flat: flatPolicy,
+  coverage: coveragePolicy,
+  rarity: rarityPolicy,
+  uptime: uptimePolicy
+}
+
+/**
+ * Register a custom scoring policy.
+ * @param {string} name - Policy name used in configuration.
+ * @param {(config:object) => {name:string, params:object, score:(epochs:object[]) => Record<string, number>}} factory
+ *   Factory returning a policy; scores must be non-negative integers.
+ */
+export function registerRewardPolicy (name, factory) {
+  POLICIES[name] = factory
+}
+
+/**
+ * Instantiate the policy selected in the reward configuration.
+ * @param {{policy?:string}} config - Reward configuration.
+ * @returns {{name:string, params:object, score:(epochs:object[]) => Record<string, number>}}
+ */
+export function getRewardPolicy (config = {}) {
+  const name = config.policy ?? 'flat'
+  const factory = POLICIES[name]
+  if (!factory) throw new Error(`unknown reward policy ${name} (available: ${Object.keys(POLICIES).join(', ')})`)
+  return factory(config)
+}
@@ -0,0 +1,181 @@
+import fs from 'fs'
+import path from 'path'
+import { ethers } from 'ethers'
+import keccak256 from 'keccak256'
+import { MerkleTree } from 'merkletreejs'
+import { getRewardPolicy } from './rewardPolicies.js'
+import { cellIdComparator } from './grouping.js'
+import { readingCount } from './lossy.js'
+
+/**
+ * Merkle leaf checked by `GeoRewardManager.claim`.
+ * @param {string} node - Node address.
+ * @param {bigint|string} amount - Reward amount in wei.
+ * @returns {Buffer} keccak256(abi.encodePacked(node, amount)).
+ */
+export function rewardLeaf (node, amount) {
+  const hex = ethers.solidityPackedKeccak256(['address', 'uint256'], [node, BigInt(amount)])
+  return Buffer.from(hex.slice(2), 'hex')
+}
+
+/**
+ * HGC epochs that make up a reward cycle (`epochWeek = floor(epoch / epochWindow)`).
+ * @param {number} epochWeek - Reward cycle.
+ * @param {number} epochWindow - Epochs per cycle.
+ * @returns {number[]} Epoch numbers of the cycle.
+ */
+export function epochsForCycle (epochWeek, epochWindow) {
+  const first = epochWeek * epochWindow
+  return Array.from({ length: epochWindow }, (_, i) => first + i)
+}
+
+/**
+ * Read the batches saved for an epoch by `saveResults`.
+ * @param {number} epoch - Epoch number.
+ * @param {string} [baseDir=process.cwd()] - Base directory holding `data/`.
+ * @returns {Promise<object[]|null>} Batches, or null when the epoch was not processed.
+ */
+export async function loadEpochBatches (epoch, baseDir = process.cwd()) {
+  const dir = path.join(baseDir, 'data', `epoch_${epoch}`)
+  let entries
+  try {
+    entries = await fs.promises.readdir(dir)
+  } catch {
+    return null
+  }
+  const batches = []
+  for (const name of entries.sort()) {
+    if (!name.endsWith('.json') || name === 'superRoot.json') continue
+    batches.push(JSON.parse(await fs.promises.readFile(path.join(dir, name), 'utf8')))
+  }
+  return batches
+}
+
+/**
+ * Read the cell → geoBatch map written by `saveResults`.
+ * @param {string} [baseDir=process.cwd()] - Base directory holding `data/`.
+ * @returns {Promise<Record<string, Record<string, string>>>} Map per epoch, empty when missing.
+ */
+export async function loadCellToBatchMap (baseDir = process.cwd()) {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(baseDir, 'data', 'cellToBatchMap.json'), 'utf8'))
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Split a cycle by HGC batch: every cell is assigned to the geoBatch it
+ * belonged to in its epoch, so each batch gets a sub-cycle scored on its own.
+ * @param {{epoch:number, batches:object[]}[]} cycle - Epochs of the cycle with their batches.
+ * @param {Record<string, Record<string, string>>} [cellToBatchMap={}] - Map from `loadCellToBatchMap`;
+ *   cells missing from it stay in the batch file they were read from.
+ * @returns {Map<string, {epoch:number, batches:object[]}[]>} Sub-cycle per geoBatchId, sorted by ID.
+ */
+export function partitionByBatch (cycle, cellToBatchMap = {}) {
+  const parts = new Map()
+  for (const { epoch, batches } of cycle) {
+    const epochMap = cellToBatchMap[epoch] ?? {}
+    for (const batch of batches) {
+      for (const [cell, entries] of Object.entries(batch.data ?? {})) {
+        const geoBatchId = epochMap[cell] ?? batch.geoBatchId
+        if (!parts.has(geoBatchId)) parts.set(geoBatchId, new Map())
+        const epochs = parts.get(geoBatchId)
+        if (!epochs.has(epoch)) epochs.set(epoch, new Map())
+        const slices = epochs.get(epoch)
+        if (!slices.has(batch)) slices.set(batch, { ...batch, data: {} })
+        slices.get(batch).data[cell] = entries
+      }
+    }
+  }
+
+  const ids = [...parts.keys()].sort(cellIdComparator)
+  return new Map(ids.map(id => [
+    id,
+    [...parts.get(id)].map(([epoch, slices]) => ({ epoch, batches: [...slices.values()] }))
+  ]))
+}
+
+/**
+ * Score the issuers of a cycle with a reward policy.
+ * Samples without a valid issuer address are counted as ignored.
+ * @param {{epoch:number, batches:object[]}[]} epochs - Epochs of the cycle with their batches.
+ * @param {{score:(epochs:object[]) => Record<string, number>}} [policy] - Scoring policy (default `flat`).
+ * @returns {{scores: Record<string, number>, ignored: number}} Score per checksummed address.
+ */
+export function scoreIssuers (epochs, policy = getRewardPolicy()) {
+  let ignored = 0
+  for (const { batches } of epochs) {
+    for (const batch of batches) {
+      for (const entries of Object.values(batch.data ?? {})) {
+        for (const entry of entries) {
+          if (entry.issuer && ethers.isAddress(entry.issuer)) continue
+          ignored += readingCount(entry)
+        }
+      }
+    }
+  }
+
+  const scores = {}
+  for (const [node, score] of Object.entries(policy.score(epochs))) {
+    if (!Number.isSafeInteger(score) || score < 0) {
+      throw new Error(`policy ${policy.name} returned invalid score ${score} for ${node}`)
+    }
+    if (score > 0) scores[node] = score
+  }
+  return { scores, ignored }
+}
+
+/**
+ * Split a reward pool proportionally to the scores, rounding down.
+ * @param {Record<string, number|bigint>} scores - Score per node.
+ * @param {bigint} total - Pool to distribute, in wei.
+ * @returns {Record<string, bigint>} Non-zero amount per node, sorted by address.
+ */
+export function allocateRewards (scores, total) {
+  const nodes = Object.keys(scores).sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()))
+  const totalScore = nodes.reduce((s, n) => s + BigInt(scores[n]), 0n)
+  const amounts = {}
+  if (totalScore === 0n) return amounts
+  for (const node of nodes) {
+    const amount = (total * BigInt(scores[node])) / totalScore
+    if (amount > 0n) amounts[node] = amount
+  }
+  return amounts
+}
+
+/**
+ * Build the `(nodeAddress, amount)` tree published with `publishCycle`.
+ * @param {Record<string, bigint>} amounts - Amount per node.
+ * @returns {{merkleRoot:string, totalToMint:bigint, nodes: Record<string, {amount:string, leaf:string, proof:string[]}>}}
+ */
+export function buildRewardTree (amounts) {
+  const nodes = Object.keys(amounts).sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()))
+  const leaves = nodes.map(n => rewardLeaf(n, amounts[n]))
+  const tree = new MerkleTree(leaves, keccak256, { sortPairs: true })
+
+  const out = {}
+  let totalToMint = 0n
+  nodes.forEach((node, i) => {
+    totalToMint += amounts[node]
+    out[node] = {
+      amount: amounts[node].toString(),
+      leaf: '0x' + leaves[i].toString('hex'),
+      proof: tree.getHexProof(leaves[i])
+    }
+  })
+
+  return { merkleRoot: nodes.length ? tree.getHexRoot() : ethers.ZeroHash, totalToMint, nodes: out }
+}
+
+/**
+ * Check a reward proof the same way `GeoRewardManager.claim` does.
+ * @param {string} node - Node address.
+ * @param {bigint|string} amount - Claimed amount.
+ * @param {string[]} proof - Merkle path.
+ * @param {string} merkleRoot - Published cycle root.
+ * @returns {boolean} True when the proof is valid.
+ */
+export function verifyRewardProof (node, amount, proof, merkleRoot) {
+  return MerkleTree.verify(proof, rewardLeaf(node, amount), merkleRoot, keccak256, { sortPairs: true })
+}
@@ -0,0 +1,60 @@
+import { SigningKey, hashMessage, recoverAddress, getAddress, isAddress } from 'ethers'
+import { canonical } from './hash-helpers.js'
+
+/**
+ * Canonical string signed by the node: the reading as submitted, without `signature`.
+ * @param {object} reading - Reading (single sample or grouped `samples`).
+ * @returns {string} Canonical JSON.
+ */
+export function samplePayload (reading) {
+  const payload = { ...reading }
+  delete payload.signature
+  return canonical(payload)
+}
+
+/**
+ * EIP-191 digest of a reading (`personal_sign` over the canonical payload),
+ * so the same signature can be checked with `ECDSA.toEthSignedMessageHash` on-chain.
+ * @param {object} reading - Reading to hash.
+ * @returns {string} 32-byte digest (hex).
+ */
+export function sampleDigest (reading) {
+  return hashMessage(samplePayload(reading))
+}
+
+/**
+ * Sign a reading with the node key.
+ * @param {string} privateKey - Node private key.
+ * @param {object} reading - Reading whose `issuer` is the node address.
+ * @returns {string} 65-byte signature (hex).
+ */
+export function signSample (privateKey, reading) {
+  return new SigningKey(privateKey).sign(sampleDigest(reading)).serialized
+}
+
+/**
+ * Recover the signer of a reading.
+ * @param {object} reading - Signed reading.
+ * @returns {string|null} Checksummed signer, or null when the signature is missing or malformed.
+ */
+export function recoverSampleSigner (reading) {
+  if (typeof reading.signature !== 'string') return null
+  try {
+    return recoverAddress(sampleDigest(reading), reading.signature)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Check that a reading was signed by its `issuer`.
+ * @param {object} reading - Signed reading.
+ * @returns {string[]} Error messages, empty when the signature is valid.
+ */
+export function validateSampleSignature (reading) {
+  if (!reading.issuer || !isAddress(reading.issuer)) return [`issuer inválido (${reading.issuer})`]
+  const signer = recoverSampleSigner(reading)
+  if (!signer) return ['assinatura ausente ou malformada']
+  if (signer !== getAddress(reading.issuer)) return [`assinatura de ${signer} não corresponde ao issuer ${reading.issuer}`]
+  return []
+}
@@ -0,0 +1,132 @@
+import fs from 'fs'
+import path from 'path'
+import * as h3 from 'h3-js'
+import { buildCellProofs, buildEpochProof } from './proofs.js'
+import { cellIdComparator } from './grouping.js'
+import { storedCellKeys } from './lossy.js'
+
+async function readJson (filePath) {
+  return JSON.parse(await fs.promises.readFile(filePath, 'utf8'))
+}
+
+/**
+ * Normalize an area into a list of GeoJSON polygons (arrays of `[lng, lat]` rings).
+ * Accepts a bbox `[minLng, minLat, maxLng, maxLat]`, a `Polygon` or `MultiPolygon`
+ * geometry, a `Feature` or a `FeatureCollection`.
+ * @param {number[]|object} area - Bounding box or GeoJSON object.
+ * @returns {number[][][][]} Polygons in GeoJSON coordinate order.
+ */
+export function areaToPolygons (area) {
+  if (Array.isArray(area)) {
+    if (area.length !== 4 || !area.every(Number.isFinite)) throw new Error('invalid bbox: expected [minLng, minLat, maxLng, maxLat]')
+    const [minLng, minLat, maxLng, maxLat] = area
+    if (minLng >= maxLng || minLat >= maxLat) throw new Error('invalid bbox: min must be lower than max')
+    return [[[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]]
+  }
+  switch (area?.type) {
+    case 'Polygon': return [area.coordinates]
+    case 'MultiPolygon': return area.coordinates
+    case 'Feature': return areaToPolygons(area.geometry)
+    case 'FeatureCollection': return area.features.flatMap(f => areaToPolygons(f))
+    default: throw new Error(`unsupported area type (${area?.type})`)
+  }
+}
+
+/**
+ * Cells at `res` covering an area, sorted.
+ * `h3.polygonToCells` only keeps cells whose center falls inside the polygon, so
+ * a polygon smaller than one cell falls back to the cells of its vertices.
+ * @param {number[]|object} area - Bounding box or GeoJSON object (see `areaToPolygons`).
+ * @param {number} res - H3 resolution.
+ * @returns {string[]} Covering cells.
+ */
+export function cellsForArea (area, res) {
+  const cells = new Set()
+  for (const polygon of areaToPolygons(area)) {
+    let covered = h3.polygonToCells(polygon, res, true)
+    if (!covered.length) covered = polygon[0].map(([lng, lat]) => h3.latLngToCell(lat, lng, res))
+    for (const cell of covered) cells.add(cell)
+  }
+  return [...cells].sort(cellIdComparator)
+}
+
+// cell -> geoBatchId of one epoch, from cellToBatchMap.json or by scanning the batches
+async function epochCellIndex (epochDir, superRoot, batchCache) {
+  try {
+    const map = await readJson(path.join(epochDir, '..', 'cellToBatchMap.json'))
+    if (map[superRoot.epoch]) return map[superRoot.epoch]
+  } catch {
+    // missing map: fall back to scanning the batch files
+  }
+  const index = {}
+  for (const id of superRoot.batchIds ?? []) {
+    const batch = await readJson(path.join(epochDir, `${id}.json`))
+    batchCache.set(id, batch)
+    for (const cell of Object.keys(batch.data ?? {})) index[cell] = id
+  }
+  return index
+}
+
+/**
+ * Readings and proofs of every cell of an area over a range of epochs.
+ * Cells are computed at each epoch's `baseRes` (plus the coarse leaves of the
+ * `spatial` lossy mode) and resolved to their batch through
+ * `cellToBatchMap.json`; each batch is read and hashed once.
+ * Epochs missing on disk are skipped.
+ * @param {number[]|object} area - Bounding box or GeoJSON object (see `areaToPolygons`).
+ * @param {{fromEpoch:number, toEpoch?:number, dataDir?:string, withSuperRoot?:boolean}} options
+ *   `withSuperRoot` adds the batch → super-root level to each proof.
+ * @returns {Promise<{fromEpoch:number, toEpoch:number, epochs:{epoch:number, superRoot:string, baseRes:number, cellsInArea:number, cells:object[]}[], cellsTotal:number}>}
+ *   Per epoch, the cells with data and their proof (readings in `data`).
+ */
+export async function queryArea (area, { fromEpoch, toEpoch = fromEpoch, dataDir = path.join(process.cwd(), 'data'), withSuperRoot = false }) {
+  if (!Number.isInteger(fromEpoch) || !Number.isInteger(toEpoch) || fromEpoch < 0 || toEpoch < fromEpoch) {
+    throw new Error(`invalid epoch range (${fromEpoch}..${toEpoch})`)
+  }
+  // fail fast on a malformed area, even when no epoch is on disk
+  areaToPolygons(area)
+
+  const cellsByRes = new Map()
+  const epochs = []
+  let cellsTotal = 0
+  for (let epoch = fromEpoch; epoch <= toEpoch; epoch++) {
+    const epochDir = path.join(dataDir, `epoch_${epoch}`)
+    let superRoot
+    try {
+      superRoot = await readJson(path.join(epochDir, 'superRoot.json'))
+    } catch (err) {
+      if (err.code === 'ENOENT') continue
+      throw err
+    }
+
+    const baseRes = superRoot.hgcParams?.baseRes
+    if (!cellsByRes.has(baseRes)) cellsByRes.set(baseRes, cellsForArea(area, baseRes))
+    const areaCells = cellsByRes.get(baseRes)
+
+    const batchCache = new Map()
+    const index = await epochCellIndex(epochDir, superRoot, batchCache)
+    const byBatch = new Map()
+    const leafKeys = new Set(areaCells.flatMap(c => storedCellKeys(c, superRoot.hgcParams)))
+    for (const cell of leafKeys) {
+      const id = index[cell]
+      if (!id) continue
+      if (!byBatch.has(id)) byBatch.set(id, [])
+      byBatch.get(id).push(cell)
+    }
+
+    const batchRoots = (superRoot.batchIds ?? []).map((geoBatchId, i) => ({ geoBatchId, merkleRoot: superRoot.batchRoots[i] }))
+    const cells = []
+    for (const [id, ids] of byBatch) {
+      const batch = batchCache.get(id) ?? await readJson(path.join(epochDir, `${id}.json`))
+      for (const proof of buildCellProofs(batch, ids)) {
+        cells.push(withSuperRoot ? buildEpochProof(proof, batchRoots) : proof)
+      }
+    }
+    cells.sort((a, b) => cellIdComparator(a.geoCellId, b.geoCellId))
+
+    cellsTotal += cells.length
+    epochs.push({ epoch, superRoot: superRoot.superRoot, baseRes, cellsInArea: areaCells.length, cells })
+  }
+
+  return { fromEpoch, toEpoch, epochs, cellsTotal }
+}
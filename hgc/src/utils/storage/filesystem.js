@@ -0,0 +1,37 @@
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { writeCar, extractCar } from '../unixfs.js'
+
+/**
+ * Storage provider writing each upload as `<dir>/<cid>.car` (the mock mode
+ * when nothing else is configured). The archive holds every block of the
+ * UnixFS DAG, so it can be imported into IPFS later with the same CID.
+ * @param {{dir: string}} config - Destination directory.
+ * @returns {{name: string, uploadFile: Function, uploadFolder: Function, fetch: Function}}
+ */
+export function createFilesystemStorage ({ dir }) {
+  if (!dir) throw new Error('filesystem storage requires a directory')
+
+  async function exportCar (target) {
+    const tmpFile = path.join(dir, `.${process.pid}-${Date.now()}.car`)
+    try {
+      const { cid } = await writeCar(target, tmpFile)
+      const file = path.join(dir, `${cid}.car`)
+      await fs.promises.rename(tmpFile, file)
+      return { provider: 'filesystem', cid, locator: pathToFileURL(file).href }
+    } catch (err) {
+      await fs.promises.rm(tmpFile, { force: true })
+      throw err
+    }
+  }
+
+  return {
+    name: 'filesystem',
+    uploadFile: exportCar,
+    uploadFolder: exportCar,
+    async fetch (cid, outPath) {
+      return extractCar(await fs.promises.readFile(path.join(dir, `${cid}.car`)), outPath)
+    }
+  }
+}
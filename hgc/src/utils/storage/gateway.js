@@ -0,0 +1,20 @@
+import axios from 'axios'
+import { extractCar } from '../unixfs.js'
+
+/**
+ * Download `cid` from an IPFS HTTP gateway as a CAR (trustless gateway
+ * `?format=car`) and unpack it into `outPath`. Blocks are checked against
+ * their CIDs, so an untrusted gateway cannot alter the content.
+ * @param {string} gatewayUrl - Gateway base URL (without `/ipfs`).
+ * @param {string} cid - Root CID.
+ * @param {string} outPath - Destination path.
+ * @returns {Promise<{cid:string, type:string}>} Root CID and UnixFS type.
+ */
+export async function fetchFromGateway (gatewayUrl, cid, outPath) {
+  const res = await axios.get(`${gatewayUrl.replace(/\/$/, '')}/ipfs/${cid}?format=car`, {
+    responseType: 'arraybuffer',
+    maxContentLength: Infinity,
+    headers: { Accept: 'application/vnd.ipld.car' }
+  })
+  return extractCar(Buffer.from(res.data), outPath)
+}
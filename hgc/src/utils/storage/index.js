@@ -0,0 +1,48 @@
+import { loadStorageConfig } from '../../config/storage.js'
+import { createPinataStorage } from './pinata.js'
+import { createKuboStorage } from './kubo.js'
+import { createS3Storage } from './s3.js'
+import { createFilesystemStorage } from './filesystem.js'
+import { fetchFromGateway } from './gateway.js'
+
+export { createPinataStorage, createKuboStorage, createS3Storage, createFilesystemStorage }
+
+const FACTORIES = {
+  pinata: createPinataStorage,
+  kubo: createKuboStorage,
+  s3: createS3Storage,
+  filesystem: createFilesystemStorage
+}
+
+/**
+ * Build the storage provider selected in `config.provider`. Every provider
+ * exposes `uploadFile(path)` and `uploadFolder(path)`, both resolving to
+ * `{provider, cid, locator}`: the CID registered as `dataCID` and where the
+ * copy can be fetched (`ipfs://`, `s3://` or `file://`), and
+ * `fetch(cid, outPath)` to download an uploaded directory again.
+ * @param {object} [config=loadStorageConfig()] - Output of `loadStorageConfig`.
+ * @returns {{name: string, uploadFile: (localPath: string) => Promise<object>, uploadFolder: (folderPath: string) => Promise<object>, fetch: (cid: string, outPath: string) => Promise<object>}}
+ */
+export function createStorage (config = loadStorageConfig()) {
+  const factory = FACTORIES[config.provider]
+  if (!factory) throw new Error(`unknown storage provider ${config.provider}`)
+  return factory(config[config.provider])
+}
+
+/**
+ * Download the content of `cid` into `outPath`, from `IPFS_GATEWAY_URL` when
+ * set and otherwise from the configured provider.
+ * @param {string} cid - Root CID (a registered `dataCID`).
+ * @param {string} outPath - Destination path (must not exist yet).
+ * @param {object} [config=loadStorageConfig()] - Output of `loadStorageConfig`.
+ * @returns {Promise<{cid:string, type:string}>} Root CID and whether it is a directory or a file.
+ */
+export function fetchContent (cid, outPath, config = loadStorageConfig()) {
+  if (config.gateway) return fetchFromGateway(config.gateway, cid, outPath)
+  return createStorage(config).fetch(cid, outPath)
+}
+
+/** Whether a provider is configured (`STORAGE_PROVIDER` or `PINATA_JWT`). */
+export function isStorageEnabled () {
+  return loadStorageConfig().enabled
+}
@@ -0,0 +1,63 @@
+import axios from 'axios'
+import fs from 'fs'
+import path from 'path'
+import FormData from 'form-data'
+import { listTree } from './walk.js'
+import { extractCar } from '../unixfs.js'
+
+/**
+ * Storage provider adding and pinning through the HTTP RPC API of a local
+ * IPFS (Kubo) node. `cid-version=1` implies raw leaves, so the CIDs are the
+ * ones computed offline by `computeCid`.
+ * @param {{apiUrl: string}} config - Base URL of the Kubo RPC API.
+ * @returns {{name: string, uploadFile: Function, uploadFolder: Function, fetch: Function}}
+ */
+export function createKuboStorage ({ apiUrl }) {
+  if (!apiUrl) throw new Error('kubo storage requires KUBO_API_URL')
+  apiUrl = apiUrl.replace(/\/$/, '')
+
+  // Kubo answers with one JSON line per added entry; the root is the entry named `rootName`
+  async function add (data, rootName) {
+    const res = await axios.post(`${apiUrl}/api/v0/add?cid-version=1&pin=true`, data, {
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      responseType: 'text',
+      headers: data.getHeaders()
+    })
+    const entries = String(res.data).split('\n').filter(Boolean).map(line => JSON.parse(line))
+    const root = entries.find(e => e.Name === rootName)
+    if (!root) throw new Error(`kubo add did not return ${rootName}`)
+    return { provider: 'kubo', cid: root.Hash, locator: `ipfs://${root.Hash}` }
+  }
+
+  return {
+    name: 'kubo',
+    async uploadFile (localPath) {
+      const name = path.basename(localPath)
+      const data = new FormData()
+      data.append('file', fs.createReadStream(localPath), { filepath: encodeURIComponent(name) })
+      return add(data, name)
+    },
+    async uploadFolder (folderPath) {
+      const name = path.basename(path.resolve(folderPath))
+      const data = new FormData()
+      const { dirs, files } = await listTree(folderPath)
+      const part = rel => encodeURIComponent(path.posix.join(name, rel))
+      data.append('file', Buffer.alloc(0), { filepath: encodeURIComponent(name), contentType: 'application/x-directory' })
+      for (const rel of dirs) {
+        data.append('file', Buffer.alloc(0), { filepath: part(rel), contentType: 'application/x-directory' })
+      }
+      for (const { rel, full } of files) {
+        data.append('file', fs.createReadStream(full), { filepath: part(rel), contentType: 'application/octet-stream' })
+      }
+      return add(data, name)
+    },
+    async fetch (cid, outPath) {
+      const res = await axios.post(`${apiUrl}/api/v0/dag/export?arg=${cid}`, null, {
+        responseType: 'arraybuffer',
+        maxContentLength: Infinity
+      })
+      return extractCar(Buffer.from(res.data), outPath)
+    }
+  }
+}
@@ -0,0 +1,54 @@
+import axios from 'axios'
+import fs from 'fs'
+import path from 'path'
+import FormData from 'form-data'
+import { listTree } from './walk.js'
+import { fetchFromGateway } from './gateway.js'
+
+const PINATA_URL = 'https://api.pinata.cloud/pinning'
+export const PINATA_GATEWAY = 'https://gateway.pinata.cloud'
+// Pinata defaults to CIDv0; v1 matches the CIDs computed offline by unixfs.js
+const PINATA_OPTIONS = JSON.stringify({ cidVersion: 1 })
+
+/**
+ * Storage provider pinning through the Pinata REST API.
+ * @param {{jwt: string, url?: string, gateway?: string}} config - Pinata JWT, API base URL and gateway used to fetch.
+ * @returns {{name: string, uploadFile: Function, uploadFolder: Function, fetch: Function}}
+ */
+export function createPinataStorage ({ jwt, url = PINATA_URL, gateway = PINATA_GATEWAY }) {
+  if (!jwt) throw new Error('pinata storage requires PINATA_JWT')
+
+  async function pin (data) {
+    data.append('pinataOptions', PINATA_OPTIONS)
+    const res = await axios.post(`${url}/pinFileToIPFS`, data, {
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      headers: {
+        Authorization: `Bearer ${jwt}`,
+        ...data.getHeaders()
+      }
+    })
+    const cid = res.data.IpfsHash
+    return { provider: 'pinata', cid, locator: `ipfs://${cid}` }
+  }
+
+  return {
+    name: 'pinata',
+    async uploadFile (localPath) {
+      const data = new FormData()
+      data.append('file', fs.createReadStream(localPath))
+      return pin(data)
+    },
+    async uploadFolder (folderPath) {
+      const data = new FormData()
+      const { files } = await listTree(folderPath)
+      for (const { rel, full } of files) {
+        data.append('file', fs.createReadStream(full), { filepath: path.posix.join('data', rel) })
+      }
+      return pin(data)
+    },
+    fetch (cid, outPath) {
+      return fetchFromGateway(gateway, cid, outPath)
+    }
+  }
+}
@@ -0,0 +1,117 @@
+import axios from 'axios'
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { computeCid } from '../unixfs.js'
+import { listTree } from './walk.js'
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex')
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest()
+
+// RFC 3986 encoding of each key segment, as S3 expects in the canonical URI
+function encodeKey (key) {
+  return key.split('/').map(s => encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)).join('/')
+}
+
+/**
+ * AWS Signature Version 4 of a request without query string. Every header
+ * passed is signed; `x-amz-date` and `x-amz-content-sha256` are added.
+ * @param {{method: string, url: string, headers?: Object, payloadHash: string, region: string, service?: string, accessKeyId: string, secretAccessKey: string, date?: Date}} request
+ * @returns {Object} Headers to send, including `Authorization`.
+ */
+export function signV4 ({ method, url, headers = {}, payloadHash, region, service = 's3', accessKeyId, secretAccessKey, date = new Date() }) {
+  const { host, pathname } = new URL(url)
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+  const day = amzDate.slice(0, 8)
+  const all = { ...headers, host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate }
+  const names = Object.keys(all).map(h => h.toLowerCase()).sort()
+  const lower = Object.fromEntries(Object.entries(all).map(([k, v]) => [k.toLowerCase(), String(v).trim()]))
+  const signedHeaders = names.join(';')
+  const canonical = [
+    method,
+    pathname,
+    '',
+    names.map(h => `${h}:${lower[h]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n')
+  const scope = `${day}/${region}/${service}/aws4_request`
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonical)].join('\n')
+  const key = [day, region, service, 'aws4_request'].reduce(hmac, `AWS4${secretAccessKey}`)
+  const signature = crypto.createHmac('sha256', key).update(stringToSign).digest('hex')
+
+  delete all.host
+  return {
+    ...all,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  }
+}
+
+/**
+ * Storage provider for S3-compatible buckets (AWS, MinIO, ...), using
+ * path-style URLs. Uploads go under `<prefix><cid>/`, so the CID computed
+ * offline is both the `dataCID` and the key of the copy. Objects are not
+ * content-addressed, so `fetch` reads an epoch directory (`superRoot.json`
+ * and the batches it lists) and callers must check the CID of the result.
+ * @param {{endpoint: string, bucket: string, region: string, accessKeyId: string, secretAccessKey: string, prefix?: string}} config
+ * @returns {{name: string, uploadFile: Function, uploadFolder: Function, fetch: Function}}
+ */
+export function createS3Storage ({ endpoint, bucket, region, accessKeyId, secretAccessKey, prefix = '' }) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('s3 storage requires S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY')
+  }
+
+  const objectUrl = key => `${endpoint.replace(/\/$/, '')}/${encodeKey(bucket)}/${encodeKey(key)}`
+
+  async function putObject (key, body) {
+    const url = objectUrl(key)
+    const headers = signV4({ method: 'PUT', url, payloadHash: sha256(body), region, accessKeyId, secretAccessKey })
+    await axios.put(url, body, { headers, maxContentLength: Infinity, maxBodyLength: Infinity })
+  }
+
+  // object bytes, or null when the key does not exist
+  async function getObject (key) {
+    const url = objectUrl(key)
+    const headers = signV4({ method: 'GET', url, payloadHash: sha256(''), region, accessKeyId, secretAccessKey })
+    try {
+      const res = await axios.get(url, { headers, responseType: 'arraybuffer', maxContentLength: Infinity })
+      return Buffer.from(res.data)
+    } catch (err) {
+      if (err.response?.status === 404) return null
+      throw err
+    }
+  }
+
+  const locator = key => `s3://${bucket}/${key}`
+
+  return {
+    name: 's3',
+    async uploadFile (localPath) {
+      const cid = await computeCid(localPath)
+      const key = `${prefix}${cid}/${path.basename(localPath)}`
+      await putObject(key, await fs.promises.readFile(localPath))
+      return { provider: 's3', cid, locator: locator(key) }
+    },
+    async uploadFolder (folderPath) {
+      const cid = await computeCid(folderPath)
+      const { files } = await listTree(folderPath)
+      for (const { rel, full } of files) {
+        await putObject(`${prefix}${cid}/${rel}`, await fs.promises.readFile(full))
+      }
+      return { provider: 's3', cid, locator: locator(`${prefix}${cid}/`) }
+    },
+    async fetch (cid, outPath) {
+      const superRoot = await getObject(`${prefix}${cid}/superRoot.json`)
+      if (!superRoot) throw new Error(`s3://${bucket}/${prefix}${cid}/superRoot.json not found`)
+      await fs.promises.mkdir(outPath, { recursive: true })
+      await fs.promises.writeFile(path.join(outPath, 'superRoot.json'), superRoot)
+      // batches missing from the bucket are left out and show up in the audit
+      for (const id of JSON.parse(superRoot.toString('utf8')).batchIds ?? []) {
+        if (!/^[0-9a-f]+$/.test(id)) throw new Error(`invalid geoBatchId ${id} in superRoot.json`)
+        const batch = await getObject(`${prefix}${cid}/${id}.json`)
+        if (batch) await fs.promises.writeFile(path.join(outPath, `${id}.json`), batch)
+      }
+      return { cid, type: 'directory' }
+    }
+  }
+}
@@ -0,0 +1,29 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Subdirectories and files below `dir`, sorted by name, with POSIX relative
+ * paths. Symlinks and special files are skipped, as in the CID computation.
+ * @param {string} dir - Directory to list.
+ * @returns {Promise<{dirs: string[], files: {rel: string, full: string}[]}>}
+ */
+export async function listTree (dir) {
+  const dirs = []
+  const files = []
+  const walk = async (current, base) => {
+    const entries = (await fs.promises.readdir(current, { withFileTypes: true }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+    for (const entry of entries) {
+      const rel = path.posix.join(base, entry.name)
+      const full = path.join(current, entry.name)
+      if (entry.isDirectory()) {
+        dirs.push(rel)
+        await walk(full, rel)
+      } else if (entry.isFile()) {
+        files.push({ rel, full })
+      }
+    }
+  }
+  await walk(dir, '')
+  return { dirs, files }
+}
@@ -0,0 +1,122 @@
+import fs from 'fs'
+import path from 'path'
+import * as h3 from 'h3-js'
+import { epochForTimestamp } from './hgc.js'
+import { storedCellKeys } from './lossy.js'
+
+// default cap on the epochs a single query may scan (31 days of 1h epochs)
+export const DEFAULT_MAX_EPOCHS = 31 * 24
+
+async function readJson (filePath) {
+  return JSON.parse(await fs.promises.readFile(filePath, 'utf8'))
+}
+
+/**
+ * Epochs overlapping the time window `[from, to]`.
+ * @param {number} from - Start timestamp (ms, inclusive).
+ * @param {number} to - End timestamp (ms, inclusive).
+ * @param {number} [maxEpochs=Infinity] - Largest number of epochs accepted.
+ * @returns {number[]} Epoch numbers in ascending order.
+ */
+export function epochsForRange (from, to, maxEpochs = Infinity) {
+  if (!Number.isSafeInteger(from) || !Number.isSafeInteger(to) || from < 0 || to < from) {
+    throw new Error(`invalid time range (${from}..${to})`)
+  }
+  const first = epochForTimestamp(from)
+  const span = epochForTimestamp(to) - first + 1
+  if (span > maxEpochs) throw new Error(`time range spans ${span} epochs (max ${maxEpochs})`)
+  return Array.from({ length: span }, (_, i) => first + i)
+}
+
+// coarsest query cell accepted, in resolutions above baseRes (7^3 = 343 children)
+export const MAX_CELL_EXPANSION = 3
+
+// leaf keys that may hold a requested cell: its parent at baseRes when finer,
+// its children when coarser, plus coarse leaves in spatial lossy mode
+function storedKeysFor (cell, hgcParams = {}) {
+  const { baseRes } = hgcParams
+  const res = h3.getResolution(cell)
+  if (baseRes !== undefined && baseRes - res > MAX_CELL_EXPANSION) {
+    throw Object.assign(new Error(`geoCellId ${cell} too coarse (res ${res}, min ${baseRes - MAX_CELL_EXPANSION})`), { status: 400 })
+  }
+  const cells = baseRes !== undefined && res < baseRes ? h3.cellToChildren(cell, baseRes) : [cell]
+  return [...new Set(cells.flatMap(c => storedCellKeys(c, hgcParams)))]
+}
+
+// individual readings of a batch entry; nested `samples` inherit issuer and timestamp
+function entryReadings (entry) {
+  const { samples, ...reading } = entry
+  delete reading.signature
+  if (!Array.isArray(samples)) return [reading]
+  return samples.map(s => ({ issuer: reading.issuer, geoCellId: reading.geoCellId, ...s, timestamp: s.timestamp ?? reading.timestamp }))
+}
+
+/**
+ * Time-ordered readings of one or more cells between two timestamps.
+ * The window is mapped to epochs with `epochForTimestamp`; for each epoch on
+ * disk only the batches holding the requested cells (looked up in
+ * `cellToBatchMap.json`) are read. Finer cells are normalized to the epoch
+ * `baseRes` and coarser cells expanded to their children; cells more than
+ * `MAX_CELL_EXPANSION` resolutions above `baseRes` are rejected.
+ * @param {string[]} cellIds - H3 cell IDs.
+ * @param {{from:number, to:number, dataDir?:string, maxEpochs?:number}} options
+ *   `from` and `to` are inclusive timestamps in ms.
+ * @returns {Promise<{from:number, to:number, epochs:number[], series:Record<string, object[]>}>}
+ *   Epochs read and, per requested cell, its readings sorted by timestamp, each
+ *   with the `epoch` and `geoBatchId` it was committed in.
+ */
+export async function querySeries (cellIds, { from, to, dataDir = path.join(process.cwd(), 'data'), maxEpochs = DEFAULT_MAX_EPOCHS }) {
+  const cells = [...new Set(cellIds)]
+  for (const cell of cells) {
+    if (!h3.isValidCell(cell)) throw new Error(`invalid geoCellId (${cell})`)
+  }
+  const range = epochsForRange(from, to, maxEpochs)
+
+  let map = {}
+  try {
+    map = await readJson(path.join(dataDir, 'cellToBatchMap.json'))
+  } catch {
+    // no map: epochs are scanned batch by batch
+  }
+
+  const series = Object.fromEntries(cells.map(c => [c, []]))
+  const epochs = []
+  for (const epoch of range) {
+    const epochDir = path.join(dataDir, `epoch_${epoch}`)
+    let superRoot
+    try {
+      superRoot = await readJson(path.join(epochDir, 'superRoot.json'))
+    } catch (err) {
+      if (err.code === 'ENOENT') continue
+      throw err
+    }
+    epochs.push(epoch)
+
+    const index = map[epoch]
+    const wanted = new Map() // geoBatchId -> [[requested cell, stored cell]]
+    for (const cell of cells) {
+      for (const stored of storedKeysFor(cell, superRoot.hgcParams)) {
+        const ids = index ? [index[stored]].filter(Boolean) : superRoot.batchIds ?? []
+        for (const id of ids) {
+          if (!wanted.has(id)) wanted.set(id, [])
+          wanted.get(id).push([cell, stored])
+        }
+      }
+    }
+
+    for (const [geoBatchId, pairs] of wanted) {
+      const batch = await readJson(path.join(epochDir, `${geoBatchId}.json`))
+      for (const [cell, stored] of pairs) {
+        for (const entry of batch.data?.[stored] ?? []) {
+          for (const reading of entryReadings(entry)) {
+            if (reading.timestamp < from || reading.timestamp > to) continue
+            series[cell].push({ geoCellId: stored, ...reading, epoch, geoBatchId })
+          }
+        }
+      }
+    }
+  }
+
+  for (const points of Object.values(series)) points.sort((a, b) => a.timestamp - b.timestamp)
+  return { from, to, epochs, series }
+}
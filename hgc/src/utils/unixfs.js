@@ -0,0 +1,350 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+
+// Same DAG as `ipfs add -r --cid-version=1` (kubo defaults) and Pinata with
+// `cidVersion: 1`: raw leaves, fixed-size chunks, balanced file trees and
+// dag-pb UnixFS directories with links sorted by name.
+export const CHUNK_SIZE = 256 * 1024
+export const MAX_LINKS = 174
+// kubo switches to HAMT-sharded directories past this estimate (name + CID bytes per link)
+export const SHARDING_THRESHOLD = 256 * 1024
+
+const RAW = 0x55
+const DAG_PB = 0x70
+const SHA2_256 = 0x12
+const UNIXFS_DIRECTORY = 1
+const UNIXFS_FILE = 2
+const BASE32 = 'abcdefghijklmnopqrstuvwxyz234567'
+// CIDv1 + sha2-256 is always 36 bytes, so the CAR header has a fixed size
+const CID_LENGTH = 36
+
+function varint (n) {
+  const out = []
+  while (n >= 0x80) {
+    out.push((n % 0x80) | 0x80)
+    n = Math.floor(n / 0x80)
+  }
+  out.push(n)
+  return Buffer.from(out)
+}
+
+function readVarint (buf, offset) {
+  let value = 0
+  let factor = 1
+  let pos = offset
+  for (;;) {
+    if (pos >= buf.length) throw new Error('truncated varint')
+    const byte = buf[pos++]
+    value += (byte & 0x7f) * factor
+    if (byte < 0x80) return [value, pos - offset]
+    factor *= 0x80
+  }
+}
+
+function varintField (num, value) {
+  return Buffer.concat([varint(num << 3), varint(value)])
+}
+
+function bytesField (num, bytes) {
+  return Buffer.concat([varint((num << 3) | 2), varint(bytes.length), bytes])
+}
+
+function cidOf (codec, block) {
+  const digest = crypto.createHash('sha256').update(block).digest()
+  return Buffer.concat([varint(1), varint(codec), Buffer.from([SHA2_256, digest.length]), digest])
+}
+
+/**
+ * Multibase base32 (`b...`) string of a binary CIDv1.
+ * @param {Uint8Array} cid - CID bytes.
+ * @returns {string} CID string as printed by IPFS.
+ */
+export function cidToString (cid) {
+  let out = 'b'
+  let value = 0
+  let bits = 0
+  for (const byte of cid) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+    value &= (1 << bits) - 1
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31]
+  return out
+}
+
+// UnixFS `Data` message: Type, filesize, blocksizes (unpacked)
+function unixfsData (type, filesize, blocksizes = []) {
+  const parts = [varintField(1, type)]
+  if (filesize !== undefined) parts.push(varintField(3, filesize))
+  for (const size of blocksizes) parts.push(varintField(4, size))
+  return Buffer.concat(parts)
+}
+
+// canonical dag-pb: Links (field 2) before Data (field 1)
+function dagPbNode (links, data) {
+  const parts = links.map(({ cid, name, tsize }) => bytesField(2, Buffer.concat([
+    bytesField(1, cid),
+    bytesField(2, Buffer.from(name, 'utf8')),
+    varintField(3, tsize)
+  ])))
+  parts.push(bytesField(1, data))
+  return Buffer.concat(parts)
+}
+
+function buildFile (bytes, put) {
+  let level = []
+  for (let offset = 0; offset < bytes.length || level.length === 0; offset += CHUNK_SIZE) {
+    const chunk = bytes.subarray(offset, offset + CHUNK_SIZE)
+    const cid = cidOf(RAW, chunk)
+    put(cid, chunk)
+    level.push({ cid, tsize: chunk.length, filesize: chunk.length })
+  }
+
+  // a single chunk is its own root; larger files get balanced layers of MAX_LINKS
+  while (level.length > 1) {
+    const parents = []
+    for (let i = 0; i < level.length; i += MAX_LINKS) {
+      const children = level.slice(i, i + MAX_LINKS)
+      const filesize = children.reduce((s, c) => s + c.filesize, 0)
+      const block = dagPbNode(
+        children.map(c => ({ cid: c.cid, name: '', tsize: c.tsize })),
+        unixfsData(UNIXFS_FILE, filesize, children.map(c => c.filesize))
+      )
+      const cid = cidOf(DAG_PB, block)
+      put(cid, block)
+      parents.push({ cid, tsize: block.length + children.reduce((s, c) => s + c.tsize, 0), filesize })
+    }
+    level = parents
+  }
+  return level[0]
+}
+
+async function buildDirectory (dir, put) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true })
+  const links = []
+  for (const entry of entries) {
+    const node = await buildPath(path.join(dir, entry.name), put, entry)
+    if (node) links.push({ cid: node.cid, name: entry.name, tsize: node.tsize })
+  }
+  links.sort((a, b) => Buffer.compare(Buffer.from(a.name, 'utf8'), Buffer.from(b.name, 'utf8')))
+
+  const estimate = links.reduce((s, l) => s + Buffer.byteLength(l.name, 'utf8') + l.cid.length, 0)
+  if (estimate > SHARDING_THRESHOLD) {
+    throw new Error(`directory ${dir} needs HAMT sharding (${links.length} entries), which is not supported`)
+  }
+
+  const block = dagPbNode(links, unixfsData(UNIXFS_DIRECTORY))
+  const cid = cidOf(DAG_PB, block)
+  put(cid, block)
+  return { cid, tsize: block.length + links.reduce((s, l) => s + l.tsize, 0) }
+}
+
+// symlinks and other special files are skipped, as the Pinata upload does
+async function buildPath (target, put, dirent) {
+  const stat = dirent ?? await fs.promises.stat(target)
+  if (stat.isDirectory()) return buildDirectory(target, put)
+  if (stat.isFile()) return buildFile(await fs.promises.readFile(target), put)
+  return null
+}
+
+/**
+ * CID that IPFS assigns to a file or directory added with CIDv1 defaults,
+ * computed offline.
+ * @param {string} target - File or directory path.
+ * @returns {Promise<string>} CIDv1 string (`bafk...` for single-chunk files, `bafy...` otherwise).
+ */
+export async function computeCid (target) {
+  const node = await buildPath(target, () => {})
+  if (!node) throw new Error(`cannot add ${target}: not a file or directory`)
+  return cidToString(node.cid)
+}
+
+function carHeader (root) {
+  // dag-cbor { roots: [CID], version: 1 } with the CID as tag 42 over 0x00 + bytes
+  const body = Buffer.concat([
+    Buffer.from([0xa2, 0x65]), Buffer.from('roots'),
+    Buffer.from([0x81, 0xd8, 0x2a, 0x58, root.length + 1, 0x00]), root,
+    Buffer.from([0x67]), Buffer.from('version'), Buffer.from([0x01])
+  ])
+  return Buffer.concat([varint(body.length), body])
+}
+
+const CAR_HEADER_SIZE = carHeader(Buffer.alloc(CID_LENGTH)).length
+// header length varint, map + "roots", array + tag 42 + byte string + 0x00
+const CAR_ROOT_OFFSET = 14
+
+/**
+ * Export a file or directory as a CARv1 archive holding every block of its
+ * UnixFS DAG, parents written after their children. Blocks are streamed to
+ * disk as they are built; `outFile` is removed when the export fails.
+ * @param {string} target - File or directory path.
+ * @param {string} outFile - Destination `.car` file.
+ * @returns {Promise<{cid:string, blocks:number, bytes:number}>} Root CID, block count and archive size.
+ */
+export async function writeCar (target, outFile) {
+  if (path.resolve(outFile).startsWith(path.resolve(target) + path.sep)) {
+    throw new Error(`CAR file ${outFile} cannot be written inside ${target}`)
+  }
+  await fs.promises.mkdir(path.dirname(outFile), { recursive: true })
+  const fd = await fs.promises.open(outFile, 'w')
+  let pending = Promise.resolve()
+  let done = false
+  try {
+    let position = CAR_HEADER_SIZE
+    const written = new Set()
+    const put = (cid, block) => {
+      const key = cid.toString('hex')
+      if (written.has(key)) return
+      written.add(key)
+      const entry = Buffer.concat([varint(cid.length + block.length), cid, block])
+      const at = position
+      position += entry.length
+      pending = pending.then(() => fd.write(entry, 0, entry.length, at))
+      // a failed write surfaces at `await pending`, not as an unhandled rejection
+      pending.catch(() => {})
+    }
+
+    const node = await buildPath(target, put)
+    if (!node) throw new Error(`cannot add ${target}: not a file or directory`)
+    await pending
+    await fd.write(carHeader(node.cid), 0, CAR_HEADER_SIZE, 0)
+    done = true
+    return { cid: cidToString(node.cid), blocks: written.size, bytes: position }
+  } finally {
+    // queued writes must settle before the file is closed
+    await pending.catch(() => {})
+    await fd.close()
+    if (!done) await fs.promises.rm(outFile, { force: true })
+  }
+}
+
+function parseCar (car) {
+  const buf = Buffer.from(car.buffer, car.byteOffset, car.byteLength)
+  // only the single-root header layout written by carHeader is accepted
+  const root = buf.subarray(CAR_ROOT_OFFSET, CAR_ROOT_OFFSET + CID_LENGTH)
+  if (root.length < CID_LENGTH || root[0] !== 1 || root[2] !== SHA2_256 || root[3] !== 32 ||
+    !carHeader(root).equals(buf.subarray(0, CAR_HEADER_SIZE))) {
+    throw new Error('unsupported CAR header: expected version 1 with one CIDv1 sha2-256 root')
+  }
+  const roots = [cidToString(root)]
+
+  const blocks = new Map()
+  let offset = CAR_HEADER_SIZE
+  while (offset < buf.length) {
+    const [length, size] = readVarint(buf, offset)
+    const start = offset + size
+    if (start + length > buf.length) throw new Error('truncated CAR block')
+    const [version, versionSize] = readVarint(buf, start)
+    const [codec, codecSize] = readVarint(buf, start + versionSize)
+    const digestAt = start + versionSize + codecSize
+    if (version !== 1 || buf[digestAt] !== SHA2_256) throw new Error('only CIDv1 sha2-256 blocks are supported')
+    const cid = buf.subarray(start, digestAt + 2 + buf[digestAt + 1])
+    const block = buf.subarray(start + cid.length, start + length)
+    if (!cidOf(codec, block).equals(cid)) throw new Error(`block does not match CID ${cidToString(cid)}`)
+    blocks.set(cidToString(cid), { codec, block })
+    offset = start + length
+  }
+  return { roots, blocks }
+}
+
+/**
+ * Read a CARv1 archive and check that every block matches its CID.
+ * @param {Uint8Array} car - Archive bytes.
+ * @returns {{roots:string[], blocks:Map<string, Buffer>}} Root CIDs and blocks keyed by CID string.
+ */
+export function readCar (car) {
+  const { roots, blocks } = parseCar(car)
+  return { roots, blocks: new Map([...blocks].map(([cid, { block }]) => [cid, block])) }
+}
+
+// protobuf fields as [number, value] pairs (varints and length-delimited bytes only)
+function decodeFields (buf) {
+  const fields = []
+  let pos = 0
+  while (pos < buf.length) {
+    const [tag, tagSize] = readVarint(buf, pos)
+    pos += tagSize
+    const [value, valueSize] = readVarint(buf, pos)
+    pos += valueSize
+    if (tag % 8 === 0) {
+      fields.push([Math.floor(tag / 8), value])
+    } else if (tag % 8 === 2) {
+      if (pos + value > buf.length) throw new Error('truncated protobuf field')
+      fields.push([Math.floor(tag / 8), buf.subarray(pos, pos + value)])
+      pos += value
+    } else {
+      throw new Error(`unsupported protobuf wire type ${tag % 8}`)
+    }
+  }
+  return fields
+}
+
+function decodeNode ({ codec, block }) {
+  if (codec === RAW) return { type: UNIXFS_FILE, data: block, links: [] }
+  if (codec !== DAG_PB) throw new Error(`unsupported codec 0x${codec.toString(16)}`)
+  const links = []
+  let type
+  let data = Buffer.alloc(0)
+  for (const [num, value] of decodeFields(block)) {
+    if (num === 2) {
+      const link = { name: '' }
+      for (const [n, v] of decodeFields(value)) {
+        if (n === 1) link.cid = cidToString(v)
+        if (n === 2) link.name = v.toString('utf8')
+      }
+      links.push(link)
+    } else if (num === 1) {
+      for (const [n, v] of decodeFields(value)) {
+        if (n === 1) type = v
+        if (n === 2) data = v
+      }
+    }
+  }
+  return { type, data, links }
+}
+
+/**
+ * Unpack the UnixFS DAG of a CARv1 archive into `outPath` (a directory tree
+ * or a single file). Every block is checked against its CID and a block
+ * missing from the archive is an error, so the files written are exactly
+ * the content addressed by the root CID.
+ * @param {Uint8Array} car - Archive bytes.
+ * @param {string} outPath - Destination path (must not exist yet).
+ * @returns {Promise<{cid:string, type:'directory'|'file'}>} Root CID and its type.
+ */
+export async function extractCar (car, outPath) {
+  const { roots, blocks } = parseCar(car)
+  if (roots.length !== 1) throw new Error(`expected a single CAR root, got ${roots.length}`)
+
+  const load = cid => {
+    const entry = blocks.get(cid)
+    if (!entry) throw new Error(`missing block ${cid}`)
+    return decodeNode(entry)
+  }
+  const fileBytes = node => Buffer.concat([node.data, ...node.links.map(l => fileBytes(load(l.cid)))])
+
+  const write = async (node, target) => {
+    if (node.type === UNIXFS_FILE) {
+      await fs.promises.writeFile(target, fileBytes(node))
+      return 'file'
+    }
+    if (node.type !== UNIXFS_DIRECTORY) throw new Error(`unsupported UnixFS type ${node.type}`)
+    await fs.promises.mkdir(target)
+    for (const link of node.links) {
+      if (!link.name || link.name === '.' || link.name === '..' || link.name.includes('/')) {
+        throw new Error(`invalid entry name ${JSON.stringify(link.name)}`)
+      }
+      await write(load(link.cid), path.join(target, link.name))
+    }
+    return 'directory'
+  }
+
+  await fs.promises.mkdir(path.dirname(outPath), { recursive: true })
+  const type = await write(load(roots[0]), outPath)
+  return { cid: roots[0], type }
+}
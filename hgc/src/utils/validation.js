@@ -16,6 +16,8 @@ export function validateSample (sample) {
       errors.push(`geoCellId inválido (${sample.geoCellId})`)
     }
   }
+  // reservado aos buckets gerados pelos modos lossy (ver utils/lossy.js)
+  if (sample.bucketMs !== undefined) errors.push('bucketMs é reservado a leituras agregadas')
   for (const [sensor, { min, max }] of Object.entries(SENSOR_LIMITS)) {
     const val = sample[sensor]
     if (typeof val === 'number' && (val < min || val > max)) {
@@ -0,0 +1,85 @@
+import { describe, test, expect } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { ethers } from 'ethers'
+import { generateNodes } from '../src/generators/nodes.js'
+import { generateSamplesForEpoch, flattenGroupedSamples } from '../src/generators/samples.js'
+import { createIssuerResolver, admitIssuers, runAdmission } from '../src/utils/admission.js'
+import { onboardNodes } from '../src/utils/onboarding.js'
+
+const controller = ethers.getAddress('0x' + 'c'.repeat(40))
+const nodes = generateNodes(4, 8)
+const samples = flattenGroupedSamples(generateSamplesForEpoch(nodes, 1, 0, 1))
+
+function fakeRegistry (statuses) {
+  const calls = []
+  const fetchStatuses = async list => {
+    calls.push(list)
+    return Object.fromEntries(list.map(n => [n, statuses[n] ?? { registered: false, active: false, nodeType: null }]))
+  }
+  return { calls, fetchStatuses }
+}
+
+describe('issuer admission', () => {
+  const [active, inactive, otherType] = nodes.map(n => n.nodeAddress)
+  const registry = {
+    [active]: { registered: true, active: true, nodeType: 1 },
+    [inactive]: { registered: true, active: false, nodeType: 1 },
+    [otherType]: { registered: true, active: true, nodeType: 2 }
+  }
+
+  test('drops or quarantines readings by rule', async () => {
+    const { fetchStatuses } = fakeRegistry(registry)
+    const resolver = createIssuerResolver({ fetchStatuses })
+    const input = [...samples, { ...samples[0], issuer: 'nope' }]
+
+    const dropped = await admitIssuers(input, { resolver, sensorType: 1 })
+    expect(dropped.admitted.map(s => s.issuer)).toEqual([active])
+    expect(dropped.quarantined).toEqual([])
+    expect(dropped.rejected).toEqual({ inactive: 1, nodeType: 1, unregistered: 1, invalidIssuer: 1 })
+
+    const quarantine = await admitIssuers(input, { resolver, sensorType: 1, onRejected: 'quarantine' })
+    expect(quarantine.quarantined).toHaveLength(4)
+    expect(quarantine.quarantined.find(s => s.issuer === otherType).reason).toMatch(/nodeType 2/)
+
+    // a reading's own sensorType takes precedence over the default
+    const typed = await admitIssuers(input.map(s => ({ ...s, sensorType: 2 })), { resolver, sensorType: 1 })
+    expect(typed.admitted.map(s => s.issuer)).toEqual([otherType])
+  })
+
+  test('resolver caches statuses until they expire', async () => {
+    const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    const cacheFile = path.join(tmp, 'cache.json')
+    let clock = 0
+    const { calls, fetchStatuses } = fakeRegistry(registry)
+    const resolver = createIssuerResolver({ fetchStatuses, ttlMs: 10, cacheFile, now: () => clock })
+
+    await resolver.resolve([active, inactive])
+    await resolver.resolve([active.toLowerCase(), otherType])
+    expect(calls).toEqual([[active, inactive], [otherType]])
+    clock = 11
+    await resolver.resolve([active])
+    expect(calls).toHaveLength(3)
+
+    await resolver.save()
+    const reloaded = createIssuerResolver({ fetchStatuses, ttlMs: 10, cacheFile, now: () => clock })
+    expect((await reloaded.resolve([active]))[active].active).toBe(true)
+    expect(calls).toHaveLength(3)
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+
+  test('runAdmission resolves against the mock registry and saves the quarantine', async () => {
+    const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    process.env.MOCK_NODES_FILE = path.join(tmp, 'mock-nodes.json')
+    await onboardNodes(nodes.slice(0, 2), { controller, nodeType: 1, baseDir: tmp })
+
+    const admitted = await runAdmission(1, samples, { mode: 'quarantine', sensorType: 1, baseDir: tmp })
+    expect(admitted.map(s => s.issuer).sort()).toEqual(nodes.slice(0, 2).map(n => n.nodeAddress).sort())
+    const quarantine = JSON.parse(fs.readFileSync(path.join(tmp, 'data', 'quarantine', 'epoch_1.json'), 'utf8'))
+    expect(quarantine.map(s => s.reason)).toEqual(['node não registrado', 'node não registrado'])
+    expect(fs.existsSync(path.join(tmp, 'data', 'issuer-cache.json'))).toBe(true)
+
+    delete process.env.MOCK_NODES_FILE
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+})
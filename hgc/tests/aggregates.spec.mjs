@@ -0,0 +1,107 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import * as h3 from 'h3-js'
+import request from 'supertest'
+import { generateNodes } from '../src/generators/nodes.js'
+import { generateSamplesForEpoch, flattenGroupedSamples } from '../src/generators/samples.js'
+import { runHGC, HGC_DEFAULT_PARAMS } from '../src/utils/hgc.js'
+import { merkleRootAndIndex } from '../src/utils/hasher.js'
+import { saveResults } from '../src/utils/persistence.js'
+import { summarize, computeAggregates } from '../src/utils/aggregates.js'
+import { buildAggregateProofs, verifyAggregateProof, buildCellProof, verifyCellProof } from '../src/utils/proofs.js'
+import { createApp } from '../src/server/app.js'
+import { verifyFile } from '../../protocol/src/scripts/verify.mjs'
+
+const nodes = generateNodes(30, 55)
+const samples = flattenGroupedSamples(generateSamplesForEpoch(nodes, 1, 0, 4))
+const params = { ...HGC_DEFAULT_PARAMS, maxLeavesPerBatch: 4 }
+
+describe('aggregates', () => {
+  test('summarizes values', () => {
+    expect(summarize([4, 1, 3, 2])).toEqual({ count: 4, min: 1, max: 4, mean: 2.5, stddev: Math.sqrt(1.25), p50: 2, p95: 4 })
+    expect(summarize([7])).toMatchObject({ count: 1, stddev: 0, p50: 7, p95: 7 })
+  })
+
+  test('aggregates the batch and every intermediate parent', () => {
+    const data = {}
+    const cells = h3.cellToChildren(h3.latLngToCell(-23.5, -46.6, 6), 8).slice(0, 10)
+    cells.forEach((cell, i) => {
+      data[cell] = [{ issuer: '0x1', timestamp: i, sensorType: 3, samples: [{ temp: i, hum: 50, timestamp: i }, { temp: i + 1, timestamp: i + 1 }] }]
+    })
+    const geoBatchId = h3.cellToParent(cells[0], 6)
+    const aggregates = computeAggregates(data, { geoBatchId, resBatch: 6, baseRes: 8 })
+
+    expect(aggregates[geoBatchId]).toMatchObject({ res: 6, cells: 10, samples: 20 })
+    expect(Object.keys(aggregates[geoBatchId].sensors)).toEqual(['hum', 'temp'])
+    expect(aggregates[geoBatchId].sensors.temp).toMatchObject({ count: 20, min: 0, max: 10, mean: 5 })
+    expect(aggregates[geoBatchId].sensors.hum.count).toBe(10)
+
+    const parents = Object.entries(aggregates).filter(([id]) => id !== geoBatchId)
+    expect(parents.length).toBeGreaterThan(0)
+    for (const [id, agg] of parents) {
+      expect(agg.res).toBe(7)
+      expect(h3.cellToParent(id, 6)).toBe(geoBatchId)
+    }
+    expect(parents.reduce((s, [, a]) => s + a.cells, 0)).toBe(10)
+  })
+
+  test('commits aggregates in the batch tree', () => {
+    const { batches } = runHGC(samples, 1, params)
+    const plain = runHGC(samples, 1, { ...params, aggregates: false }).batches
+
+    expect(batches.length).toBeGreaterThan(1)
+    for (const [i, batch] of batches.entries()) {
+      expect(batch.aggregates[batch.geoBatchId].samples).toBe(batch.countSamples)
+      expect(batch.merkleRoot).toBe(merkleRootAndIndex(batch.data, batch.aggregates).root)
+      expect(plain[i].aggregates).toBeUndefined()
+      expect(plain[i].merkleRoot).toBe(merkleRootAndIndex(batch.data).root)
+
+      for (const proof of buildAggregateProofs(batch)) expect(verifyAggregateProof(proof)).toBe(true)
+      const cell = batch.compressedFrom[0]
+      expect(verifyCellProof(buildCellProof(batch, cell))).toBe(true)
+    }
+
+    const [proof] = buildAggregateProofs(batches[0], [batches[0].geoBatchId])
+    const forged = { ...proof, stats: { ...proof.stats, samples: proof.stats.samples + 1 } }
+    expect(verifyAggregateProof(forged)).toBe(false)
+    expect(() => buildAggregateProofs(batches[0], ['nope'])).toThrow(/not found/)
+  })
+
+  describe('on disk', () => {
+    let tmp
+    let result
+
+    beforeAll(async () => {
+      tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+      result = runHGC(samples, 1, params)
+      await saveResults(result, 1, tmp)
+    })
+
+    afterAll(() => {
+      fs.rmSync(tmp, { recursive: true, force: true })
+    })
+
+    test('verify.mjs rejects aggregates not computed from the data', async () => {
+      const [batch] = result.batches
+      const file = path.join(tmp, 'data', 'epoch_1', `${batch.geoBatchId}.json`)
+      expect((await verifyFile(file)).ok).toBe(true)
+
+      const json = JSON.parse(fs.readFileSync(file, 'utf8'))
+      json.aggregates[batch.geoBatchId].sensors.temp.mean += 1
+      const tampered = path.join(tmp, 'tampered.json')
+      fs.writeFileSync(tampered, JSON.stringify(json))
+      expect((await verifyFile(tampered)).errors).toContain('aggregates mismatch: not computed from data')
+    })
+
+    test('serves aggregates with proofs', async () => {
+      const app = createApp({ baseDir: tmp, params })
+      const batch = result.batches[0]
+      const res = await request(app).get(`/epochs/1/batches/${batch.geoBatchId}/aggregates`)
+      expect(res.status).toBe(200)
+      expect(res.body.map(p => p.aggregateId)).toEqual(Object.keys(batch.aggregates))
+      expect(res.body.every(p => p.merkleRoot === batch.merkleRoot && verifyAggregateProof(p))).toBe(true)
+      expect((await request(app).get('/epochs/1/batches/nope/aggregates')).status).toBe(404)
+    })
+  })
+})
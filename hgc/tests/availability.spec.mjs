@@ -0,0 +1,121 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { generateNodes } from '../src/generators/nodes.js'
+import { generateSamplesForEpoch, flattenGroupedSamples } from '../src/generators/samples.js'
+import { runHGC, HGC_DEFAULT_PARAMS } from '../src/utils/hgc.js'
+import { saveResults } from '../src/utils/persistence.js'
+import { registerGeoBatchesBulk, getRegisteredBatches, queryFilterPaged } from '../src/utils/chain.js'
+import { createFilesystemStorage } from '../src/utils/storage/index.js'
+import { auditEpochs } from '../../protocol/src/scripts/audit-availability.mjs'
+
+const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+const carDir = path.join(tmp, 'car')
+const config = { provider: 'filesystem', filesystem: { dir: carDir } }
+const params = { ...HGC_DEFAULT_PARAMS, maxLeavesPerBatch: 8 }
+const savedMockChain = process.env.MOCK_CHAIN_FILE
+
+async function publishEpoch (epoch, tamper) {
+  const nodes = generateNodes(20, 40 + epoch)
+  const result = runHGC(flattenGroupedSamples(generateSamplesForEpoch(nodes, epoch, 0, 5)), epoch, params)
+  await saveResults(result, epoch, tmp)
+  const epochDir = path.join(tmp, 'data', `epoch_${epoch}`)
+  if (tamper) tamper(epochDir, result.batches)
+  const { cid } = await createFilesystemStorage({ dir: carDir }).uploadFolder(epochDir)
+  await registerGeoBatchesBulk(epoch, result.batches.map(b => ({ geoBatchId: b.geoBatchId, merkleRoot: b.merkleRoot, cid })))
+  return { cid, batches: result.batches }
+}
+
+describe('data availability audit', () => {
+  const published = {}
+
+  beforeAll(async () => {
+    process.env.MOCK_CHAIN_FILE = path.join(tmp, 'mock-chain.json')
+    published[1] = await publishEpoch(1)
+    // epoch 2: one batch file altered after registration-time roots were computed
+    published[2] = await publishEpoch(2, (dir, batches) => {
+      const file = path.join(dir, `${batches[0].geoBatchId}.json`)
+      const json = JSON.parse(fs.readFileSync(file, 'utf8'))
+      json.countSamples += 1
+      fs.writeFileSync(file, JSON.stringify(json, null, 2))
+    })
+    // epoch 3: registered but never stored
+    published[3] = await publishEpoch(3)
+    fs.rmSync(path.join(carDir, `${published[3].cid}.car`))
+  })
+
+  afterAll(() => {
+    if (savedMockChain === undefined) delete process.env.MOCK_CHAIN_FILE
+    else process.env.MOCK_CHAIN_FILE = savedMockChain
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+
+  test('reads the registered batches of an epoch range', async () => {
+    const records = await getRegisteredBatches(1, 2)
+    expect(records.length).toBe(published[1].batches.length + published[2].batches.length)
+    expect(records[0]).toMatchObject({ epoch: 1, geoBatchId: published[1].batches[0].geoBatchId, cid: published[1].cid })
+  })
+
+  test('pages event queries through capped block ranges', async () => {
+    const logs = [{ blockNumber: 120 }, { blockNumber: 2500 }, { blockNumber: 4999 }, { blockNumber: 5000 }]
+    const ranges = []
+    // provider that rejects eth_getLogs over more than 2000 blocks
+    const contract = {
+      async queryFilter (_filter, from, to) {
+        if (to - from + 1 > 2000) throw new Error('block range too large')
+        ranges.push([from, to])
+        return logs.filter(l => l.blockNumber >= from && l.blockNumber <= to)
+      }
+    }
+    const events = await queryFilterPaged(contract, 'GeoBatchRegistered', 100, 5000, 2000)
+    expect(ranges).toEqual([[100, 2099], [2100, 4099], [4100, 5000]])
+    expect(events).toEqual(logs)
+    await expect(queryFilterPaged(contract, 'GeoBatchRegistered', 100, 5000, 0)).rejects.toThrow(/block range/)
+  })
+
+  test('verifies available epochs and reports corrupted and missing batches', async () => {
+    const report = await auditEpochs(1, 3, { config })
+    const [e1, e2, e3] = report.epochs
+    expect(report.epochs.map(e => e.epoch)).toEqual([1, 2, 3])
+
+    expect(e1.cidOk).toBe(true)
+    expect(e1.superRoot.ok).toBe(true)
+    expect(e1.batches.every(b => b.status === 'ok')).toBe(true)
+
+    expect(e2.batches[0].status).toBe('corrupted')
+    expect(e2.batches.slice(1).every(b => b.status === 'ok')).toBe(true)
+
+    expect(e3.errors[0]).toContain('fetch failed')
+    expect(e3.batches.every(b => b.status === 'missing')).toBe(true)
+
+    expect(report.summary).toEqual({
+      ok: published[1].batches.length + published[2].batches.length - 1,
+      missing: published[3].batches.length,
+      corrupted: 1,
+      mismatched: 0
+    })
+  })
+
+  test('flags roots that differ from the data and content that does not match its CID', async () => {
+    const records = JSON.parse(fs.readFileSync(process.env.MOCK_CHAIN_FILE, 'utf8'))
+    const first = records.find(r => r.epoch === 1)
+    records.push({ ...first, epoch: 4, merkleRoot: '0x' + '11'.repeat(32) })
+    fs.writeFileSync(process.env.MOCK_CHAIN_FILE, JSON.stringify(records, null, 2))
+
+    // a provider serving other content under the registered CID (e.g. an edited S3 object)
+    const fetch = async (cid, out) => {
+      fs.cpSync(path.join(tmp, 'data', 'epoch_1'), out, { recursive: true })
+      fs.writeFileSync(path.join(out, 'extra.txt'), 'x')
+      return { cid, type: 'directory' }
+    }
+    const report = await auditEpochs(4, 4, { fetch })
+    expect(report.epochs[0].cidOk).toBe(false)
+    expect(report.epochs[0].batches).toEqual([expect.objectContaining({ geoBatchId: first.geoBatchId, status: 'mismatched' })])
+
+    // batches that verify on their own are not the registered content either
+    const served = await auditEpochs(1, 1, { fetch })
+    expect(served.epochs[0].cidOk).toBe(false)
+    expect(served.epochs[0].batches.every(b => b.status === 'mismatched' && b.errors[0] === 'content does not match dataCID')).toBe(true)
+    expect(served.summary).toEqual({ ok: 0, missing: 0, corrupted: 0, mismatched: published[1].batches.length })
+  })
+})
@@ -0,0 +1,61 @@
+import { describe, test, expect, afterAll } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { generateNodes } from '../src/generators/nodes.js'
+import { generateSamplesForEpoch, flattenGroupedSamples } from '../src/generators/samples.js'
+import { runHGC, HGC_DEFAULT_PARAMS } from '../src/utils/hgc.js'
+import { saveResults, recordEpochStorage } from '../src/utils/persistence.js'
+import { registerGeoBatchesBulk } from '../src/utils/chain.js'
+import { createFilesystemStorage } from '../src/utils/storage/index.js'
+import { computeCid } from '../src/utils/unixfs.js'
+import { verifyChainDir } from '../../protocol/src/scripts/verify.mjs'
+
+const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+const savedMockChain = process.env.MOCK_CHAIN_FILE
+
+describe('chain-aware verify', () => {
+  afterAll(() => {
+    if (savedMockChain === undefined) delete process.env.MOCK_CHAIN_FILE
+    else process.env.MOCK_CHAIN_FILE = savedMockChain
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+
+  test('checks local batches against the registered roots and CID', async () => {
+    process.env.MOCK_CHAIN_FILE = path.join(tmp, 'mock-chain.json')
+    const epoch = 1
+    const nodes = generateNodes(20, 77)
+    const result = runHGC(flattenGroupedSamples(generateSamplesForEpoch(nodes, epoch, 0, 5)), epoch, { ...HGC_DEFAULT_PARAMS, maxLeavesPerBatch: 8 })
+    await saveResults(result, epoch, tmp)
+    const epochDir = path.join(tmp, 'data', `epoch_${epoch}`)
+    const [wrongRoot, unregistered, deleted, ...rest] = result.batches
+    expect(rest.length).toBeGreaterThan(0)
+    // registered, but its file was lost before the epoch was uploaded
+    fs.rmSync(path.join(epochDir, `${deleted.geoBatchId}.json`))
+    const storage = await createFilesystemStorage({ dir: path.join(tmp, 'car') }).uploadFolder(epochDir)
+    await recordEpochStorage(epoch, storage, tmp)
+
+    await registerGeoBatchesBulk(epoch, [
+      { geoBatchId: wrongRoot.geoBatchId, merkleRoot: '0x' + '11'.repeat(32), cid: storage.cid },
+      { geoBatchId: deleted.geoBatchId, merkleRoot: deleted.merkleRoot, cid: storage.cid },
+      ...rest.map(b => ({ geoBatchId: b.geoBatchId, merkleRoot: b.merkleRoot, cid: storage.cid }))
+    ])
+
+    const results = await verifyChainDir(epochDir)
+    const byId = Object.fromEntries(results.map(r => [path.basename(r.file, '.json'), r]))
+    expect(results.length).toBe(result.batches.length)
+    expect(byId[wrongRoot.geoBatchId].errors[0]).toContain('on-chain merkleRoot mismatch')
+    expect(byId[unregistered.geoBatchId].errors).toEqual([`not registered on-chain for epoch ${epoch}`])
+    expect(byId[deleted.geoBatchId].errors).toEqual([`registered on-chain for epoch ${epoch} but missing locally`])
+    expect(rest.every(b => byId[b.geoBatchId].ok)).toBe(true)
+
+    // the recorded upload is not trusted: the CID is recomputed from the files
+    const recordFile = path.join(tmp, 'data', 'storage', `epoch_${epoch}.json`)
+    fs.writeFileSync(recordFile, JSON.stringify({ ...JSON.parse(fs.readFileSync(recordFile, 'utf8')), cid: 'bafyother' }, null, 2))
+    expect((await verifyChainDir(epochDir)).find(r => r.file.endsWith(`${rest[0].geoBatchId}.json`)).ok).toBe(true)
+
+    fs.writeFileSync(path.join(epochDir, 'extra.txt'), 'x')
+    const changedCid = await computeCid(epochDir)
+    const restResult = (await verifyChainDir(epochDir)).find(r => r.file.endsWith(`${rest[0].geoBatchId}.json`))
+    expect(restResult.errors).toEqual([`on-chain dataCID mismatch: expected ${changedCid}, got ${storage.cid}`])
+  })
+})
@@ -1,4 +1,4 @@
-import { describe, test, expect } from 'vitest'
+import { describe, test, expect, vi } from 'vitest'
 import fs from 'fs'
 import path from 'path'
 import { ensureNodes } from '../src/utils/ensureNodes.js'
@@ -7,6 +7,7 @@ const dataDir = path.join(process.cwd(), 'data')
 const nodesFile = path.join(dataDir, 'nodes.json')
 
 describe('ensureNodes', () => {
+  // generating 10k node keypairs takes a few seconds on slower machines
   test('creates and reads nodes.json', async () => {
     fs.rmSync(dataDir, { recursive: true, force: true })
 
@@ -19,5 +20,32 @@ describe('ensureNodes', () => {
     expect(nodesAgain).toEqual(nodes)
 
     fs.rmSync(dataDir, { recursive: true, force: true })
-  })
+  }, 15_000)
+
+  test('does not overwrite an unreadable or keyless nodes.json unless asked to', async () => {
+    fs.rmSync(dataDir, { recursive: true, force: true })
+    fs.mkdirSync(dataDir, { recursive: true })
+
+    fs.writeFileSync(nodesFile, '[{"id":0,')
+    await expect(ensureNodes()).rejects.toThrow('not valid JSON')
+    expect(fs.readFileSync(nodesFile, 'utf8')).toBe('[{"id":0,')
+
+    // nodes.json from before the node keys, possibly registered on-chain
+    const keyless = JSON.stringify([{ id: 0, nodeAddress: '0x' + '11'.repeat(20), geoCellId: '88a8100c6bfffff' }])
+    fs.writeFileSync(nodesFile, keyless)
+    await expect(ensureNodes()).rejects.toThrow('--regenerate')
+    expect(fs.readFileSync(nodesFile, 'utf8')).toBe(keyless)
+
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    try {
+      const nodes = await ensureNodes({ regenerate: true })
+      expect(nodes.every(n => n.privateKey)).toBe(true)
+      expect(JSON.parse(fs.readFileSync(nodesFile, 'utf8'))).toEqual(nodes)
+      expect(fs.readFileSync(`${nodesFile}.bak`, 'utf8')).toBe(keyless)
+      expect(warn).toHaveBeenCalledOnce()
+    } finally {
+      warn.mockRestore()
+      fs.rmSync(dataDir, { recursive: true, force: true })
+    }
+  }, 15_000)
 })
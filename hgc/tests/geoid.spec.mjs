@@ -0,0 +1,76 @@
+import { describe, test, expect } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import * as h3 from 'h3-js'
+import {
+  encodeGeoId,
+  decodeGeoId,
+  extractLevel,
+  extractBaseCell,
+  extractResolutionDigit,
+  extractHeader,
+  setHeader,
+  clearHeader,
+  parentOf,
+  aggregationGroup
+} from '../src/utils/geoid.js'
+
+// Shared with protocol/tests/GeoCellIDCodec.js, which checks them against MockGeoCellIDLib
+const vectors = JSON.parse(
+  fs.readFileSync(path.join(process.cwd(), 'tests', 'fixtures', 'geoid-vectors.json'), 'utf8')
+)
+
+// Same construction used by protocol/tests/GeoCellIDLib.js
+function buildGeoId (level, baseCell, digits = [], header = 0) {
+  let id = BigInt(header) << 56n
+  id |= BigInt(level) << 8n
+  id |= BigInt(baseCell) << 12n
+  for (let i = 0; i < digits.length; i++) {
+    id |= BigInt(digits[i]) << BigInt(19 + i * 3)
+  }
+  return id
+}
+
+describe('geoId codec', () => {
+  test('golden vectors encode and decode', () => {
+    for (const v of vectors) {
+      const geoId = encodeGeoId(v.h3, v.header)
+      expect(geoId.toString()).toBe(v.geoId)
+      expect(geoId).toBe(buildGeoId(v.level, v.baseCell, v.digits, v.header))
+      expect(extractLevel(geoId)).toBe(v.level)
+      expect(extractBaseCell(geoId)).toBe(v.baseCell)
+      expect(extractHeader(geoId)).toBe(v.header)
+      v.digits.forEach((d, i) => expect(extractResolutionDigit(geoId, i + 1)).toBe(d))
+      expect(decodeGeoId(v.geoId)).toBe(v.h3)
+    }
+  })
+
+  test('parent navigation follows h3.cellToParent', () => {
+    for (const v of vectors.filter(x => x.level > 0)) {
+      const parent = parentOf(v.geoId)
+      expect(parent.toString()).toBe(v.parent)
+      expect(decodeGeoId(parent)).toBe(v.parentH3)
+      expect(extractHeader(parent)).toBe(v.header)
+      expect(decodeGeoId(aggregationGroup(v.geoId, 0))).toBe(h3.cellToParent(v.h3, 0))
+    }
+    expect(() => parentOf(encodeGeoId(vectors[0].h3))).toThrow('RootLevelHasNoParent')
+    expect(() => aggregationGroup(encodeGeoId(vectors[0].h3), 1)).toThrow('InvalidAggregationTarget')
+  })
+
+  test('header set and clear keep the body intact', () => {
+    const cell = h3.latLngToCell(-10, -52, 8)
+    const bare = encodeGeoId(cell)
+    const tagged = setHeader(bare, 0xaa)
+    expect(extractHeader(tagged)).toBe(0xaa)
+    expect(clearHeader(tagged)).toBe(bare)
+    expect(decodeGeoId(tagged)).toBe(cell)
+    expect(() => setHeader(bare, 256)).toThrow(/header/)
+  })
+
+  test('rejects inputs the contract cannot represent', () => {
+    expect(() => encodeGeoId('abc')).toThrow(/geoCellId/)
+    expect(() => encodeGeoId(h3.latLngToCell(0, 0, 13))).toThrow(/resolution/)
+    expect(() => extractResolutionDigit(0n, 0)).toThrow('InvalidDigit')
+    expect(() => extractLevel(-1n)).toThrow(/uint64/)
+  })
+})
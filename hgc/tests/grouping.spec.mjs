@@ -1,7 +1,8 @@
 import { describe, test, expect } from 'vitest'
 import * as h3 from 'h3-js'
-import { groupByParent, compressTopDown } from '../src/utils/grouping.js'
-import { MAX_LEAVES_PER_BATCH, HYSTERESIS_FAR } from '../src/utils/hgc.js'
+import { groupByParent, compressTopDown, splitParentsOf, cellIdComparator } from '../src/utils/grouping.js'
+import { MAX_LEAVES_PER_BATCH, HYSTERESIS_FAR, HGC_DEFAULT_PARAMS, runHGC } from '../src/utils/hgc.js'
+import { loadHgcConfig } from '../src/config/index.js'
 
 describe('grouping utilities', () => {
   test('groupByParent groups children under their parent', () => {
@@ -23,5 +24,75 @@ describe('grouping utilities', () => {
       expect(b.cells.length).toBeLessThanOrEqual(MAX_LEAVES_PER_BATCH * HYSTERESIS_FAR)
     }
   })
+
+  test('splitParentsOf lists every ancestor of the previous batches', () => {
+    const batch = h3.latLngToCell(0, 0, 3)
+    const split = splitParentsOf([batch, h3.cellToCenterChild(h3.cellToParent(batch, 2), 3)])
+    expect([...split].sort()).toEqual([0, 1, 2].map(res => h3.cellToParent(batch, res)).sort())
+  })
+
+  test('compressTopDown applies two-sided hysteresis against the previous layout', () => {
+    const params = { baseRes: 8, minRes: 0, maxLeavesPerBatch: 100, maxSamplesPerBatch: 10_000, hysteresisNear: 0.9, hysteresisFar: 1.1 }
+    const region = h3.cellToChildren(h3.latLngToCell(0, 0, 5), 8).sort(cellIdComparator)
+    const run = (n, layout) => {
+      const cells = region.slice(0, n)
+      const counts = Object.fromEntries(cells.map(id => [id, 1]))
+      return compressTopDown(cells, counts, undefined, false, params, layout)
+        .map(b => h3.cellToParent(b.cells[0], b.res))
+    }
+
+    // above max * far: split
+    const split = run(120)
+    expect(split.length).toBeGreaterThan(1)
+    // between near and far: the previous layout decides
+    expect(run(105)).toHaveLength(1)
+    expect(run(105, split).every(id => split.includes(id))).toBe(true)
+    expect(run(105, split).length).toBeGreaterThan(1)
+    expect(run(105, run(105))).toEqual(run(105))
+    // below max * near: merged back
+    expect(run(80, split)).toHaveLength(1)
+  })
+
+  test('orderings keep the same batches above baseRes', () => {
+    const params = { baseRes: 8, minRes: 0, maxLeavesPerBatch: 300, maxSamplesPerBatch: 1e6, hysteresisNear: 0.9, hysteresisFar: 1.1 }
+    const cells = h3.gridDisk(h3.latLngToCell(0, 0, 8), 40)
+    const counts = Object.fromEntries(cells.map(id => [id, 1]))
+    const idsFor = ordering => compressTopDown(cells, counts, undefined, ordering, params)
+      .map(b => h3.cellToParent(b.cells[0], b.res))
+
+    const lex = idsFor('lex')
+    const localIj = idsFor('localIj')
+    const hilbert = idsFor('hilbert')
+    expect(lex.length).toBeGreaterThan(10)
+    expect([...localIj].sort()).toEqual([...lex].sort())
+    expect([...hilbert].sort()).toEqual([...lex].sort())
+    expect(hilbert).not.toEqual(lex)
+    expect(idsFor(true)).toEqual(localIj)
+    expect(compressTopDown(cells, counts, undefined, undefined, { ...params, ordering: 'hilbert' }).length).toBe(hilbert.length)
+  })
+
+  test('orderings decide which cells share a batch at baseRes', () => {
+    const params = { baseRes: 8, minRes: 0, maxLeavesPerBatch: 4, maxSamplesPerBatch: 1e6, hysteresisNear: 0.9, hysteresisFar: 1.1 }
+    const cells = h3.cellToChildren(h3.latLngToCell(0, 0, 7), 8)
+    const counts = Object.fromEntries(cells.map(id => [id, 1]))
+    const chunksFor = ordering => compressTopDown(cells, counts, undefined, ordering, params)
+      .map(b => [...b.cells].sort(cellIdComparator).join())
+      .sort()
+
+    expect(chunksFor('localIj')).not.toEqual(chunksFor('lex'))
+    expect(chunksFor('hilbert')).not.toEqual(chunksFor('lex'))
+    for (const ordering of ['lex', 'localIj', 'hilbert']) {
+      expect(chunksFor(ordering).join().split(',').sort()).toEqual([...cells].sort())
+    }
+  })
+
+  test('ordering is configurable and recorded in hgcParams', () => {
+    expect(loadHgcConfig(['--ordering=hilbert']).ordering).toBe('hilbert')
+    expect(() => loadHgcConfig(['--ordering=zigzag'])).toThrow('invalid ordering')
+
+    const cell = h3.latLngToCell(0, 0, 8)
+    const { batches } = runHGC([{ geoCellId: cell, pm25: 1, timestamp: 0 }], 1, { ...HGC_DEFAULT_PARAMS, ordering: 'localIj' })
+    expect(batches[0].hgcParams.ordering).toBe('localIj')
+  })
 })
 
@@ -0,0 +1,74 @@
+import { describe, test, expect, afterAll } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { generateNodes } from '../src/generators/nodes.js'
+import { generateSamplesForEpoch, flattenGroupedSamples } from '../src/generators/samples.js'
+import { runHGC, HGC_DEFAULT_PARAMS } from '../src/utils/hgc.js'
+import { runHGCParallel, createBatchPool } from '../src/utils/hgcParallel.js'
+import { runHGCStream } from '../src/utils/hgcStream.js'
+import { saveResults } from '../src/utils/persistence.js'
+import { loadWorkers } from '../src/config/index.js'
+
+const nodes = generateNodes(40, 88)
+const samples = flattenGroupedSamples(generateSamplesForEpoch(nodes, 1, 0, 10))
+const params = { ...HGC_DEFAULT_PARAMS, maxLeavesPerBatch: 8 }
+const tmps = []
+
+describe('parallel batch finalization', () => {
+  afterAll(() => {
+    for (const tmp of tmps) fs.rmSync(tmp, { recursive: true, force: true })
+  })
+
+  test('worker pool output is identical to runHGC', async () => {
+    const expected = runHGC(samples, 1, params)
+    expect(expected.batches.length).toBeGreaterThan(3)
+
+    const parallel = await runHGCParallel(samples, 1, params, { workers: 3 })
+    expect(parallel.superRoot).toBe(expected.superRoot)
+    expect(JSON.stringify(parallel.batches)).toBe(JSON.stringify(expected.batches))
+    expect(parallel.map).toEqual(expected.map)
+
+    const inline = await runHGCParallel(samples, 1, params, { workers: 0 })
+    expect(JSON.stringify(inline.batches)).toBe(JSON.stringify(expected.batches))
+  })
+
+  test('a shared pool keeps lossy output identical and surfaces worker errors', async () => {
+    const pool = createBatchPool(2)
+    try {
+      const lossy = { ...params, lossy: 'time' }
+      const parallel = await runHGCParallel(samples, 1, lossy, { pool })
+      expect(parallel.superRoot).toBe(runHGC(samples, 1, lossy).superRoot)
+
+      await expect(pool.build([{ res: 5, parent: 'nope', cells: ['x'], entriesOf: {} }], 1, params)).rejects.toThrow()
+    } finally {
+      await pool.close()
+    }
+    expect(() => createBatchPool(0)).toThrow('invalid pool size')
+  })
+
+  test('streaming HGC writes the same files with workers', async () => {
+    const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    tmps.push(tmp)
+    const inputFile = path.join(tmp, 'input.ndjson')
+    fs.writeFileSync(inputFile, samples.map(s => JSON.stringify(s)).join('\n'))
+
+    const expectedDir = path.join(tmp, 'expected')
+    await saveResults(runHGC(samples, 1, params), 1, expectedDir)
+    const streamDir = path.join(tmp, 'stream')
+    await runHGCStream(inputFile, 1, params, { baseDir: streamDir, workers: 2 })
+
+    const epochDir = dir => path.join(dir, 'data', 'epoch_1')
+    const names = fs.readdirSync(epochDir(expectedDir)).sort()
+    expect(fs.readdirSync(epochDir(streamDir)).sort()).toEqual(names)
+    for (const name of names) {
+      expect(fs.readFileSync(path.join(epochDir(streamDir), name), 'utf8'))
+        .toBe(fs.readFileSync(path.join(epochDir(expectedDir), name), 'utf8'))
+    }
+  })
+
+  test('loads the worker count from flags', () => {
+    expect(loadWorkers(['--workers=4'])).toBe(4)
+    expect(loadWorkers([])).toBe(0)
+    expect(() => loadWorkers(['--workers=-1'])).toThrow('invalid workers')
+  })
+})
@@ -0,0 +1,101 @@
+import { describe, test, expect, afterAll } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { generateNodes } from '../src/generators/nodes.js'
+import { generateSamplesForEpoch, flattenGroupedSamples } from '../src/generators/samples.js'
+import { runHGC, HGC_DEFAULT_PARAMS } from '../src/utils/hgc.js'
+import { saveResults } from '../src/utils/persistence.js'
+import { runHGCStream } from '../src/utils/hgcStream.js'
+
+const nodes = generateNodes(40, 77)
+const samples = flattenGroupedSamples(generateSamplesForEpoch(nodes, 1, 0, 10))
+// duplicates and an invalid reading exercise dedup and `mark` across partitions
+const input = [...samples, ...samples.slice(0, 25), { ...samples[0], timestamp: 1, pm25: 5000 }]
+const params = { ...HGC_DEFAULT_PARAMS, maxLeavesPerBatch: 8 }
+const tmps = []
+
+function tmpDir () {
+  const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+  tmps.push(tmp)
+  return tmp
+}
+
+function writeNdjson (file, readings) {
+  fs.writeFileSync(file, readings.map(r => JSON.stringify(r)).join('\n') + '\n')
+}
+
+function readTree (baseDir) {
+  const dataDir = path.join(baseDir, 'data')
+  const files = {}
+  for (const name of fs.readdirSync(path.join(dataDir, 'epoch_1')).sort()) {
+    files[name] = fs.readFileSync(path.join(dataDir, 'epoch_1', name), 'utf8')
+  }
+  files['cellToBatchMap.json'] = fs.readFileSync(path.join(dataDir, 'cellToBatchMap.json'), 'utf8')
+  return files
+}
+
+async function compare (hgcParams, partitions, { readings = input, onInvalid = 'mark' } = {}) {
+  const expectedDir = tmpDir()
+  const result = runHGC(readings, 1, hgcParams, { onInvalid })
+  await saveResults(result, 1, expectedDir)
+
+  const streamDir = tmpDir()
+  const inputFile = path.join(streamDir, 'input.ndjson')
+  const invalidFile = path.join(streamDir, 'invalid.ndjson')
+  writeNdjson(inputFile, readings)
+  const streamed = await runHGCStream(inputFile, 1, hgcParams, { onInvalid, baseDir: streamDir, partitions, invalidFile })
+
+  expect(streamed.superRoot).toBe(result.superRoot)
+  expect(streamed.summary).toEqual(result.summary)
+  expect(streamed.invalidSamples).toBe(result.invalidSamples.length)
+  if (onInvalid === 'mark') {
+    expect(fs.readFileSync(invalidFile, 'utf8').trim().split('\n')).toHaveLength(result.invalidSamples.length)
+  }
+  expect(readTree(streamDir)).toEqual(readTree(expectedDir))
+  return streamed
+}
+
+describe('streaming HGC', () => {
+  afterAll(() => {
+    for (const tmp of tmps) fs.rmSync(tmp, { recursive: true, force: true })
+  })
+
+  test('writes the same files as runHGC + saveResults', async () => {
+    const streamed = await compare(params, 8)
+    expect(streamed.invalidSamples).toBe(1)
+    expect(streamed.batches.every(b => b.geoBatchId && b.merkleRoot && b.data === undefined)).toBe(true)
+  })
+
+  test('output does not depend on the number of partitions', async () => {
+    await compare(params, 1)
+    await compare(params, 97)
+  })
+
+  test('matches runHGC in the lossy modes', async () => {
+    await compare({ ...params, lossy: 'time' }, 8)
+    await compare({ ...params, lossy: 'spatial', densityThreshold: 2 }, 8)
+    await compare({ ...params, lossy: 'spatial', coarseRes: 5, densityThreshold: 3, maxSamplesPerBatch: 20 }, 8)
+  })
+
+  test('drops cells whose nested samples were all rejected', async () => {
+    // the only reading of its cell carries a single out-of-range sample
+    const [valid] = samples
+    const { signature, ...unsigned } = valid
+    const rejected = { ...unsigned, geoCellId: '8a2a1072b59ffff', samples: [{ ...valid.samples[0], pm25: 5000 }] }
+    const streamed = await compare(params, 8, { readings: [valid, rejected], onInvalid: 'discard' })
+    expect(streamed.batches).toHaveLength(1)
+    await compare(params, 8, { readings: [valid, rejected] })
+  })
+
+  test('removes its spill files and reports bad input lines', async () => {
+    const dir = tmpDir()
+    const inputFile = path.join(dir, 'input.ndjson')
+    const workDir = path.join(dir, 'work')
+    fs.writeFileSync(inputFile, JSON.stringify(samples[0]) + '\n\n{oops\n')
+    await expect(runHGCStream(inputFile, 1, params, { baseDir: dir, workDir })).rejects.toThrow(`${inputFile}:3`)
+
+    writeNdjson(inputFile, samples)
+    await runHGCStream(inputFile, 1, params, { baseDir: path.join(dir, 'out'), workDir, partitions: 4 })
+    expect(fs.readdirSync(workDir).filter(n => n.startsWith('readings_'))).toEqual([])
+  })
+})
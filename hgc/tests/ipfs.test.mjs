@@ -2,26 +2,38 @@ import { describe, test, expect } from 'vitest'
 import { promises as fs } from 'fs'
 import path from 'path'
 import { uploadFile, uploadFolder, hashFolder } from '../src/utils/ipfs.js'
-import { sha256Hex } from '../src/utils/hasher.js'
+import { computeCid, readCar } from '../src/utils/unixfs.js'
+
+const mockDir = path.join(process.cwd(), 'data', 'ipfs-mock')
 
 describe('ipfs utils', () => {
-  test('uploadFile hashes file contents', async () => {
+  test('uploadFile returns the IPFS CID of the file', async () => {
     const file = path.join(process.cwd(), 'tmp-file.txt')
     await fs.writeFile(file, 'hello world')
     const cid = await uploadFile(file)
-    expect(cid).toBe(sha256Hex(await fs.readFile(file)))
+    expect(cid).toBe('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e')
+    const car = readCar(await fs.readFile(path.join(mockDir, `${cid}.car`)))
+    expect(car.roots).toEqual([cid])
     await fs.unlink(file)
   })
 
-  test('uploadFolder hashes folder contents', async () => {
+  test('uploadFolder returns the folder CID and a CAR export', async () => {
     const dir = path.join(process.cwd(), 'tmp-folder')
     await fs.rm(dir, { recursive: true, force: true })
     await fs.mkdir(path.join(dir, 'sub'), { recursive: true })
     await fs.writeFile(path.join(dir, 'a.txt'), 'AAA')
     await fs.writeFile(path.join(dir, 'sub', 'b.txt'), 'BBB')
     const cid = await uploadFolder(dir)
-    const expected = await hashFolder(dir)
-    expect(cid).toBe(expected)
+    expect(cid).toBe(await computeCid(dir))
+    expect(cid.startsWith('bafy')).toBe(true)
+    const car = readCar(await fs.readFile(path.join(mockDir, `${cid}.car`)))
+    expect(car.roots).toEqual([cid])
+    expect(car.blocks.size).toBe(4)
+
+    // hashFolder stays as a content fingerprint independent of the CID
+    const before = await hashFolder(dir)
+    await fs.writeFile(path.join(dir, 'a.txt'), 'AAB')
+    expect(await hashFolder(dir)).not.toBe(before)
     await fs.rm(dir, { recursive: true, force: true })
   })
 })
@@ -0,0 +1,120 @@
+import { describe, test, expect, afterAll } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import * as h3 from 'h3-js'
+import { generateNodes } from '../src/generators/nodes.js'
+import { generateSamplesForEpoch, flattenGroupedSamples } from '../src/generators/samples.js'
+import { runHGC, HGC_DEFAULT_PARAMS } from '../src/utils/hgc.js'
+import { saveResults } from '../src/utils/persistence.js'
+import { bucketReadings, readingCount, resolveLossyParams } from '../src/utils/lossy.js'
+import { loadCellProof, verifyCellProof } from '../src/utils/proofs.js'
+import { scoreIssuers } from '../src/utils/rewards.js'
+import { validateSample } from '../src/utils/validation.js'
+import { loadHgcConfig } from '../src/config/index.js'
+import { verifyDir } from '../../protocol/src/scripts/verify.mjs'
+
+const nodes = generateNodes(40, 66)
+const samples = flattenGroupedSamples(generateSamplesForEpoch(nodes, 1, 0, 12))
+const params = { ...HGC_DEFAULT_PARAMS, maxLeavesPerBatch: 8 }
+const tmps = []
+
+function totalSamples (batches) {
+  return batches.reduce((s, b) => s + b.countSamples, 0)
+}
+
+describe('lossy compression', () => {
+  afterAll(() => {
+    for (const tmp of tmps) fs.rmSync(tmp, { recursive: true, force: true })
+  })
+
+  test('buckets readings per issuer with sensor means', () => {
+    const buckets = bucketReadings([
+      { issuer: '0xb', timestamp: 0, samples: [{ temp: 10, timestamp: 0 }, { temp: 20, timestamp: 60_000 }] },
+      { issuer: '0xa', timestamp: 120_000, temp: 30, hum: 40, sensorType: 1 },
+      { issuer: '0xa', timestamp: 16 * 60_000, temp: 50 }
+    ], 15 * 60_000)
+
+    expect(buckets).toEqual([
+      { timestamp: 0, bucketMs: 900_000, count: 1, issuer: '0xa', hum: 40, temp: 30 },
+      { timestamp: 0, bucketMs: 900_000, count: 2, issuer: '0xb', temp: 15 },
+      { timestamp: 900_000, bucketMs: 900_000, count: 1, issuer: '0xa', temp: 50 }
+    ])
+    expect(buckets.map(readingCount)).toEqual([1, 2, 1])
+    expect(readingCount({ count: 9 })).toBe(1)
+  })
+
+  test('rejects readings carrying the reserved bucketMs field', () => {
+    expect(validateSample({ temp: 1, bucketMs: 1, count: 1000 })).toHaveLength(1)
+  })
+
+  test('resolves and validates lossy parameters', () => {
+    expect(resolveLossyParams(params)).toBe(params)
+    expect(resolveLossyParams({ ...params, lossy: 'spatial' })).toMatchObject({ bucketMs: 900_000, coarseRes: 6, densityThreshold: 16 })
+    expect(() => resolveLossyParams({ ...params, lossy: 'zip' })).toThrow(/invalid lossy/)
+    expect(() => resolveLossyParams({ ...params, lossy: 'spatial', coarseRes: 8 })).toThrow(/coarseRes/)
+
+    const cfg = loadHgcConfig(['node', 'x', '--lossy=time', '--bucketMs=600000'])
+    expect(cfg).toMatchObject({ lossy: 'time', bucketMs: 600_000 })
+    expect(loadHgcConfig(['node', 'x']).bucketMs).toBeUndefined()
+    expect(() => loadHgcConfig(['node', 'x', '--lossy=zip'])).toThrow(/invalid lossy/)
+  })
+
+  test('time mode stores bucket means and keeps sample counts and rewards', () => {
+    const raw = runHGC(samples, 1, params)
+    const lossy = runHGC(samples, 1, { ...params, lossy: 'time' })
+
+    expect(lossy.hgcParams).toMatchObject({ lossy: 'time', bucketMs: 900_000 })
+    expect(lossy.batches[0].hgcParams.bucketMs).toBe(900_000)
+    expect(totalSamples(lossy.batches)).toBe(totalSamples(raw.batches))
+    expect(JSON.stringify(lossy.batches.map(b => b.data)).length)
+      .toBeLessThan(JSON.stringify(raw.batches.map(b => b.data)).length * 0.6)
+    for (const b of lossy.batches) {
+      for (const entries of Object.values(b.data)) {
+        expect(entries.every(e => e.bucketMs === 900_000 && e.samples === undefined)).toBe(true)
+      }
+    }
+
+    const epochs = r => [{ epoch: 1, batches: r.batches }]
+    expect(scoreIssuers(epochs(lossy))).toEqual(scoreIssuers(epochs(raw)))
+    expect(runHGC(samples, 1, { ...params, lossy: 'time' }).superRoot).toBe(lossy.superRoot)
+  })
+
+  test('spatial mode merges dense regions into a coarse leaf', async () => {
+    const spatial = { ...params, lossy: 'spatial', coarseRes: 5, densityThreshold: 3 }
+    const result = runHGC(samples, 1, spatial)
+    const leaves = result.batches.flatMap(b => Object.keys(b.data))
+    const coarse = leaves.filter(c => h3.getResolution(c) === 5)
+
+    expect(coarse.length).toBeGreaterThan(0)
+    expect(new Set(leaves).size).toBe(leaves.length)
+    expect(totalSamples(result.batches)).toBe(samples.length * 12)
+    expect(Object.keys(result.map)).toEqual(expect.arrayContaining(coarse))
+
+    const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    tmps.push(tmp)
+    await saveResults(result, 1, tmp)
+    const epochDir = path.join(tmp, 'data', 'epoch_1')
+    expect((await verifyDir(epochDir)).every(r => r.ok)).toBe(true)
+
+    const merged = samples.find(s => h3.cellToParent(s.geoCellId, 5) === coarse[0])
+    const proof = await loadCellProof(epochDir, merged.geoCellId)
+    expect(proof.geoCellId).toBe(coarse[0])
+    expect(verifyCellProof(proof)).toBe(true)
+  })
+  test('spatial mode keeps a dense region in a batch at coarseRes', async () => {
+    // the region alone exceeds maxSamplesPerBatch, so its proxy is split down to baseRes
+    const result = runHGC(samples, 1, { ...params, lossy: 'spatial', coarseRes: 5, densityThreshold: 3, maxSamplesPerBatch: 20 })
+    const regionBatches = result.batches.filter(b => Object.keys(b.data).some(c => h3.getResolution(c) === 5))
+
+    expect(regionBatches.length).toBeGreaterThan(0)
+    for (const b of regionBatches) {
+      expect(b.resBatch).toBe(5)
+      expect(Object.keys(b.data)).toEqual([b.geoBatchId])
+    }
+
+    const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    tmps.push(tmp)
+    await saveResults(result, 1, tmp)
+    expect((await verifyDir(path.join(tmp, 'data', 'epoch_1'))).every(r => r.ok)).toBe(true)
+  })
+})
@@ -0,0 +1,72 @@
+import { describe, test, expect } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { ethers } from 'ethers'
+import { generateNodes } from '../src/generators/nodes.js'
+import { registrationDomain, signRegistration, recoverRegistrationSigner } from '../src/utils/didSigner.js'
+import { onboardNodes } from '../src/utils/onboarding.js'
+import { registerNodesBulk } from '../src/utils/chain.js'
+
+const controller = ethers.getAddress('0x' + 'c'.repeat(40))
+
+describe('node onboarding', () => {
+  test('simulated nodes carry keys matching their address', () => {
+    for (const node of generateNodes(3, 1)) {
+      expect(new ethers.Wallet(node.privateKey).address).toBe(node.nodeAddress)
+    }
+    // addresses depend on the index only, not on the placement seed
+    expect(generateNodes(2, 1).map(n => n.nodeAddress)).toEqual(generateNodes(2, 2).map(n => n.nodeAddress))
+  })
+
+  test('registration signature matches the NodeDIDRegistry typed data', async () => {
+    const [node] = generateNodes(1)
+    const domain = registrationDomain(80002, '0x' + '1'.repeat(40))
+    const message = { node: node.nodeAddress, controller, nodeType: 1, metadataURI: 'ipfs://x', nonce: 0n }
+    const signature = signRegistration(node.privateKey, message, domain)
+
+    const types = {
+      Register: [
+        { name: 'node', type: 'address' },
+        { name: 'controller', type: 'address' },
+        { name: 'nodeType', type: 'uint8' },
+        { name: 'metadataURI', type: 'string' },
+        { name: 'nonce', type: 'uint256' }
+      ]
+    }
+    expect(signature).toBe(await new ethers.Wallet(node.privateKey).signTypedData(domain, types, message))
+    expect(recoverRegistrationSigner(message, domain, signature)).toBe(node.nodeAddress)
+    // another chain or nonce must not validate
+    expect(recoverRegistrationSigner({ ...message, nonce: 1n }, domain, signature)).not.toBe(node.nodeAddress)
+    expect(recoverRegistrationSigner(message, registrationDomain(1, domain.verifyingContract), signature)).not.toBe(node.nodeAddress)
+  })
+
+  test('onboardNodes registers in chunks and skips registered nodes', async () => {
+    const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    process.env.MOCK_NODES_FILE = path.join(tmp, 'mock-nodes.json')
+    const nodes = generateNodes(5, 4)
+
+    const first = await onboardNodes(nodes.slice(0, 3), { controller, nodeType: 1, chunkSize: 2, baseDir: tmp })
+    expect(first.registered).toEqual(nodes.slice(0, 3).map(n => n.nodeAddress))
+    expect(first.transactions.map(t => t.nodes)).toEqual([2, 1])
+
+    const second = await onboardNodes(nodes, { controller, nodeType: 1, chunkSize: 2, baseDir: tmp })
+    expect(second.skipped).toEqual(first.registered)
+    expect(second.registered).toEqual(nodes.slice(3).map(n => n.nodeAddress))
+
+    const registry = JSON.parse(fs.readFileSync(process.env.MOCK_NODES_FILE, 'utf8'))
+    expect(registry.map(r => r.node)).toEqual(nodes.map(n => n.nodeAddress))
+    expect(registry.every(r => r.controller === controller && r.nodeType === 1)).toBe(true)
+    const receipt = JSON.parse(fs.readFileSync(path.join(tmp, 'data', 'registrations', 'nodes.json'), 'utf8'))
+    expect(receipt.registered).toEqual(second.registered)
+
+    // signature by another key is rejected like on-chain
+    const [intruder] = generateNodes(6, 4).slice(5)
+    const entry = { node: intruder.nodeAddress, controller, nodeType: 1, metadataURI: 'x', nonce: 0n }
+    const domain = registrationDomain(31337, ethers.ZeroAddress)
+    const signature = signRegistration(nodes[0].privateKey, entry, domain)
+    await expect(registerNodesBulk([{ ...entry, signature }])).rejects.toThrow(/InvalidSignature/)
+
+    delete process.env.MOCK_NODES_FILE
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+})
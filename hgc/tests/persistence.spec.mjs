@@ -3,7 +3,7 @@ import fs from 'fs'
 import path from 'path'
 import * as h3 from 'h3-js'
 import { runHGC } from '../src/utils/hgc.js'
-import { saveResults } from '../src/utils/persistence.js'
+import { saveResults, loadPreviousLayout } from '../src/utils/persistence.js'
 
 describe('persistence utilities', () => {
   test('saveResults writes superRoot file', async () => {
@@ -17,5 +17,21 @@ describe('persistence utilities', () => {
     expect(fs.existsSync(superPath)).toBe(true)
     fs.rmSync(tmp, { recursive: true, force: true })
   })
+
+  test('loadPreviousLayout returns the batches of the latest earlier epoch', async () => {
+    const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    const cell = h3.latLngToCell(0, 0, 8)
+    const other = h3.latLngToCell(10, 10, 8)
+    await saveResults(runHGC([{ geoCellId: cell, pm25: 1, timestamp: 0 }], 3), 3, tmp)
+    const result = runHGC([{ geoCellId: cell, pm25: 1, timestamp: 0 }, { geoCellId: other, pm25: 2, timestamp: 0 }], 5)
+    await saveResults(result, 5, tmp)
+
+    expect(await loadPreviousLayout(3, tmp)).toBeNull()
+    expect((await loadPreviousLayout(4, tmp)).epoch).toBe(3)
+    const layout = await loadPreviousLayout(9, tmp)
+    expect(layout.epoch).toBe(5)
+    expect(layout.batchIds).toEqual(result.batches.map(b => b.geoBatchId).sort())
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
 })
 
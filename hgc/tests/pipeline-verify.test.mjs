@@ -3,11 +3,14 @@ import fs from 'fs'
 import path from 'path'
 import { generateNodes } from '../src/generators/nodes.js'
 import { generateSamplesForEpoch, flattenGroupedSamples } from '../src/generators/samples.js'
+import { signSample } from '../src/utils/sampleSigner.js'
 import { runHGC } from '../src/utils/hgc.js'
 import { saveResults } from '../src/utils/persistence.js'
 import { verifyDir } from '../../protocol/src/scripts/verify.mjs'
 
 describe('pipeline verify', () => {
+  // deriving 10k node keypairs and signing their readings takes several
+  // seconds on slower machines
   test('verifies generated epoch data', async () => {
     const epoch = 1
     const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
@@ -25,6 +28,25 @@ describe('pipeline verify', () => {
       expect(r.ok).toBe(true)
     }
 
+    fs.rmSync(tmp, { recursive: true, force: true })
+  }, 60_000)
+
+  test('discards forged readings and verifies a signed epoch', async () => {
+    const epoch = 1
+    const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+
+    const nodes = generateNodes(50, 9)
+    const samples = flattenGroupedSamples(generateSamplesForEpoch(nodes, epoch, 0, 3))
+    const forged = { ...samples[0], timestamp: samples[0].timestamp + 1, signature: signSample(nodes[1].privateKey, samples[0]) }
+
+    const result = runHGC([...samples, forged], epoch, undefined, { onInvalidSignature: 'discard' })
+    expect(result.batches.reduce((s, b) => s + b.countSamples, 0)).toBe(samples.length * 3)
+    await saveResults(result, epoch, tmp)
+
+    const results = await verifyDir(path.join(tmp, 'data', `epoch_${epoch}`))
+    expect(results.length).toBeGreaterThan(0)
+    expect(results.every(r => r.ok)).toBe(true)
+
     fs.rmSync(tmp, { recursive: true, force: true })
   })
 })
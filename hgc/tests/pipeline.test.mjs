@@ -6,7 +6,8 @@ import { generateSamplesForEpoch, flattenGroupedSamples } from '../src/generator
 import { runHGC, computeEpochSuperRoot } from '../src/utils/hgc.js'
 import { compressTopDown } from '../src/utils/grouping.js'
 import { saveResults } from '../src/utils/persistence.js'
-import { uploadFolder, hashFolder } from '../src/utils/ipfs.js'
+import { uploadFolder } from '../src/utils/ipfs.js'
+import { computeCid } from '../src/utils/unixfs.js'
 import { registerGeoBatch } from '../src/utils/chain.js'
 import { merkleRootAndIndex } from '../src/utils/hasher.js'
 
@@ -45,7 +46,7 @@ describe('pipeline', () => {
 
     const epochDir = path.join(dataDir, `epoch_${epoch}`)
     const cid = await uploadFolder(epochDir)
-    const expectedCid = await hashFolder(epochDir)
+    const expectedCid = await computeCid(epochDir)
     expect(cid).toBe(expectedCid)
 
     for (const b of result.batches) {
@@ -76,7 +77,7 @@ describe('pipeline', () => {
       expect(await exists(filePath)).toBe(true)
       const content = JSON.parse(await fs.readFile(filePath, 'utf8'))
       expect(content.merkleRoot).toBe(b.merkleRoot)
-      expect(merkleRootAndIndex(content.data).root).toBe(b.merkleRoot)
+      expect(merkleRootAndIndex(content.data, content.aggregates).root).toBe(b.merkleRoot)
     }
 
     const chainFile = path.join(dataDir, 'mock-chain.json')
@@ -88,6 +89,6 @@ describe('pipeline', () => {
     }
 
     await fs.rm(dataDir, { recursive: true, force: true })
-  }, 15_000)
+  }, 60_000)
 })
 
@@ -0,0 +1,100 @@
+import { describe, test, expect } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import * as h3 from 'h3-js'
+import { saveResults } from '../src/utils/persistence.js'
+import { runHGC, computeEpochSuperRoot } from '../src/utils/hgc.js'
+import { buildCellProof, verifyCellProof, loadCellProof, buildEpochProof, verifyEpochProof, loadEpochProof } from '../src/utils/proofs.js'
+
+const SMALL_BATCHES = {
+  baseRes: 8,
+  minRes: 0,
+  maxLeavesPerBatch: 8,
+  maxSamplesPerBatch: 1000,
+  hysteresisNear: 0.9,
+  hysteresisFar: 1.1
+}
+
+function buildSamples () {
+  const cells = h3.gridDisk(h3.latLngToCell(0, 0, 8), 3)
+  return cells.map((cell, i) => ({ geoCellId: cell, pm25: i, timestamp: i, issuer: `n${i}` }))
+}
+
+describe('cell inclusion proofs', () => {
+  test('every cell proves against its batch root', () => {
+    const { batches } = runHGC(buildSamples(), 1)
+    for (const batch of batches) {
+      for (const cell of batch.compressedFrom) {
+        const proof = buildCellProof(batch, cell)
+        expect(proof.merkleRoot).toBe(batch.merkleRoot)
+        expect(proof.leaf).toMatch(/^0x[0-9a-f]{64}$/)
+        expect(verifyCellProof(proof)).toBe(true)
+      }
+    }
+  })
+
+  test('tampered readings fail verification', () => {
+    const { batches } = runHGC(buildSamples(), 1)
+    const cell = batches[0].compressedFrom[0]
+    const proof = buildCellProof(batches[0], cell)
+    const tampered = { ...proof, data: [{ ...proof.data[0], pm25: 999 }] }
+    expect(verifyCellProof(tampered)).toBe(false)
+    expect(() => buildCellProof(batches[0], 'missing')).toThrow(/not found/)
+  })
+
+  test('loadCellProof resolves the batch from an epoch directory', async () => {
+    const epoch = 3
+    const samples = buildSamples()
+    const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    await saveResults(runHGC(samples, epoch), epoch, tmp)
+    const epochDir = path.join(tmp, 'data', `epoch_${epoch}`)
+
+    const cell = samples[2].geoCellId
+    const proof = await loadCellProof(epochDir, cell)
+    expect(proof.epoch).toBe(epoch)
+    expect(verifyCellProof(proof)).toBe(true)
+
+    const finer = h3.cellToCenterChild(cell, 10)
+    expect((await loadCellProof(epochDir, finer)).geoCellId).toBe(cell)
+
+    fs.rmSync(path.join(tmp, 'data', 'cellToBatchMap.json'))
+    expect((await loadCellProof(epochDir, cell)).leaf).toBe(proof.leaf)
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+
+  test('two-level proofs chain cell → batch → superRoot', () => {
+    const { batches, superRoot } = runHGC(buildSamples(), 1, SMALL_BATCHES)
+    expect(batches.length).toBeGreaterThan(1)
+    for (const batch of batches) {
+      const proof = buildEpochProof(buildCellProof(batch, batch.compressedFrom[0]), batches)
+      expect(proof.superRoot).toBe(superRoot)
+      expect(verifyEpochProof(proof)).toBe(true)
+    }
+
+    const proof = buildEpochProof(buildCellProof(batches[0], batches[0].compressedFrom[0]), batches)
+    const otherRoot = batches[1].merkleRoot
+    expect(verifyEpochProof({ ...proof, merkleRoot: otherRoot })).toBe(false)
+    expect(verifyEpochProof({ ...proof, superProof: [] })).toBe(false)
+  })
+
+  test('loadEpochProof only needs superRoot.json and the cell batch', async () => {
+    const epoch = 4
+    const samples = buildSamples()
+    const result = runHGC(samples, epoch, SMALL_BATCHES)
+    const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    await saveResults(result, epoch, tmp)
+    const epochDir = path.join(tmp, 'data', `epoch_${epoch}`)
+
+    const cell = samples[5].geoCellId
+    const holder = result.map[cell]
+    for (const b of result.batches) {
+      if (b.geoBatchId !== holder) fs.rmSync(path.join(epochDir, `${b.geoBatchId}.json`))
+    }
+
+    const proof = await loadEpochProof(epochDir, cell)
+    expect(proof.geoBatchId).toBe(holder)
+    expect(proof.superRoot).toBe(computeEpochSuperRoot(result.batches).superRoot)
+    expect(verifyEpochProof(proof)).toBe(true)
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+})
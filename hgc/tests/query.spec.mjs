@@ -0,0 +1,76 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import * as h3 from 'h3-js'
+import request from 'supertest'
+import { generateNodes } from '../src/generators/nodes.js'
+import { generateSamplesForEpoch, flattenGroupedSamples } from '../src/generators/samples.js'
+import { runHGC, HGC_DEFAULT_PARAMS } from '../src/utils/hgc.js'
+import { saveResults } from '../src/utils/persistence.js'
+import { verifyCellProof, verifyEpochProof } from '../src/utils/proofs.js'
+import { createApp } from '../src/server/app.js'
+
+const nodes = generateNodes(8, 21)
+const params = { ...HGC_DEFAULT_PARAMS, maxLeavesPerBatch: 3 }
+
+describe('query API', () => {
+  let tmp
+  let app
+  const results = {}
+
+  beforeAll(async () => {
+    tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    for (const epoch of [3, 1]) {
+      const samples = flattenGroupedSamples(generateSamplesForEpoch(nodes, epoch, 0, 2))
+      results[epoch] = runHGC(samples, epoch, params)
+      await saveResults(results[epoch], epoch, tmp)
+    }
+    app = createApp({ baseDir: tmp, params })
+  })
+
+  afterAll(() => {
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+
+  test('lists epochs and returns their super-root', async () => {
+    const list = await request(app).get('/epochs')
+    expect(list.body.map(e => e.epoch)).toEqual([1, 3])
+    expect(list.body[0].superRoot).toBe(results[1].superRoot)
+    expect(list.body[0].batchesTotal).toBe(results[1].batches.length)
+
+    const one = await request(app).get('/epochs/3')
+    expect(one.body.batchIds).toHaveLength(results[3].batches.length)
+    expect((await request(app).get('/epochs/7')).status).toBe(404)
+    expect((await request(app).get('/epochs/abc')).status).toBe(400)
+  })
+
+  test('fetches a batch and finds the batch of a cell', async () => {
+    const batch = results[1].batches[0]
+    const res = await request(app).get(`/epochs/1/batches/${batch.geoBatchId}`)
+    expect(res.body.merkleRoot).toBe(batch.merkleRoot)
+    expect((await request(app).get('/epochs/1/batches/..%2F..%2Fsecret')).status).toBe(404)
+
+    const cell = batch.compressedFrom[0]
+    const child = h3.cellToChildren(cell, 10)[0]
+    const lookup = await request(app).get(`/epochs/1/cells/${child}`)
+    expect(lookup.body).toEqual({ epoch: 1, geoCellId: cell, geoBatchId: batch.geoBatchId })
+    expect((await request(app).get('/epochs/1/cells/not-a-cell')).status).toBe(400)
+    const far = h3.latLngToCell(40, 10, 8)
+    expect((await request(app).get(`/epochs/1/cells/${far}`)).status).toBe(404)
+  })
+
+  test('returns readings with inclusion proofs by cell and by coordinate', async () => {
+    const node = nodes[2]
+    const res = await request(app).get(`/epochs/3/cells/${node.geoCellId}/readings`)
+    expect(res.status).toBe(200)
+    expect(res.body.data.map(e => e.issuer)).toContain(node.nodeAddress)
+    expect(verifyCellProof(res.body)).toBe(true)
+
+    const loc = await request(app).get('/epochs/3/location').query({ lat: node.lat, lng: node.lng, super: '' })
+    expect(loc.body.geoCellId).toBe(node.geoCellId)
+    expect(loc.body.superRoot).toBe(results[3].superRoot)
+    expect(verifyEpochProof(loc.body)).toBe(true)
+
+    expect((await request(app).get('/epochs/3/location').query({ lat: 'x' })).status).toBe(400)
+  })
+})
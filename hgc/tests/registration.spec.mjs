@@ -0,0 +1,92 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import * as h3 from 'h3-js'
+import { runHGC } from '../src/utils/hgc.js'
+import { chunkByGas, estimateBatchGas, registerEpochBatches, TX_BASE_GAS } from '../src/utils/registration.js'
+import { readMockChain, getGeoBatch } from '../src/utils/chain.js'
+
+const CID = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'
+
+function runEpoch (ordering, radius = 3) {
+  const cells = h3.gridDisk(h3.latLngToCell(0, 0, 8), radius)
+  const samples = cells.map((cell, i) => ({ geoCellId: cell, pm25: i % 100, timestamp: i }))
+  const params = { baseRes: 8, minRes: 0, maxLeavesPerBatch: 4, maxSamplesPerBatch: 100, hysteresisNear: 0.9, hysteresisFar: 1.1, ordering }
+  return runHGC(samples, 1, params)
+}
+
+function buildBatches () {
+  return runEpoch().batches
+}
+
+describe('batch registration', () => {
+  let tmp
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    process.env.MOCK_CHAIN_FILE = path.join(tmp, 'mock-chain.json')
+  })
+
+  afterEach(() => {
+    delete process.env.MOCK_CHAIN_FILE
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+
+  test('chunkByGas keeps every chunk under the limit', () => {
+    const items = Array.from({ length: 50 }, (_, i) => ({ geoBatchId: `b${i}`, cid: CID }))
+    const perItem = estimateBatchGas(CID)
+    const gasLimit = TX_BASE_GAS + perItem * 7
+    const chunks = chunkByGas(items, { gasLimit })
+    expect(chunks.map(c => c.length)).toEqual([7, 7, 7, 7, 7, 7, 7, 1])
+    expect(chunks.flat()).toEqual(items)
+    expect(chunkByGas(items, { gasLimit, maxPerTx: 5 }).every(c => c.length <= 5)).toBe(true)
+    expect(() => chunkByGas(items, { gasLimit: TX_BASE_GAS })).toThrow(/exceeds gas limit/)
+  })
+
+  test('registers an epoch in bulk and skips batches already registered', async () => {
+    const batches = buildBatches()
+    expect(batches.length).toBeGreaterThan(3)
+    const gasLimit = TX_BASE_GAS + estimateBatchGas(CID) * 3
+
+    const first = await registerEpochBatches(1, batches, CID, { gasLimit, baseDir: tmp })
+    expect(first.registered.length).toBe(batches.length)
+    expect(first.transactions.length).toBe(Math.ceil(batches.length / 3))
+    expect(first.registered[0].geoId).toMatch(/^\d+$/)
+
+    const records = await readMockChain()
+    expect(records.length).toBe(batches.length)
+    const onChain = await getGeoBatch(1, batches[0].geoBatchId)
+    expect(onChain.merkleRoot).toBe(batches[0].merkleRoot)
+    expect(onChain.dataCID).toBe(CID)
+
+    const second = await registerEpochBatches(1, batches, CID, { gasLimit, baseDir: tmp })
+    expect(second.registered).toEqual([])
+    expect(second.transactions).toEqual([])
+    expect(second.skipped.every(s => s.reason === 'already registered')).toBe(true)
+    expect((await readMockChain()).length).toBe(batches.length)
+
+    const receiptPath = path.join(tmp, 'data', 'registrations', 'epoch_1.json')
+    expect(JSON.parse(fs.readFileSync(receiptPath, 'utf8'))).toEqual(second)
+  })
+
+  test('fills the transactions in the emission order of the batches', async () => {
+    const lex = runEpoch('lex', 30)
+    const hilbert = runEpoch('hilbert', 30)
+    const ids = result => result.batches.map(b => b.geoBatchId)
+    expect(ids(hilbert)).not.toEqual(ids(lex))
+
+    const gasLimit = TX_BASE_GAS + estimateBatchGas(CID) * 50
+    const receipt = await registerEpochBatches(1, hilbert.batches, CID, { gasLimit, baseDir: tmp })
+    expect(receipt.transactions.flatMap(tx => tx.geoBatchIds)).toEqual(ids(hilbert))
+  })
+
+  test('reports conflicting roots and requires a CID', async () => {
+    const batches = buildBatches()
+    await registerEpochBatches(1, batches.slice(0, 1), CID, { baseDir: tmp })
+    const changed = [{ ...batches[0], merkleRoot: batches[1].merkleRoot }, ...batches.slice(1)]
+    const receipt = await registerEpochBatches(1, changed, CID, { baseDir: tmp })
+    expect(receipt.skipped[0].reason).toMatch(/^conflict/)
+    expect(receipt.registered.length).toBe(batches.length - 1)
+    await expect(registerEpochBatches(1, batches, undefined, { baseDir: tmp })).rejects.toThrow(/dataCID/)
+  })
+})
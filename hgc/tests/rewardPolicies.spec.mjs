@@ -0,0 +1,44 @@
+import { describe, test, expect } from 'vitest'
+import { ethers } from 'ethers'
+import { getRewardPolicy, registerRewardPolicy, BPS } from '../src/utils/rewardPolicies.js'
+import { scoreIssuers } from '../src/utils/rewards.js'
+
+const A = ethers.getAddress('0x' + 'a'.repeat(40))
+const B = ethers.getAddress('0x' + 'b'.repeat(40))
+
+function batch (countLeaves, data) {
+  return { resBase: 8, resBatch: 7, countLeaves, hgcParams: { maxLeavesPerBatch: 7 }, data }
+}
+
+// A: 3 samples in one sparse cell over two epochs • B: 2 samples in two cells of a full batch
+const full = batch(7, {
+  c1: [{ issuer: A.toLowerCase(), pm25: 1 }, { issuer: B, pm25: 1 }],
+  c2: [{ issuer: B, pm25: 1 }, { issuer: 'nope', pm25: 1 }]
+})
+const sparse = batch(1, { c1: [{ issuer: A, samples: [{ pm25: 1 }, { pm25: 2 }] }] })
+const cycle = [
+  { epoch: 0, batches: [full] },
+  { epoch: 1, batches: [sparse] }
+]
+
+describe('reward policies', () => {
+  test('built-in policies score the same cycle differently', () => {
+    expect(getRewardPolicy({ policy: 'flat' }).score(cycle)).toEqual({ [A]: 3, [B]: 2 })
+    expect(getRewardPolicy({ policy: 'coverage' }).score(cycle)).toEqual({ [A]: 1, [B]: 2 })
+    expect(getRewardPolicy({ policy: 'uptime' }).score(cycle)).toEqual({ [A]: 2, [B]: 1 })
+    // sparse batch: 6 of 7 slots free → bonus 6/7 of 5000
+    const rarity = getRewardPolicy({ policy: 'rarity', rarityBonusBps: 5000 })
+    expect(rarity.params).toEqual({ rarityBonusBps: 5000 })
+    expect(rarity.score(cycle)).toEqual({ [A]: BPS + 2 * (BPS + 4285), [B]: 2 * BPS })
+  })
+
+  test('scoreIssuers counts ignored samples and validates policy output', () => {
+    const { scores, ignored } = scoreIssuers(cycle)
+    expect(scores).toEqual({ [A]: 3, [B]: 2 })
+    expect(ignored).toBe(1)
+
+    registerRewardPolicy('half', () => ({ name: 'half', params: {}, score: () => ({ [A]: 0.5 }) }))
+    expect(() => scoreIssuers(cycle, getRewardPolicy({ policy: 'half' }))).toThrow(/invalid score/)
+    expect(() => getRewardPolicy({ policy: 'missing' })).toThrow(/unknown reward policy/)
+  })
+})
@@ -0,0 +1,106 @@
+import { describe, test, expect } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { ethers } from 'ethers'
+import { generateNodes } from '../src/generators/nodes.js'
+import { generateSamplesForEpoch, flattenGroupedSamples } from '../src/generators/samples.js'
+import { runHGC, HGC_DEFAULT_PARAMS } from '../src/utils/hgc.js'
+import { saveResults } from '../src/utils/persistence.js'
+import { allocateRewards, buildRewardTree, verifyRewardProof, epochsForCycle } from '../src/utils/rewards.js'
+import { runReward, runRewardBatches } from '../src/pipelines/rewardJob.js'
+import { getRewardBatch } from '../src/utils/chain.js'
+
+describe('rewards', () => {
+  test('allocation rounds down and never exceeds the pool', () => {
+    const a = ethers.getAddress('0x' + '1'.repeat(40))
+    const b = ethers.getAddress('0x' + '2'.repeat(40))
+    const c = ethers.getAddress('0x' + '3'.repeat(40))
+    const amounts = allocateRewards({ [a]: 1, [b]: 1, [c]: 1 }, 100n)
+    expect(Object.values(amounts)).toEqual([33n, 33n, 33n])
+    expect(allocateRewards({ [a]: 0 }, 100n)).toEqual({})
+
+    const { merkleRoot, totalToMint, nodes } = buildRewardTree(amounts)
+    expect(totalToMint).toBe(99n)
+    for (const [node, { amount, proof, leaf }] of Object.entries(nodes)) {
+      expect(leaf).toBe(ethers.solidityPackedKeccak256(['address', 'uint256'], [node, amount]))
+      expect(verifyRewardProof(node, amount, proof, merkleRoot)).toBe(true)
+      expect(verifyRewardProof(node, BigInt(amount) + 1n, proof, merkleRoot)).toBe(false)
+    }
+  })
+
+  test('epochsForCycle maps a cycle to its epoch window', () => {
+    expect(epochsForCycle(0, 3)).toEqual([0, 1, 2])
+    expect(epochsForCycle(2, 3)).toEqual([6, 7, 8])
+  })
+
+  test('runReward scores issuers over the epoch window', async () => {
+    const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    const nodes = generateNodes(4, 9)
+    const perEpoch = [3, 5]
+    for (const [epoch, nSamples] of perEpoch.entries()) {
+      const samples = flattenGroupedSamples(generateSamplesForEpoch(nodes, epoch, 0, nSamples))
+      samples.push({ geoCellId: nodes[0].geoCellId, pm25: 1, timestamp: 1, issuer: 'not-an-address' })
+      await saveResults(runHGC(samples, epoch), epoch, tmp)
+    }
+    // epoch outside the window must be ignored
+    const outside = flattenGroupedSamples(generateSamplesForEpoch(nodes, 2, 0, 50))
+    await saveResults(runHGC(outside, 2), 2, tmp)
+
+    const config = { epochWindow: 2, rewardPerCycle: 8000n }
+    const dist = await runReward(0, { baseDir: tmp, config })
+    expect(dist.epochs).toEqual([0, 1])
+    expect(dist.policy).toEqual({ name: 'flat', params: {} })
+    expect(dist.nodesTotal).toBe(4)
+    expect(dist.ignoredSamples).toBe(2)
+    expect(dist.totalScore).toBe(4 * (3 + 5))
+    expect(dist.totalToMint).toBe('8000')
+    for (const node of nodes) {
+      const entry = dist.nodes[ethers.getAddress(node.nodeAddress)]
+      expect(entry.score).toBe(8)
+      expect(entry.amount).toBe('2000')
+      expect(verifyRewardProof(node.nodeAddress, entry.amount, entry.proof, dist.merkleRoot)).toBe(true)
+    }
+
+    const saved = JSON.parse(fs.readFileSync(path.join(tmp, 'data', 'rewards', 'cycle_0.json'), 'utf8'))
+    expect(saved).toEqual(dist)
+    const again = await runReward(0, { baseDir: tmp, config })
+    expect(again.merkleRoot).toBe(dist.merkleRoot)
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+
+  test('runRewardBatches builds one tree per geoBatch and publishes it', async () => {
+    const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    process.env.MOCK_REWARD_BATCHES_FILE = path.join(tmp, 'mock-reward-batches.json')
+    const nodes = generateNodes(6, 3)
+    const samples = flattenGroupedSamples(generateSamplesForEpoch(nodes, 0, 0, 4))
+    const result = runHGC(samples, 0, { ...HGC_DEFAULT_PARAMS, maxLeavesPerBatch: 2 })
+    await saveResults(result, 0, tmp)
+
+    const config = { epochWindow: 1, rewardPerCycle: 10_000n, policy: 'flat' }
+    const upload = async file => 'cid-' + path.basename(file, '.json')
+    const index = await runRewardBatches(0, { baseDir: tmp, config, publish: true, upload })
+    expect(index.batches.map(b => b.geoBatchId)).toEqual([...result.batches.map(b => b.geoBatchId)].sort())
+    expect(index.batches.reduce((s, b) => s + BigInt(b.totalToMint), 0n)).toBe(BigInt(index.totalToMint))
+    expect(BigInt(index.totalToMint) <= config.rewardPerCycle).toBe(true)
+    expect(index.batchesTotal).toBeGreaterThan(1)
+
+    for (const entry of index.batches) {
+      const file = JSON.parse(fs.readFileSync(path.join(tmp, 'data', 'rewards', 'cycle_0', `${entry.geoBatchId}.json`), 'utf8'))
+      const batch = result.batches.find(b => b.geoBatchId === entry.geoBatchId)
+      const issuers = new Set(Object.values(batch.data).flat().map(e => ethers.getAddress(e.issuer)))
+      expect(Object.keys(file.nodes).sort()).toEqual([...issuers].sort())
+      for (const [node, { amount, proof }] of Object.entries(file.nodes)) {
+        expect(verifyRewardProof(node, amount, proof, entry.merkleRoot)).toBe(true)
+      }
+      expect(entry.dataCID).toBe('cid-' + entry.geoBatchId)
+      const onChain = await getRewardBatch(0, entry.geoBatchId)
+      expect(onChain.merkleRoot).toBe(entry.merkleRoot)
+      expect(onChain.totalMint).toBe(BigInt(entry.totalToMint))
+    }
+
+    // re-publishing the same roots is a no-op
+    await expect(runRewardBatches(0, { baseDir: tmp, config, publish: true, upload })).resolves.toBeTruthy()
+    delete process.env.MOCK_REWARD_BATCHES_FILE
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+})
@@ -0,0 +1,131 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import express from 'express'
+import request from 'supertest'
+import { generateNodes } from '../src/generators/nodes.js'
+import { generateSamplesForEpoch, flattenGroupedSamples } from '../src/generators/samples.js'
+import { runHGC, HGC_DEFAULT_PARAMS } from '../src/utils/hgc.js'
+import { createApp } from '../src/server/app.js'
+import { createEpochBuffer } from '../src/server/epochBuffer.js'
+import { ingestRouter } from '../src/server/routes/ingest.js'
+import { loadCloseToken } from '../src/config/index.js'
+
+const EPOCH = 2
+const TOKEN = 'operator-secret'
+const nodes = generateNodes(6, 11)
+const readings = flattenGroupedSamples(generateSamplesForEpoch(nodes, EPOCH, 0, 12))
+
+describe('ingestion API', () => {
+  let tmp
+  let app
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    app = createApp({ baseDir: tmp, params: HGC_DEFAULT_PARAMS, closeToken: TOKEN })
+  })
+
+  afterEach(() => {
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+
+  test('buffers single and batched readings per epoch', async () => {
+    const single = await request(app).post('/readings').send(readings[0])
+    expect(single.status).toBe(202)
+    expect(single.body).toEqual({ accepted: 1, epochs: [EPOCH], rejected: [] })
+
+    const batch = await request(app).post('/readings').send({ readings: readings.slice(1) })
+    expect(batch.body.accepted).toBe(readings.length - 1)
+
+    const lines = fs.readFileSync(path.join(tmp, 'data', 'ingest', `epoch_${EPOCH}.ndjson`), 'utf8').trim().split('\n')
+    expect(lines.map(l => JSON.parse(l))).toEqual(readings)
+
+    const open = await request(app).get('/epochs/open')
+    expect(open.body).toEqual([{ epoch: EPOCH, readings: readings.length }])
+  })
+
+  test('rejects invalid, forged and malformed readings', async () => {
+    const forged = { ...readings[1], issuer: readings[0].issuer }
+    const outOfRange = { ...readings[2], samples: [{ ...readings[2].samples[0], pm25: 5000 }] }
+    const res = await request(app).post('/readings').send([readings[0], forged, outOfRange, { foo: 1 }])
+    expect(res.status).toBe(202)
+    expect(res.body.accepted).toBe(1)
+    expect(res.body.rejected.map(r => r.index)).toEqual([1, 2, 3])
+    expect(res.body.rejected[0].errors[0]).toMatch(/não corresponde/)
+    expect(res.body.rejected[1].errors[0]).toMatch(/pm25/)
+
+    const none = await request(app).post('/readings').send([{ foo: 1 }])
+    expect(none.status).toBe(400)
+
+    const bad = await request(app).post('/readings').set('Content-Type', 'application/json').send('{"oops"')
+    expect(bad.status).toBe(400)
+  })
+
+  test('closing an epoch runs runHGC and saveResults', async () => {
+    await request(app).post('/readings').send(readings)
+    const res = await request(app).post(`/epochs/${EPOCH}/close`).set('Authorization', `Bearer ${TOKEN}`)
+    expect(res.status).toBe(200)
+
+    const expected = runHGC(readings, EPOCH, HGC_DEFAULT_PARAMS)
+    expect(res.body.superRoot).toBe(expected.superRoot)
+    expect(res.body.samplesTotal).toBe(readings.length * 12)
+    const saved = JSON.parse(fs.readFileSync(path.join(tmp, 'data', `epoch_${EPOCH}`, 'superRoot.json'), 'utf8'))
+    expect(saved.superRoot).toBe(expected.superRoot)
+    expect(saved.source).toBe('ingest')
+
+    expect((await request(app).post(`/epochs/${EPOCH}/close`).set('Authorization', `Bearer ${TOKEN}`)).status).toBe(409)
+    const late = await request(app).post('/readings').send(readings[0])
+    expect(late.status).toBe(400)
+    expect(late.body.rejected[0].errors[0]).toMatch(/already closed/)
+    expect((await request(app).post('/epochs/99/close').set('Authorization', `Bearer ${TOKEN}`)).status).toBe(404)
+  })
+
+  test('a close landing mid-request only rejects the readings of that epoch', async () => {
+    const buffer = createEpochBuffer(tmp)
+    const server = express().use(express.json()).use(ingestRouter(buffer, { baseDir: tmp, closeToken: TOKEN }))
+    const later = flattenGroupedSamples(generateSamplesForEpoch(nodes, EPOCH + 1, 0, 12))
+
+    // hold the lock of the second epoch and close it once the first one is appended
+    let release
+    const gate = new Promise(resolve => { release = resolve })
+    const closing = buffer.withLock(EPOCH + 1, async () => {
+      await gate
+      fs.mkdirSync(path.join(tmp, 'data', `epoch_${EPOCH + 1}`), { recursive: true })
+      fs.writeFileSync(path.join(tmp, 'data', `epoch_${EPOCH + 1}`, 'superRoot.json'), '{}')
+    })
+    const pending = request(server).post('/readings').send([...readings, ...later]).then(res => res)
+    while (!fs.existsSync(buffer.fileFor(EPOCH))) await new Promise(resolve => setTimeout(resolve, 5))
+    await new Promise(resolve => setTimeout(resolve, 20))
+    release()
+    await closing
+
+    const res = await pending
+    expect(res.status).toBe(202)
+    expect(res.body.accepted).toBe(readings.length)
+    expect(res.body.epochs).toEqual([EPOCH])
+    expect(res.body.rejected.map(r => r.index)).toEqual(later.map((_, i) => readings.length + i))
+    expect(res.body.rejected[0].errors).toEqual([`epoch ${EPOCH + 1} already closed`])
+    expect(await buffer.read(EPOCH)).toEqual(readings)
+    expect(await buffer.read(EPOCH + 1)).toEqual([])
+  })
+
+  test('only the operator can close an epoch', async () => {
+    await request(app).post('/readings').send(readings)
+    expect((await request(app).post(`/epochs/${EPOCH}/close`)).status).toBe(401)
+    const wrong = await request(app).post(`/epochs/${EPOCH}/close`).set('Authorization', 'Bearer operator-secreT')
+    expect(wrong.status).toBe(401)
+    expect(fs.existsSync(path.join(tmp, 'data', `epoch_${EPOCH}`))).toBe(false)
+
+    const saved = process.env.HGC_CLOSE_TOKEN
+    delete process.env.HGC_CLOSE_TOKEN
+    try {
+      const open = createApp({ baseDir: tmp, params: HGC_DEFAULT_PARAMS })
+      const disabled = await request(open).post(`/epochs/${EPOCH}/close`).set('Authorization', 'Bearer ')
+      expect(disabled.status).toBe(403)
+      expect(disabled.body.error).toMatch(/HGC_CLOSE_TOKEN/)
+    } finally {
+      if (saved !== undefined) process.env.HGC_CLOSE_TOKEN = saved
+    }
+    expect(loadCloseToken(['--closeToken=abc'])).toBe('abc')
+  })
+})
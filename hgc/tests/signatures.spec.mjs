@@ -0,0 +1,96 @@
+import { describe, test, expect, vi } from 'vitest'
+import * as h3 from 'h3-js'
+import { generateNodes } from '../src/generators/nodes.js'
+import { generateSamplesForEpoch, flattenGroupedSamples } from '../src/generators/samples.js'
+import { signSample, recoverSampleSigner, validateSampleSignature, samplePayload } from '../src/utils/sampleSigner.js'
+import { runHGC } from '../src/utils/hgc.js'
+import { loadSignatureMode } from '../src/config/index.js'
+
+const nodes = generateNodes(4, 5)
+
+function signedSamples () {
+  return flattenGroupedSamples(generateSamplesForEpoch(nodes, 1, 0, 2))
+}
+
+describe('sample signatures', () => {
+  test('generated readings are signed by their issuer over the canonical payload', () => {
+    for (const reading of signedSamples()) {
+      expect(recoverSampleSigner(reading)).toBe(reading.issuer)
+      expect(validateSampleSignature(reading)).toEqual([])
+    }
+    // key order does not change the payload
+    const [reading] = signedSamples()
+    const reordered = Object.fromEntries(Object.entries(reading).reverse())
+    expect(samplePayload(reordered)).toBe(samplePayload(reading))
+    expect(validateSampleSignature(reordered)).toEqual([])
+  })
+
+  test('tampered, forged and unsigned readings are rejected', () => {
+    const [a, b] = signedSamples()
+    const tampered = { ...a, samples: [{ ...a.samples[0], pm25: 999 }, ...a.samples.slice(1)] }
+    expect(validateSampleSignature(tampered)[0]).toMatch(/não corresponde/)
+
+    const forged = { ...a, signature: signSample(nodes[3].privateKey, a) }
+    expect(validateSampleSignature(forged)[0]).toMatch(/não corresponde/)
+
+    const { signature, ...unsigned } = b
+    expect(validateSampleSignature(unsigned)[0]).toMatch(/ausente/)
+    expect(validateSampleSignature({ ...b, signature: '0x1234' })[0]).toMatch(/malformada/)
+  })
+
+  test('runHGC onInvalidSignature modes', () => {
+    const samples = signedSamples()
+    const forged = { ...samples[0], timestamp: samples[0].timestamp + 1, signature: signSample(nodes[3].privateKey, samples[0]) }
+    const input = [...samples, forged]
+
+    const ignored = runHGC(input, 1)
+    expect(ignored.batches.reduce((s, b) => s + b.countSamples, 0)).toBe(10)
+
+    expect(() => runHGC(input, 1, undefined, { onInvalidSignature: 'throw' })).toThrow(/não corresponde/)
+
+    const discarded = runHGC(input, 1, undefined, { onInvalidSignature: 'discard' })
+    expect(discarded.batches.reduce((s, b) => s + b.countSamples, 0)).toBe(8)
+    expect(discarded.invalidSamples).toEqual([])
+
+    const marked = runHGC(input, 1, undefined, { onInvalidSignature: 'mark' })
+    expect(marked.superRoot).toBe(discarded.superRoot)
+    expect(marked.invalidSamples).toHaveLength(1)
+    expect(marked.invalidSamples[0].issuer).toBe(forged.issuer)
+    expect(marked.invalidSamples[0].errors[0]).toMatch(/não corresponde/)
+  })
+
+  test('committed readings still verify against their signature', () => {
+    const samples = signedSamples()
+    // signed over a finer cell or with an out-of-range sample: cannot be stored as signed
+    const fine = { ...samples[0], geoCellId: h3.cellToCenterChild(samples[0].geoCellId, 9), timestamp: 1 }
+    fine.signature = signSample(nodes[0].privateKey, fine)
+    const partial = { ...samples[1], timestamp: 2, samples: [samples[1].samples[0], { ...samples[1].samples[1], pm25: 5000 }] }
+    partial.signature = signSample(nodes.find(n => n.nodeAddress === partial.issuer).privateKey, partial)
+
+    const result = runHGC([...samples, fine, partial], 1, undefined, { onInvalid: 'mark', onInvalidSignature: 'discard' })
+    const stored = result.batches.flatMap(b => Object.values(b.data).flat())
+    expect(stored).toHaveLength(samples.length)
+    for (const reading of stored) expect(validateSampleSignature(reading)).toEqual([])
+
+    expect(result.invalidSamples.map(r => r.timestamp)).toEqual([1, 2])
+    expect(result.invalidSamples[0].errors[0]).toMatch(/fora de baseRes/)
+    expect(result.invalidSamples[1].samples).toHaveLength(2)
+    expect(() => runHGC([fine], 1, undefined, { onInvalidSignature: 'discard' })).toThrow(/fora de baseRes/)
+  })
+
+  test('scripts discard unsigned readings unless told to ignore them', () => {
+    const saved = process.env.HGC_ON_INVALID_SIGNATURE
+    delete process.env.HGC_ON_INVALID_SIGNATURE
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    try {
+      expect(loadSignatureMode([])).toBe('discard')
+      expect(warn).not.toHaveBeenCalled()
+      expect(loadSignatureMode(['--onInvalidSignature=ignore'])).toBe('ignore')
+      expect(warn.mock.calls[0][0]).toMatch(/não serão verificadas/)
+      expect(() => loadSignatureMode(['--onInvalidSignature=skip'])).toThrow('invalid onInvalidSignature')
+    } finally {
+      warn.mockRestore()
+      if (saved !== undefined) process.env.HGC_ON_INVALID_SIGNATURE = saved
+    }
+  })
+})
@@ -0,0 +1,98 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import * as h3 from 'h3-js'
+import { generateNodes } from '../src/generators/nodes.js'
+import { generateSamplesForEpoch, flattenGroupedSamples } from '../src/generators/samples.js'
+import { runHGC, HGC_DEFAULT_PARAMS } from '../src/utils/hgc.js'
+import { saveResults } from '../src/utils/persistence.js'
+import { verifyCellProof, verifyEpochProof } from '../src/utils/proofs.js'
+import { areaToPolygons, cellsForArea, queryArea } from '../src/utils/spatialQuery.js'
+
+const nodes = generateNodes(8, 33)
+const params = { ...HGC_DEFAULT_PARAMS, maxLeavesPerBatch: 3 }
+
+// bbox around the boundary of a cell, in GeoJSON order
+function bboxOf (cell) {
+  const boundary = h3.cellToBoundary(cell)
+  const lats = boundary.map(p => p[0])
+  const lngs = boundary.map(p => p[1])
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)]
+}
+
+describe('spatial query', () => {
+  let tmp
+  const results = {}
+
+  beforeAll(async () => {
+    tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    for (const epoch of [1, 2]) {
+      const samples = flattenGroupedSamples(generateSamplesForEpoch(nodes, epoch, 0, 2))
+      results[epoch] = runHGC(samples, epoch, params)
+      await saveResults(results[epoch], epoch, tmp)
+    }
+  })
+
+  afterAll(() => {
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+
+  test('normalizes bbox and GeoJSON areas', () => {
+    expect(areaToPolygons([0, 0, 1, 1])[0][0]).toHaveLength(5)
+    const polygon = { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] }
+    expect(areaToPolygons({ type: 'Feature', geometry: polygon })).toEqual([polygon.coordinates])
+    expect(() => areaToPolygons([1, 0, 0, 1])).toThrow(/invalid bbox/)
+    expect(() => areaToPolygons({ type: 'Point', coordinates: [0, 0] })).toThrow(/unsupported/)
+  })
+
+  test('covers a polygon smaller than a cell', () => {
+    const cell = h3.latLngToCell(-23.55, -46.63, 8)
+    const [lat, lng] = h3.cellToLatLng(cell)
+    const tiny = [lng - 1e-5, lat - 1e-5, lng + 1e-5, lat + 1e-5]
+    expect(cellsForArea(tiny, 8)).toEqual([cell])
+  })
+
+  test('returns readings and proofs of the cells inside the area', async () => {
+    const [target] = Object.keys(results[1].batches[0].data)
+    const area = bboxOf(target)
+    const res = await queryArea(area, { fromEpoch: 1, toEpoch: 3, dataDir: path.join(tmp, 'data') })
+
+    expect(res.epochs.map(e => e.epoch)).toEqual([1, 2])
+    const hit = res.epochs[0].cells.find(c => c.geoCellId === target)
+    expect(hit.data).toEqual(results[1].batches[0].data[target])
+    expect(verifyCellProof(hit)).toBe(true)
+    for (const { cells } of res.epochs) {
+      for (const c of cells) {
+        expect(cellsForArea(area, HGC_DEFAULT_PARAMS.baseRes)).toContain(c.geoCellId)
+        expect(verifyCellProof(c)).toBe(true)
+      }
+    }
+    expect(res.cellsTotal).toBe(res.epochs.reduce((s, e) => s + e.cells.length, 0))
+  })
+
+  test('adds super-root proofs and works without cellToBatchMap.json', async () => {
+    const dataDir = path.join(tmp, 'data')
+    const [target] = Object.keys(results[2].batches[0].data)
+    const area = { type: 'Feature', geometry: { type: 'Polygon', coordinates: [h3.cellToBoundary(target, true)] } }
+    const withMap = await queryArea(area, { fromEpoch: 2, dataDir, withSuperRoot: true })
+
+    const [epoch] = withMap.epochs
+    expect(epoch.cells.map(c => c.geoCellId)).toContain(target)
+    for (const c of epoch.cells) {
+      expect(c.superRoot).toBe(results[2].superRoot)
+      expect(verifyEpochProof(c)).toBe(true)
+    }
+
+    fs.renameSync(path.join(dataDir, 'cellToBatchMap.json'), path.join(dataDir, 'map.bak'))
+    try {
+      const scanned = await queryArea(area, { fromEpoch: 2, dataDir, withSuperRoot: true })
+      expect(scanned).toEqual(withMap)
+    } finally {
+      fs.renameSync(path.join(dataDir, 'map.bak'), path.join(dataDir, 'cellToBatchMap.json'))
+    }
+  })
+
+  test('rejects an invalid epoch range', async () => {
+    await expect(queryArea([0, 0, 1, 1], { fromEpoch: 3, toEpoch: 1, dataDir: tmp })).rejects.toThrow(/invalid epoch range/)
+  })
+})
@@ -0,0 +1,105 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import * as h3 from 'h3-js'
+import request from 'supertest'
+import { generateNodes } from '../src/generators/nodes.js'
+import { generateSamplesForEpoch, flattenGroupedSamples } from '../src/generators/samples.js'
+import { runHGC, HGC_DEFAULT_PARAMS, WINDOW_MS } from '../src/utils/hgc.js'
+import { saveResults } from '../src/utils/persistence.js'
+import { epochsForRange, querySeries, MAX_CELL_EXPANSION } from '../src/utils/timeQuery.js'
+import { createApp } from '../src/server/app.js'
+
+const nodes = generateNodes(6, 44)
+const params = { ...HGC_DEFAULT_PARAMS, maxLeavesPerBatch: 2 }
+// 12 samples every 5 min fill exactly one 1h epoch
+const N_SAMPLES = 12
+
+describe('time-range queries', () => {
+  let tmp
+  let dataDir
+  const cell = nodes[0].geoCellId
+
+  beforeAll(async () => {
+    tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+    dataDir = path.join(tmp, 'data')
+    for (const epoch of [1, 2, 4]) {
+      const samples = flattenGroupedSamples(generateSamplesForEpoch(nodes, epoch, 0, N_SAMPLES))
+      await saveResults(runHGC(samples, epoch, params), epoch, tmp)
+    }
+  })
+
+  afterAll(() => {
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+
+  test('maps a time window to epochs', () => {
+    expect(epochsForRange(WINDOW_MS + 1, 3 * WINDOW_MS)).toEqual([1, 2, 3])
+    expect(epochsForRange(0, WINDOW_MS - 1)).toEqual([0])
+    expect(() => epochsForRange(5, 1)).toThrow(/invalid time range/)
+    expect(() => epochsForRange(0, 10 * WINDOW_MS, 5)).toThrow(/max 5/)
+  })
+
+  test('returns a time-ordered series filtered by timestamp', async () => {
+    const from = WINDOW_MS + 30 * 60 * 1000
+    const to = 4 * WINDOW_MS + 10 * 60 * 1000
+    const { epochs, series } = await querySeries([cell], { from, to, dataDir })
+
+    expect(epochs).toEqual([1, 2, 4])
+    const points = series[cell]
+    const expected = nodes.filter(n => n.geoCellId === cell).length * (6 + 12 + 3)
+    expect(points).toHaveLength(expected)
+    for (let i = 1; i < points.length; i++) expect(points[i].timestamp).toBeGreaterThanOrEqual(points[i - 1].timestamp)
+    expect(points.every(p => p.timestamp >= from && p.timestamp <= to)).toBe(true)
+    expect(points[0]).toMatchObject({ issuer: nodes[0].nodeAddress, epoch: 1 })
+    expect(points[0].geoBatchId).toBeDefined()
+    expect(points[0].signature).toBeUndefined()
+  })
+
+  test('normalizes finer cells and expands coarser ones', async () => {
+    const window = { from: WINDOW_MS, to: 3 * WINDOW_MS - 1, dataDir }
+    const base = (await querySeries([cell], window)).series[cell]
+
+    const child = h3.cellToChildren(cell, params.baseRes + 2)[0]
+    expect((await querySeries([child], window)).series[child]).toEqual(base)
+
+    const parent = h3.cellToParent(cell, params.baseRes - 1)
+    const region = (await querySeries([parent], window)).series[parent]
+    expect(region.length).toBeGreaterThanOrEqual(base.length)
+    expect(region.every(p => h3.cellToParent(p.geoCellId, params.baseRes - 1) === parent)).toBe(true)
+
+    const widest = h3.cellToParent(cell, params.baseRes - MAX_CELL_EXPANSION)
+    expect((await querySeries([widest], window)).series[widest].length).toBeGreaterThanOrEqual(region.length)
+    const tooCoarse = h3.cellToParent(cell, params.baseRes - MAX_CELL_EXPANSION - 1)
+    await expect(querySeries([tooCoarse], window)).rejects.toThrow(/too coarse/)
+  })
+
+  test('scans the batches when cellToBatchMap.json is missing', async () => {
+    const window = { from: WINDOW_MS, to: 5 * WINDOW_MS, dataDir }
+    const withMap = await querySeries([cell], window)
+    const mapPath = path.join(dataDir, 'cellToBatchMap.json')
+    fs.renameSync(mapPath, mapPath + '.bak')
+    try {
+      expect(await querySeries([cell], window)).toEqual(withMap)
+    } finally {
+      fs.renameSync(mapPath + '.bak', mapPath)
+    }
+  })
+
+  test('serves the series over HTTP', async () => {
+    const app = createApp({ baseDir: tmp, params })
+    const res = await request(app).get(`/cells/${cell}/series?from=${WINDOW_MS}&to=${2 * WINDOW_MS - 1}`)
+    expect(res.status).toBe(200)
+    expect(res.body.epochs).toEqual([1])
+    expect(res.body.readings.every(r => r.epoch === 1)).toBe(true)
+
+    expect((await request(app).get(`/cells/${cell}/series?from=10`)).status).toBe(400)
+    expect((await request(app).get(`/cells/${cell}/series?from=0&to=${1000 * WINDOW_MS}`)).status).toBe(400)
+    expect((await request(app).get('/cells/nope/series?from=0&to=1')).status).toBe(400)
+
+    // a country-sized cell would expand to millions of baseRes children
+    const coarse = await request(app).get(`/cells/${h3.cellToParent(cell, 2)}/series?from=${WINDOW_MS}&to=${2 * WINDOW_MS - 1}`)
+    expect(coarse.status).toBe(400)
+    expect(coarse.body.error).toMatch(/too coarse/)
+  })
+})
@@ -0,0 +1,112 @@
+import { describe, test, expect, afterAll } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { computeCid, writeCar, readCar, extractCar, CHUNK_SIZE } from '../src/utils/unixfs.js'
+
+const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tmp-'))
+
+describe('unixfs CIDs', () => {
+  afterAll(() => {
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+
+  test('matches the CIDs assigned by IPFS', async () => {
+    const hello = path.join(tmp, 'hello.txt')
+    fs.writeFileSync(hello, 'hello world')
+    expect(await computeCid(hello)).toBe('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e')
+
+    const empty = path.join(tmp, 'empty.txt')
+    fs.writeFileSync(empty, '')
+    expect(await computeCid(empty)).toBe('bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku')
+
+    const emptyDir = path.join(tmp, 'empty-dir')
+    fs.mkdirSync(emptyDir)
+    expect(await computeCid(emptyDir)).toBe('bafybeiczsscdsbs7ffqz55asqdf3smv6klcw3gofszvwlyarci47bgf354')
+  })
+
+  test('keeps the CIDs of a chunked file and a nested directory', async () => {
+    // regression vectors computed by this module: kubo was not available to
+    // cross-check them, only the leaf CIDs are derived independently below
+    const big = Buffer.alloc(CHUNK_SIZE * 3 + 10)
+    for (let i = 0; i < big.length; i++) big[i] = (i * 31) % 251
+    const dir = path.join(tmp, 'vectors')
+    fs.mkdirSync(path.join(dir, 'nested', 'sub'), { recursive: true })
+    fs.writeFileSync(path.join(dir, 'big.bin'), big)
+    fs.writeFileSync(path.join(dir, 'nested', 'x.json'), '{}')
+    fs.writeFileSync(path.join(dir, 'nested', 'sub', 'y.json'), '[]')
+    expect(await computeCid(path.join(dir, 'big.bin'))).toBe('bafybeiauo4wnluvkvk3usws3lgdov2hmkibqpofwriayxs4fratlmhqs2e')
+    expect(await computeCid(path.join(dir, 'nested'))).toBe('bafybeife5pgrhdtko7xmxvxknjzkbix3zm3i7jtojitj75yko75vozdvq4')
+
+    // the file links one raw leaf per chunk, with the CID of that chunk added alone
+    const out = path.join(tmp, 'big.car')
+    await writeCar(path.join(dir, 'big.bin'), out)
+    const { blocks } = readCar(fs.readFileSync(out))
+    for (let i = 0; i * CHUNK_SIZE < big.length; i++) {
+      const chunk = path.join(tmp, `chunk-${i}`)
+      fs.writeFileSync(chunk, big.subarray(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE))
+      expect(blocks.has(await computeCid(chunk))).toBe(true)
+    }
+  })
+
+  test('directory CIDs depend on names and contents, not on creation order', async () => {
+    const a = path.join(tmp, 'a')
+    const b = path.join(tmp, 'b')
+    fs.mkdirSync(path.join(a, 'sub'), { recursive: true })
+    fs.mkdirSync(path.join(b, 'sub'), { recursive: true })
+    fs.writeFileSync(path.join(a, 'x.json'), '{}')
+    fs.writeFileSync(path.join(a, 'sub', 'y.json'), '[]')
+    fs.writeFileSync(path.join(b, 'sub', 'y.json'), '[]')
+    fs.writeFileSync(path.join(b, 'x.json'), '{}')
+    expect(await computeCid(a)).toBe(await computeCid(b))
+
+    fs.writeFileSync(path.join(b, 'x.json'), '{ }')
+    expect(await computeCid(a)).not.toBe(await computeCid(b))
+  })
+
+  test('CAR export roundtrips and chunks large files', async () => {
+    const dir = path.join(tmp, 'epoch')
+    fs.mkdirSync(dir)
+    const big = Buffer.alloc(CHUNK_SIZE * 3 + 10)
+    for (let i = 0; i < big.length; i++) big[i] = (i * 31) % 251
+    fs.writeFileSync(path.join(dir, 'big.bin'), big)
+    fs.writeFileSync(path.join(dir, 'small.json'), '{"a":1}')
+
+    expect(await computeCid(path.join(dir, 'big.bin'))).toMatch(/^bafybei/)
+
+    const out = path.join(tmp, 'epoch.car')
+    const written = await writeCar(dir, out)
+    expect(written.cid).toBe(await computeCid(dir))
+    expect(written.bytes).toBe(fs.statSync(out).size)
+
+    const car = readCar(fs.readFileSync(out))
+    expect(car.roots).toEqual([written.cid])
+    // 4 chunks + file node + small file + directory
+    expect(car.blocks.size).toBe(7)
+    expect(written.blocks).toBe(7)
+
+    const extracted = path.join(tmp, 'extracted')
+    expect(await extractCar(fs.readFileSync(out), extracted)).toEqual({ cid: written.cid, type: 'directory' })
+    expect(fs.readFileSync(path.join(extracted, 'big.bin')).equals(big)).toBe(true)
+    expect(await computeCid(extracted)).toBe(written.cid)
+
+    const corrupted = fs.readFileSync(out)
+    corrupted[corrupted.length - 1] ^= 1
+    expect(() => readCar(corrupted)).toThrow('does not match CID')
+
+    // the header is decoded by layout: a second root or another version is rejected
+    const archive = fs.readFileSync(out)
+    const twoRoots = Buffer.from(archive)
+    twoRoots[archive.indexOf('roots') + 5] = 0x82
+    expect(() => readCar(twoRoots)).toThrow('unsupported CAR header')
+    const version2 = Buffer.from(archive)
+    version2[archive.indexOf('version') + 7] = 0x02
+    expect(() => readCar(version2)).toThrow('unsupported CAR header')
+    expect(() => readCar(archive.subarray(0, 30))).toThrow('unsupported CAR header')
+
+    await expect(writeCar(dir, path.join(dir, 'self.car'))).rejects.toThrow('cannot be written inside')
+    // a failed export leaves no partial archive behind
+    const partial = path.join(tmp, 'missing.car')
+    await expect(writeCar(path.join(tmp, 'missing'), partial)).rejects.toThrow()
+    expect(fs.existsSync(partial)).toBe(false)
+  })
+})
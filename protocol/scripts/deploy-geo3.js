@@ -25,7 +25,8 @@ async function deployGeoDataRegistry(libAddress, admin) {
   const registry = await factory.deploy(admin, admin, admin, EPOCH_MIN);
   await registry.waitForDeployment();
   const address = await registry.getAddress();
-  console.log(`GeoDataRegistry deployed at ${address}`);
+  const { blockNumber } = await registry.deploymentTransaction().wait();
+  console.log(`GeoDataRegistry deployed at ${address} (block ${blockNumber}, GEO_DATA_REGISTRY_BLOCK)`);
   return address;
 }
 
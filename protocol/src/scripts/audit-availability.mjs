@@ -0,0 +1,136 @@
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { verifyFile, verifySuperRootFile } from './verify.mjs'
+import { getRegisteredBatches } from '../../../hgc/src/utils/chain.js'
+import { fetchContent } from '../../../hgc/src/utils/storage/index.js'
+import { computeCid } from '../../../hgc/src/utils/unixfs.js'
+
+// status of each registered batch
+export const AUDIT_STATUSES = ['ok', 'missing', 'corrupted', 'mismatched']
+
+async function exists (file) {
+  return !!(await fs.stat(file).catch(() => false))
+}
+
+async function auditBatch (record, file) {
+  if (!(await exists(file))) {
+    return { geoBatchId: record.geoBatchId, status: 'missing', errors: [`${path.basename(file)} not found under ${record.cid}`] }
+  }
+  const verified = await verifyFile(file)
+  if (!verified.ok) return { geoBatchId: record.geoBatchId, status: 'corrupted', errors: verified.errors }
+
+  const { merkleRoot } = JSON.parse(await fs.readFile(file, 'utf8'))
+  if (merkleRoot !== record.merkleRoot) {
+    return { geoBatchId: record.geoBatchId, status: 'mismatched', errors: [`merkleRoot on-chain ${record.merkleRoot}, in data ${merkleRoot}`] }
+  }
+  return { geoBatchId: record.geoBatchId, status: 'ok' }
+}
+
+/**
+ * Re-fetch the `dataCID` of every batch registered for epochs `from..to`
+ * and check it against the registration. Each distinct CID is downloaded
+ * once; its batch files are checked with `verifyFile` and the on-chain root,
+ * and its `superRoot.json` (if any) with `verifySuperRootFile`.
+ * @param {number} from - First epoch (inclusive).
+ * @param {number} to - Last epoch (inclusive).
+ * @param {{config?: object, fetch?: Function}} [options] - Storage config for
+ *   `fetchContent`, or a replacement `fetch(cid, outPath)`.
+ * @returns {Promise<{epochs: object[], summary: Object<string, number>}>}
+ */
+export async function auditEpochs (from, to, { config, fetch = (cid, out) => fetchContent(cid, out, config) } = {}) {
+  const records = await getRegisteredBatches(from, to)
+  const groups = new Map()
+  for (const record of records) {
+    const key = `${record.epoch}/${record.cid}`
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(record)
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'geo3-audit-'))
+  const epochs = []
+  try {
+    for (const [key, group] of groups) {
+      const { epoch, cid } = group[0]
+      const out = path.join(workDir, key.replace('/', '-'))
+      const entry = { epoch, cid, batches: [] }
+      epochs.push(entry)
+
+      let fetched
+      try {
+        fetched = await fetch(cid, out)
+      } catch (err) {
+        entry.errors = [`fetch failed: ${err.message}`]
+        entry.batches = group.map(r => ({ geoBatchId: r.geoBatchId, status: 'missing', errors: entry.errors }))
+        continue
+      }
+
+      // content fetched without a CAR (S3) is only trusted if it hashes back to the CID
+      entry.cidOk = (await computeCid(out)) === cid
+      if (!entry.cidOk) entry.errors = ['content does not match dataCID']
+
+      if (fetched.type === 'file') {
+        for (const r of group) entry.batches.push(await auditBatch(r, out))
+      } else {
+        const superFile = path.join(out, 'superRoot.json')
+        if (await exists(superFile)) {
+          const { ok, errors } = await verifySuperRootFile(superFile)
+          entry.superRoot = { ok, ...(errors && { errors }) }
+        }
+        for (const r of group) entry.batches.push(await auditBatch(r, path.join(out, `${r.geoBatchId}.json`)))
+      }
+      // batches that verify on their own are still not the registered content
+      if (!entry.cidOk) {
+        entry.batches = entry.batches.map(b => b.status === 'ok' ? { ...b, status: 'mismatched', errors: entry.errors } : b)
+      }
+    }
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true })
+  }
+
+  const summary = Object.fromEntries(AUDIT_STATUSES.map(s => [s, 0]))
+  for (const e of epochs) for (const b of e.batches) summary[b.status]++
+  return { epochs, summary }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2)
+  const opts = {}
+  for (let i = 0; i < args.length; i++) {
+    if (['--from', '--to', '--out'].includes(args[i]) && args[i + 1]) {
+      opts[args[i].slice(2)] = args[i + 1]
+      i++
+    }
+  }
+
+  const from = parseInt(opts.from)
+  const to = parseInt(opts.to ?? opts.from)
+  if (!Number.isSafeInteger(from) || !Number.isSafeInteger(to) || to < from) {
+    console.error('Usage: node src/scripts/audit-availability.mjs --from <epoch> [--to <epoch>] [--out <report.json>]')
+    process.exit(1)
+  }
+
+  auditEpochs(from, to).then(async report => {
+    for (const e of report.epochs) {
+      const superStatus = e.superRoot ? (e.superRoot.ok ? 'verified' : 'failed') : 'absent'
+      console.log(`epoch ${e.epoch} • ${e.cid}: ${e.cidOk === false ? 'CID mismatch' : e.cidOk ? 'fetched' : 'unavailable'} • superRoot ${superStatus}`)
+      for (const err of [...(e.errors ?? []), ...(e.superRoot?.errors ?? [])]) console.log(`  ${err}`)
+      for (const b of e.batches.filter(b => b.status !== 'ok')) {
+        console.log(`  ${b.geoBatchId}: ${b.status}`)
+        for (const err of b.errors ?? []) console.log(`    ${err}`)
+      }
+    }
+    console.log('Summary:', report.summary)
+    if (opts.out) {
+      await fs.mkdir(path.dirname(path.resolve(opts.out)), { recursive: true })
+      await fs.writeFile(opts.out, JSON.stringify(report, null, 2))
+    }
+    const ok = report.epochs.every(e => e.cidOk && e.superRoot?.ok !== false) &&
+      report.summary.ok === report.epochs.reduce((s, e) => s + e.batches.length, 0)
+    process.exit(ok ? 0 : 1)
+  }).catch(err => {
+    console.error(err)
+    process.exit(1)
+  })
+}
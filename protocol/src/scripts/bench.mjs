@@ -1,10 +1,17 @@
 import { promises as fs } from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { performance } from 'perf_hooks';
+import { runHGC } from '../../../hgc/src/utils/hgc.js';
+import { runHGCParallel } from '../../../hgc/src/utils/hgcParallel.js';
+import { loadHgcConfig } from '../../../hgc/src/config/index.js';
 
-const [,, epochArg, gasPriceArg] = process.argv;
+const args = process.argv.slice(2);
+const [epochArg, gasPriceArg] = args.filter(a => !a.startsWith('--'));
+const compareArg = args.find(a => a === '--compare-workers' || a.startsWith('--compare-workers='));
 if (!epochArg) {
-  console.error('Usage: node src/scripts/bench.mjs <epoch> [gas-price-gwei]');
+  console.error('Usage: node src/scripts/bench.mjs <epoch> [gas-price-gwei] [--compare-workers[=<N>]]');
   process.exit(1);
 }
 const epoch = Number(epochArg);
@@ -17,6 +24,14 @@ if (Number.isNaN(gasPriceGwei)) {
   console.error('Gas price must be a number');
   process.exit(1);
 }
+// worker threads compared against single-threaded batch finalization
+const compareWorkers = compareArg
+  ? Number(compareArg.split('=')[1] ?? Math.max(os.availableParallelism() - 1, 1))
+  : 0;
+if (compareArg && (!Number.isSafeInteger(compareWorkers) || compareWorkers < 1)) {
+  console.error('Workers must be a positive integer');
+  process.exit(1);
+}
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -183,7 +198,48 @@ async function writeReports(record) {
   await fs.writeFile(csvFile, csvLines.join('\n'));
 }
 
+// Times runHGC against runHGCParallel over the epoch samples and checks that
+// both produce the same batches.
+async function compareWorkerPool() {
+  const samples = JSON.parse(await fs.readFile(sampleFile, 'utf8'));
+  const params = loadHgcConfig();
+
+  let start = performance.now();
+  const single = runHGC(samples, epoch, params, { onInvalid: 'discard' });
+  const singleMs = performance.now() - start;
+
+  start = performance.now();
+  const parallel = await runHGCParallel(samples, epoch, params, { onInvalid: 'discard', workers: compareWorkers });
+  const parallelMs = performance.now() - start;
+
+  const identical = single.superRoot === parallel.superRoot &&
+    JSON.stringify(single.batches) === JSON.stringify(parallel.batches);
+
+  const record = {
+    epoch,
+    samples: samples.length,
+    batches: single.batches.length,
+    workers: compareWorkers,
+    singleMs,
+    parallelMs,
+    speedup: singleMs / parallelMs,
+    identical
+  };
+  await fs.mkdir(reportsDir, { recursive: true });
+  const jsonFile = path.join(reportsDir, 'bench-workers.json');
+  const records = await readRecords(jsonFile);
+  const idx = records.findIndex(r => r.epoch === epoch && r.workers === compareWorkers);
+  if (idx >= 0) records[idx] = record; else records.push(record);
+  await fs.writeFile(jsonFile, JSON.stringify(records, null, 2));
+
+  console.log(`single thread: ${singleMs.toFixed(0)} ms • ${compareWorkers} workers: ${parallelMs.toFixed(0)} ms • speedup ${record.speedup.toFixed(2)}x`);
+  if (!identical) throw new Error('worker pool output differs from runHGC');
+  console.log(`Worker benchmark for epoch ${epoch} recorded.`);
+}
+
 async function main() {
+  if (compareWorkers) return compareWorkerPool();
+
   const sampleBytes = await fileSize(sampleFile);
   const batchesBytes = await dirSize(batchesDir);
   const compressionRatio = sampleBytes / batchesBytes;
@@ -46,6 +46,9 @@ function paramSetsForVolume(volume) {
 }
 
 const paramSetsArg = process.argv.find(a => a.startsWith('--paramSets='));
+// child orderings of compressTopDown to compare, e.g. --orderings=lex,localIj,hilbert
+const orderingsArg = process.argv.find(a => a.startsWith('--orderings='));
+const orderings = orderingsArg ? orderingsArg.split('=')[1].split(',') : null;
 const samplesPerNode = 12;
 
 function run(cmd, args, options = {}) {
@@ -102,6 +105,9 @@ async function main() {
         console.error('Invalid paramSets JSON, using defaults for volume', volume);
       }
     }
+    if (orderings) {
+      paramSets = paramSets.flatMap(params => orderings.map(ordering => ({ ...params, ordering })));
+    }
     await saveRecord({ volume, generatedParamSets: paramSets });
     for (const params of paramSets) {
       const seed = Math.floor(Math.random() * 1e9);
@@ -4,6 +4,11 @@ import { fileURLToPath } from 'url'
 import keccak256 from 'keccak256'
 import { MerkleTree } from 'merkletreejs'
 import { canonical, sha256Hex, merkleRootAndIndex } from '../../../hgc/src/utils/hash-helpers.js'
+import { computeAggregates } from '../../../hgc/src/utils/aggregates.js'
+import { getGeoBatch, getRegisteredBatches } from '../../../hgc/src/utils/chain.js'
+import { computeCid } from '../../../hgc/src/utils/unixfs.js'
+
+const ZERO_ROOT = '0x' + '0'.repeat(64)
 
 function sha256HexCanonical (obj) {
   return sha256Hex(canonical(obj))
@@ -18,18 +23,23 @@ export async function verifyFile (file) {
     delete objNoHash.hash
 
     const computedSha = sha256HexCanonical(objNoHash)
-    const { root: computedMerkle } = merkleRootAndIndex(objNoHash.data)
+    const { root: computedMerkle } = merkleRootAndIndex(objNoHash.data, objNoHash.aggregates)
 
     const shaOk = computedSha === storedSha
     const merkleOk = computedMerkle === objNoHash.merkleRoot
+    // aggregates are committed in the tree, so they must also match the leaf data
+    const aggregatesOk = !objNoHash.aggregates || canonical(objNoHash.aggregates) === canonical(
+      computeAggregates(objNoHash.data, { geoBatchId: objNoHash.geoBatchId, resBatch: objNoHash.resBatch, baseRes: objNoHash.resBase })
+    )
 
-    if (shaOk && merkleOk) {
+    if (shaOk && merkleOk && aggregatesOk) {
       return { file, ok: true }
     }
 
     const errors = []
     if (!shaOk) errors.push(`hash mismatch: expected ${storedSha}, got ${computedSha}`)
     if (!merkleOk) errors.push(`merkleRoot mismatch: expected ${objNoHash.merkleRoot}, got ${computedMerkle}`)
+    if (!aggregatesOk) errors.push('aggregates mismatch: not computed from data')
     return { file, ok: false, errors }
   } catch (err) {
     return { file, ok: false, errors: [err.message] }
@@ -98,9 +108,70 @@ export async function verifyDir (dir) {
   return results
 }
 
+/**
+ * Compare the batch files of an epoch directory with what was anchored in
+ * GeoDataRegistry (or `mock-chain.json`): each batch must be registered with
+ * the same `merkleRoot` and with the epoch's `dataCID`, and every batch
+ * registered for the epoch must have a local file.
+ * The expected CID is always recomputed from the directory, never taken from
+ * the upload record in `data/storage/`.
+ * @param {string} dir - Epoch directory (`data/epoch_<N>`).
+ * @returns {Promise<{file:string, ok:boolean, errors?:string[]}[]>}
+ */
+export async function verifyChainDir (dir) {
+  const targetDir = path.resolve(dir)
+  const entries = await fs.readdir(targetDir, { withFileTypes: true })
+  let superRoot = null
+  try {
+    superRoot = JSON.parse(await fs.readFile(path.join(targetDir, 'superRoot.json'), 'utf8'))
+  } catch {
+    // directory without superRoot.json
+  }
+  const expectedCid = await computeCid(targetDir)
+
+  const results = []
+  const local = new Set()
+  const epochs = new Set(superRoot ? [Number(superRoot.epoch)] : [])
+  for (const entry of entries) {
+    if (!entry.isFile() || !entry.name.endsWith('.json') || entry.name === 'superRoot.json') continue
+    const file = path.join(targetDir, entry.name)
+    try {
+      const { epoch, geoBatchId, merkleRoot } = JSON.parse(await fs.readFile(file, 'utf8'))
+      if (epoch === undefined || !geoBatchId) continue
+      local.add(`${epoch}/${geoBatchId}`)
+      epochs.add(Number(epoch))
+
+      const onChain = await getGeoBatch(epoch, geoBatchId)
+      const errors = []
+      if (onChain.merkleRoot === ZERO_ROOT) {
+        errors.push(`not registered on-chain for epoch ${epoch}`)
+      } else {
+        if (onChain.merkleRoot !== merkleRoot) errors.push(`on-chain merkleRoot mismatch: expected ${merkleRoot}, got ${onChain.merkleRoot}`)
+        if (onChain.dataCID !== expectedCid) errors.push(`on-chain dataCID mismatch: expected ${expectedCid}, got ${onChain.dataCID}`)
+      }
+      results.push(errors.length ? { file, ok: false, errors } : { file, ok: true })
+    } catch (err) {
+      results.push({ file, ok: false, errors: [err.message] })
+    }
+  }
+
+  for (const epoch of [...epochs].sort((a, b) => a - b)) {
+    for (const record of await getRegisteredBatches(epoch, epoch)) {
+      if (local.has(`${epoch}/${record.geoBatchId}`)) continue
+      results.push({
+        file: path.join(targetDir, `${record.geoBatchId}.json`),
+        ok: false,
+        errors: [`registered on-chain for epoch ${epoch} but missing locally`]
+      })
+    }
+  }
+  return results
+}
+
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
   const args = process.argv.slice(2)
   let dirArg
+  const chain = args.includes('--chain')
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--dir' && args[i + 1]) {
       dirArg = args[i + 1]
@@ -109,11 +180,19 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
   }
 
   if (!dirArg) {
-    console.error('Usage: node src/scripts/verify.mjs --dir <directory>')
+    console.error('Usage: node src/scripts/verify.mjs --dir <directory> [--chain]')
     process.exit(1)
   }
 
-  verifyDir(dirArg).then(results => {
+  const verify = async () => {
+    const results = await verifyDir(dirArg)
+    if (!chain) return results
+    // on-chain checks are reported as `<file> (chain)` after the file checks
+    const chainResults = await verifyChainDir(dirArg)
+    return [...results, ...chainResults.map(r => ({ ...r, file: `${r.file} (chain)` }))]
+  }
+
+  verify().then(results => {
     for (const r of results) {
       console.log(`${path.basename(r.file)}: ${r.ok ? 'verified' : 'failed'}`)
       if (!r.ok && r.errors) {
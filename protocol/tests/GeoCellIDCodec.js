@@ -0,0 +1,59 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const path = require("path");
+
+// Golden vectors produced by hgc/src/utils/geoid.js (H3 → uint64 geoId)
+const vectors = require(path.join(
+  __dirname,
+  "..",
+  "..",
+  "hgc",
+  "tests",
+  "fixtures",
+  "geoid-vectors.json"
+));
+
+describe("GeoCellID codec vectors", function () {
+  let lib;
+  before(async () => {
+    const Factory = await ethers.getContractFactory("MockGeoCellIDLib");
+    lib = await Factory.deploy();
+  });
+
+  it("extracts level, base cell, digits and header", async () => {
+    for (const v of vectors) {
+      const geoId = BigInt(v.geoId);
+      expect(await lib.extractLevel(geoId)).to.equal(v.level);
+      expect(await lib.extractBaseCell(geoId)).to.equal(v.baseCell);
+      expect(await lib.extractHeader(geoId)).to.equal(v.header);
+      for (let i = 0; i < v.digits.length; i++) {
+        expect(await lib.extractResolutionDigit(geoId, i + 1)).to.equal(
+          v.digits[i]
+        );
+      }
+    }
+  });
+
+  it("navigates to the same parent as the JS codec", async () => {
+    for (const v of vectors) {
+      const geoId = BigInt(v.geoId);
+      if (v.parent === null) {
+        await expect(lib.parentOf(geoId)).to.be.revertedWithCustomError(
+          lib,
+          "RootLevelHasNoParent"
+        );
+      } else {
+        expect(await lib.parentOf(geoId)).to.equal(BigInt(v.parent));
+      }
+    }
+  });
+
+  it("sets and clears the sensor header", async () => {
+    for (const v of vectors) {
+      const geoId = BigInt(v.geoId);
+      const bare = await lib.clearHeader(geoId);
+      expect(await lib.extractHeader(bare)).to.equal(0);
+      expect(await lib.setHeader(bare, v.header)).to.equal(geoId);
+    }
+  });
+});
@@ -0,0 +1,95 @@
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Signer and simulated nodes live in the off-chain hgc package (ESM)
+function hgcModule(...parts) {
+  return import(
+    pathToFileURL(path.join(__dirname, "..", "..", "hgc", "src", ...parts)).href
+  );
+}
+
+describe("Node onboarding signatures (hgc/src/utils/didSigner.js)", function () {
+  let registry, admin, controller;
+  let generateNodes, registrationDomain, signRegistration;
+
+  before(async function () {
+    ({ generateNodes } = await hgcModule("generators", "nodes.js"));
+    ({ registrationDomain, signRegistration } = await hgcModule(
+      "utils",
+      "didSigner.js"
+    ));
+  });
+
+  beforeEach(async function () {
+    [admin, controller] = await ethers.getSigners();
+    const MockSensorResolver = await ethers.getContractFactory(
+      "MockSensorResolver"
+    );
+    const resolver = await MockSensorResolver.deploy();
+    await resolver.set(1, 8);
+    const NodeRegistry = await ethers.getContractFactory("NodeDIDRegistry");
+    registry = await NodeRegistry.deploy(admin.address, resolver.target);
+  });
+
+  async function signedEntries(nodes, domain) {
+    const entries = [];
+    for (const node of nodes) {
+      const message = {
+        node: node.nodeAddress,
+        controller: controller.address,
+        nodeType: 1,
+        metadataURI: `did:geo3:${node.nodeAddress}`,
+        nonce: await registry.nonces(node.nodeAddress),
+      };
+      entries.push({
+        ...message,
+        signature: signRegistration(node.privateKey, message, domain),
+      });
+    }
+    return entries;
+  }
+
+  it("registers simulated nodes with registerMultipleNodes", async function () {
+    const nodes = generateNodes(4, 1);
+    const { chainId } = await ethers.provider.getNetwork();
+    const entries = await signedEntries(
+      nodes,
+      registrationDomain(chainId, registry.target)
+    );
+
+    await registry.registerMultipleNodes(
+      entries.map((e) => e.node),
+      entries.map((e) => e.nodeType),
+      entries.map((e) => e.controller),
+      entries.map((e) => e.metadataURI),
+      entries.map((e) => e.signature)
+    );
+
+    for (const node of nodes) {
+      expect(await registry.getController(node.nodeAddress)).to.equal(
+        controller.address
+      );
+      expect(await registry.nonces(node.nodeAddress)).to.equal(1n);
+    }
+  });
+
+  it("rejects signatures for another chainId", async function () {
+    const [node] = generateNodes(1, 1);
+    const [entry] = await signedEntries(
+      [node],
+      registrationDomain(1, registry.target)
+    );
+
+    await expect(
+      registry.registerNode(
+        entry.node,
+        entry.nodeType,
+        entry.controller,
+        entry.metadataURI,
+        entry.signature
+      )
+    ).to.be.revertedWithCustomError(registry, "InvalidSignature");
+  });
+});
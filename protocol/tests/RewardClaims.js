@@ -0,0 +1,149 @@
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Claim tooling lives in the off-chain hgc package (ESM)
+function hgcModule(file) {
+  return import(
+    pathToFileURL(path.join(__dirname, "..", "..", "hgc", "src", "utils", file))
+      .href
+  );
+}
+
+async function registerNode(registry, nodeSigner, controller, nodeType = 1) {
+  const domain = {
+    name: "NodeDIDRegistry",
+    version: "1",
+    chainId: (await ethers.provider.getNetwork()).chainId,
+    verifyingContract: registry.target,
+  };
+  const types = {
+    Register: [
+      { name: "node", type: "address" },
+      { name: "controller", type: "address" },
+      { name: "nodeType", type: "uint8" },
+      { name: "metadataURI", type: "string" },
+      { name: "nonce", type: "uint256" },
+    ],
+  };
+  const value = {
+    node: nodeSigner.address,
+    controller: controller.address,
+    nodeType,
+    metadataURI: "ipfs://node",
+    nonce: await registry.nonces(nodeSigner.address),
+  };
+  const signature = await nodeSigner.signTypedData(domain, types, value);
+  await registry.registerNode(
+    nodeSigner.address,
+    nodeType,
+    controller.address,
+    "ipfs://node",
+    signature
+  );
+}
+
+describe("Reward claim tooling (hgc/src/utils/claims.js)", function () {
+  const epochWeek = 3;
+  let token, registry, manager, contracts, distribution;
+  let admin, oracle, controller, other, nodeA, nodeB, nodeC;
+  let listClaimable, submitClaims;
+
+  before(async function () {
+    ({ listClaimable, submitClaims } = await hgcModule("claims.js"));
+  });
+
+  beforeEach(async function () {
+    [admin, oracle, controller, other, nodeA, nodeB, nodeC] =
+      await ethers.getSigners();
+
+    const GeoToken = await ethers.getContractFactory("GeoToken");
+    token = await GeoToken.deploy(admin.address, ethers.parseEther("1000000"));
+    const MockSensorResolver = await ethers.getContractFactory(
+      "MockSensorResolver"
+    );
+    const resolver = await MockSensorResolver.deploy();
+    await resolver.set(1, 8);
+    const NodeRegistry = await ethers.getContractFactory("NodeDIDRegistry");
+    registry = await NodeRegistry.deploy(admin.address, resolver.target);
+    const RewardManager = await ethers.getContractFactory("GeoRewardManager");
+    manager = await RewardManager.deploy(
+      admin.address,
+      oracle.address,
+      token.target,
+      registry.target,
+      168
+    );
+    await token.connect(admin).setRewardManager(manager.target);
+
+    await registerNode(registry, nodeA, controller);
+    await registerNode(registry, nodeB, controller);
+    await registerNode(registry, nodeC, other);
+
+    const { buildRewardTree } = await hgcModule("rewards.js");
+    const amounts = {
+      [nodeA.address]: 100n,
+      [nodeB.address]: 250n,
+      [nodeC.address]: 50n,
+    };
+    const { merkleRoot, totalToMint, nodes } = buildRewardTree(amounts);
+    distribution = { epochWeek, merkleRoot, nodes };
+    await manager
+      .connect(oracle)
+      .publishCycle(epochWeek, merkleRoot, totalToMint);
+
+    contracts = { nodeDIDRegistry: registry, rewardManager: manager };
+  });
+
+  it("lists only the nodes of the controller with their claim status", async function () {
+    await registry.connect(admin).setNodeActive(nodeB.address, false);
+
+    const report = await listClaimable(
+      distribution,
+      controller.address,
+      contracts
+    );
+    expect(report.rootMatches).to.equal(true);
+    const byNode = Object.fromEntries(report.nodes.map((n) => [n.node, n]));
+    expect(Object.keys(byNode)).to.have.members([nodeA.address, nodeB.address]);
+    expect(byNode[nodeA.address]).to.include({
+      amount: "100",
+      active: true,
+      claimed: false,
+      claimable: true,
+    });
+    expect(byNode[nodeB.address]).to.include({
+      active: false,
+      claimable: false,
+    });
+  });
+
+  it("submits a claim per claimable node and skips claimed ones", async function () {
+    const results = await submitClaims(distribution, controller, contracts);
+    expect(results.map((r) => r.node)).to.have.members([
+      nodeA.address,
+      nodeB.address,
+    ]);
+    expect(await token.balanceOf(controller.address)).to.equal(350n);
+    expect(await manager.claimed(epochWeek, nodeA.address)).to.equal(true);
+
+    const report = await listClaimable(
+      distribution,
+      controller.address,
+      contracts
+    );
+    expect(report.nodes.every((n) => n.claimed && !n.claimable)).to.equal(true);
+    expect(await submitClaims(distribution, controller, contracts)).to.eql([]);
+  });
+
+  it("flags a distribution whose root was not published", async function () {
+    const report = await listClaimable(
+      { ...distribution, epochWeek: epochWeek + 1 },
+      controller.address,
+      contracts
+    );
+    expect(report.rootMatches).to.equal(false);
+    expect(report.nodes.some((n) => n.claimable)).to.equal(false);
+  });
+});